@@ -20,7 +20,7 @@ async function advancedExample() {
   }
 
   // Create crawler with configuration
-  const crawler = new WikipediaCrawler(config.crawler);
+  const crawler = new WikipediaCrawler({ ...config.crawler, ...config.crawling });
   
   try {
     await crawler.init();
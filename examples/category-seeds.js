@@ -0,0 +1,38 @@
+import WikipediaCrawler from '../src/crawler.js';
+import SeedGenerator from '../src/seeds.js';
+
+/**
+ * Example: seed a crawl with the articles of a Wikipedia category
+ */
+async function categorySeedsExample() {
+  console.log('=== Category Seeds Example ===\n');
+
+  // Articles of the category and of its direct subcategories, at most 20
+  const generator = new SeedGenerator({ categoryDepth: 1, maxUrls: 20 });
+  const category = 'https://en.wikipedia.org/wiki/Category:Machine_learning';
+  console.log(`Listing articles in: ${category}\n`);
+
+  const seeds = await generator.fromCategory(category);
+  console.log(`Found ${seeds.length} articles\n`);
+  seeds.forEach((url, index) => console.log(`${index + 1}. ${url}`));
+
+  const crawler = new WikipediaCrawler({
+    fetcher: 'mediawiki',
+    outputDir: './output'
+  });
+
+  try {
+    console.log('\nCrawling the first 5 articles...\n');
+    const results = await crawler.crawlMultiple(seeds.slice(0, 5));
+
+    await crawler.saveToFile({ category, seeds, results }, 'category_crawl.json');
+    console.log('\n✓ Results saved to output/category_crawl.json');
+
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await crawler.close();
+  }
+}
+
+categorySeedsExample();
@@ -9,7 +9,8 @@ async function recursiveCrawlExample() {
   
   const crawler = new WikipediaCrawler({
     headless: true,
-    outputDir: './output'
+    outputDir: './output',
+    concurrency: 4    // Number of pages fetched in parallel
   });
   
   try {
@@ -25,7 +26,9 @@ async function recursiveCrawlExample() {
     // Perform recursive crawl with limits
     const result = await crawler.crawlRecursive(startUrl, {
       maxPages: 100,    // Maximum number of pages to crawl
-      maxDepth: 3       // Maximum depth to follow links
+      maxDepth: 3,      // Maximum depth to follow links
+      maxLinksPerPage: 10, // Links followed from each page
+      scoreLink: 'lead' // Prefer links from the article's lead section
     });
 
     console.log('\n=== Crawl Complete ===');
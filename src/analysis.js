@@ -0,0 +1,86 @@
+export const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+/**
+ * Flatten the numeric metrics of a processed document. Nested metric objects
+ * (e.g. `language`, `ngramDuplication`) contribute their numeric fields as
+ * dotted keys such as `language.confidence`.
+ * @param {Object} metrics - `pipeline.metrics` of a processed document
+ * @returns {Object} - Metric name -> number
+ */
+export function flattenMetrics(metrics) {
+  const flat = {};
+  for (const [key, value] of Object.entries(metrics)) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      flat[key] = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [field, nested] of Object.entries(value)) {
+        if (typeof nested === 'number' && Number.isFinite(nested)) {
+          flat[`${key}.${field}`] = nested;
+        }
+      }
+    }
+  }
+  return flat;
+}
+
+/**
+ * Percentile of sorted values, interpolating linearly between ranks
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} - Percentile value
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return NaN;
+  }
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Count values in equal-width bins between the minimum and maximum
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} bins - Number of bins
+ * @returns {Array<Object>} - { from, to, count } per bin; the last bin includes the maximum
+ */
+export function histogram(sorted, bins = 10) {
+  if (sorted.length === 0) {
+    return [];
+  }
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) {
+    return [{ from: min, to: max, count: sorted.length }];
+  }
+
+  const width = (max - min) / bins;
+  const result = Array.from({ length: bins }, (_, i) => ({
+    from: min + i * width,
+    to: i === bins - 1 ? max : min + (i + 1) * width,
+    count: 0
+  }));
+  for (const value of sorted) {
+    result[Math.min(bins - 1, Math.floor((value - min) / width))].count++;
+  }
+  return result;
+}
+
+/**
+ * Summarize the values of one metric
+ * @param {Array<number>} values - Metric values (any order)
+ * @param {number} bins - Histogram bins
+ * @returns {Object} - { count, min, max, mean, percentiles: { p5, ... }, histogram }
+ */
+export function summarize(values, bins = 10) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)])),
+    histogram: histogram(sorted, bins)
+  };
+}
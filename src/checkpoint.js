@@ -0,0 +1,82 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * CrawlCheckpoint - Persists the state of a recursive crawl (frontier, visited
+ * URLs, link tree and crawled pages) to a JSON file so an interrupted crawl
+ * can be resumed
+ */
+class CrawlCheckpoint {
+  /**
+   * @param {string} outputDir - Directory holding the checkpoint file
+   * @param {string} filename - Checkpoint filename (default: 'crawl_checkpoint.json')
+   */
+  constructor(outputDir, filename = 'crawl_checkpoint.json') {
+    this.filepath = path.join(outputDir, filename);
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Save a snapshot of the crawl state. The state is serialized immediately,
+   * and writes are queued so concurrent saves never interleave.
+   * @param {Object} state - Crawl state to persist
+   * @returns {Promise<string>} - Resolves with the checkpoint path once written
+   */
+  save(state) {
+    const json = JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      ...state
+    });
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => this.write(json));
+    return this.writing;
+  }
+
+  /**
+   * Write the checkpoint atomically (temp file + rename) so a crash during the
+   * write never leaves a truncated checkpoint behind
+   * @param {string} json - Serialized state
+   * @returns {string} - Checkpoint path
+   */
+  async write(json) {
+    try {
+      await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+      const tempPath = `${this.filepath}.tmp`;
+      await fs.writeFile(tempPath, json, 'utf-8');
+      await fs.rename(tempPath, this.filepath);
+      return this.filepath;
+    } catch (error) {
+      console.error('Error saving checkpoint:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the checkpoint from disk
+   * @returns {Object|null} - Saved crawl state, or null if there is no checkpoint
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.filepath, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      console.error('Error loading checkpoint:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for queued writes to finish
+   */
+  async flush() {
+    await this.writing;
+  }
+}
+
+export default CrawlCheckpoint;
@@ -0,0 +1,620 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { realpathSync } from 'fs';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import WikipediaCrawler from './crawler.js';
+import DataPipeline from './pipeline.js';
+import { loadConfig, applyOverrides, getCrawlerOptions, DEFAULT_CONFIG_PATH } from './config.js';
+import { validateConfig } from './schema.js';
+import { loadStagePlugins } from './stages.js';
+import SeedGenerator from './seeds.js';
+import { readArchive, listWarcFiles } from './warc.js';
+import { ConfigError } from './errors.js';
+
+const USAGE = `Usage: wiki-crawler <command> [options] [args]
+
+Commands:
+  crawl [urls...]        Crawl a list of pages and run them through the pipeline
+  recurse <startUrl>     Crawl recursively from a start page and build a link tree
+  process <file>         Run the pipeline over saved crawl output (.json, .jsonl, .jsonl.gz)
+  replay [archives...]   Re-run extraction and the pipeline over WARC files written with
+                         crawler.archive, without fetching (default: the archive directory)
+  analyze <file>         Dry run: report every filter, metric distributions and
+                         pass rates under the thresholds in --scenarios
+  tree <file>            Render the link tree of a saved recursive crawl or checkpoint
+  seeds                  Expand --sitemap, --category and --titles into a seed list file
+  merge-index <output> <inputs...>
+                         Merge dedup indices saved by several runs into one file
+  stages                 List the pipeline stages in the order they run
+
+Options:
+  --config <path>        Config file (default: ${DEFAULT_CONFIG_PATH})
+  --seeds <file>         Read seed URLs from a file, one per line ('-' for stdin)
+  --sitemap <url>        Add the page URLs of a sitemap or sitemap index (.xml or .xml.gz)
+  --category <url|title> Add the articles of a wiki category and its subcategories
+                         (down to seeds.categoryDepth levels)
+  --titles <file>        Add article titles from a file, one per line, on the seeds.wiki wiki
+  --out <file>           Name of the main output file in the output directory
+  --raw                  Skip the data pipeline
+  --scenarios <file>     JSON object of alternative pipeline options to preview with analyze,
+                         e.g. { "lenient": { "minWordCount": 10 } }
+  --<section>.<key> <v>  Override any config value, e.g. --crawling.concurrency=4
+  --help                 Show this help
+
+Values are parsed as JSON when possible, so --recursive.scoreLink=lead,
+--crawler.headless=false and --pipeline.targetLanguages='["eng","deu"]' all work.`;
+
+const BOOLEAN_FLAGS = ['raw', 'help'];
+const VALUE_FLAGS = ['config', 'seeds', 'sitemap', 'category', 'titles', 'out', 'scenarios'];
+const DISCOVERY_FLAGS = ['sitemap', 'category', 'titles'];
+
+/**
+ * Parse command-line arguments into a command, positionals, flags and
+ * dotted config overrides
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} - { command, positionals, flags, overrides }
+ */
+export function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  const overrides = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--') || arg === '--') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf('=');
+    let key = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+    let value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+
+    if (BOOLEAN_FLAGS.includes(key)) {
+      flags[key] = value === undefined ? true : value !== 'false';
+      continue;
+    }
+
+    // `--no-crawler.headless` is shorthand for `--crawler.headless=false`
+    if (value === undefined && key.startsWith('no-') && key.includes('.')) {
+      key = key.slice(3);
+      value = 'false';
+    }
+
+    if (!VALUE_FLAGS.includes(key) && !key.includes('.')) {
+      throw new Error(`Unknown option: --${key}`);
+    }
+
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        value = next;
+        i++;
+      } else if (key.includes('.')) {
+        value = 'true';
+      } else {
+        throw new Error(`Missing value for --${key}`);
+      }
+    }
+
+    if (VALUE_FLAGS.includes(key)) {
+      flags[key] = value;
+    } else {
+      overrides[key] = value;
+    }
+  }
+
+  return {
+    command: positionals.shift() || null,
+    positionals,
+    flags,
+    overrides
+  };
+}
+
+/**
+ * Split seed list text into URLs, ignoring blank lines and '#' comments
+ * @param {string} text - Seed list contents
+ * @returns {Array<string>} - Seed URLs
+ */
+export function parseSeedList(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Read all of stdin as text
+ * @returns {string} - Contents of stdin
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Expand the --sitemap, --category and --titles flags into seed URLs
+ * @param {Object} config - Full configuration (the seeds section configures discovery)
+ * @param {Object} flags - Parsed flags
+ * @returns {Array<string>} - Discovered URLs, in flag order
+ */
+async function discoverSeeds(config, flags) {
+  if (!DISCOVERY_FLAGS.some(flag => flags[flag])) {
+    return [];
+  }
+
+  let generator;
+  try {
+    generator = new SeedGenerator({
+      ...config.seeds,
+      userAgent: config.crawler.userAgent,
+      timeout: config.crawling.timeout
+    });
+  } catch (error) {
+    throw new ConfigError([`seeds.${error.message}`], 'configuration');
+  }
+
+  const sources = [
+    ['sitemap', url => generator.fromSitemap(url)],
+    ['category', category => generator.fromCategory(category)],
+    ['titles', filepath => generator.fromTitleFile(filepath)]
+  ];
+  const urls = [];
+  for (const [flag, expand] of sources) {
+    if (flags[flag]) {
+      const found = await expand(flags[flag]);
+      console.log(`Found ${found.length} seed URLs in ${flag} ${flags[flag]}`);
+      urls.push(...found);
+    }
+  }
+  return urls;
+}
+
+/**
+ * Collect seed URLs from positionals, the --seeds file or piped stdin, and
+ * the sitemap, category and titles sources
+ * @param {Array<string>} positionals - URLs given on the command line
+ * @param {Object} flags - Parsed flags
+ * @param {Object} config - Full configuration
+ * @returns {Array<string>} - Seed URLs
+ */
+export async function readSeeds(positionals, flags, config) {
+  const seeds = [...positionals];
+  const discovering = DISCOVERY_FLAGS.some(flag => flags[flag]);
+
+  if (flags.seeds === '-') {
+    seeds.push(...parseSeedList(await readStdin()));
+  } else if (flags.seeds) {
+    seeds.push(...parseSeedList(await fs.readFile(flags.seeds, 'utf-8')));
+  } else if (seeds.length === 0 && !discovering && !process.stdin.isTTY) {
+    seeds.push(...parseSeedList(await readStdin()));
+  }
+
+  // Discovered URLs may repeat seeds given directly or found by another source
+  for (const url of await discoverSeeds(config, flags)) {
+    if (!seeds.includes(url)) {
+      seeds.push(url);
+    }
+  }
+  return seeds;
+}
+
+/**
+ * Read crawled documents from a JSON array, a saved result object
+ * ({ crawledData } or { results }), or a JSONL file (optionally gzipped)
+ * @param {string} filepath - Input file
+ * @returns {Array<Object>} - Crawled documents
+ */
+async function readDocuments(filepath) {
+  let content = await fs.readFile(filepath);
+  if (filepath.endsWith('.gz')) {
+    content = zlib.gunzipSync(content);
+  }
+  const text = content.toString('utf-8');
+
+  if (/\.jsonl(\.gz)?$/.test(filepath)) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return data.crawledData || data.results || [];
+}
+
+/**
+ * Build a DataPipeline from the pipeline config section. Stage modules in
+ * `plugins` are imported first, `targetLanguages: "auto"` uses the languages
+ * of the seed URLs, and the dedup index in `indexFile` is loaded if it exists
+ * so documents from earlier runs count as duplicates.
+ * @param {Object} config - Full configuration
+ * @param {WikipediaCrawler} crawler - Crawler used to resolve seed languages
+ * @param {Array<string>} seeds - Seed URLs
+ * @returns {DataPipeline} - Configured pipeline
+ */
+async function createPipeline(config, crawler, seeds = []) {
+  const options = { ...(config.pipeline || {}) };
+  await loadStagePlugins(options.plugins);
+  if (options.targetLanguages === 'auto') {
+    options.targetLanguages = crawler.getTargetLanguages(seeds);
+  }
+  const pipeline = new DataPipeline(options);
+
+  if (options.indexFile && await pipeline.loadIndex(options.indexFile, { optional: true })) {
+    console.log(`Loaded dedup index: ${options.indexFile} (${pipeline.processedDocuments} documents)`);
+  }
+  return pipeline;
+}
+
+/**
+ * Save the pipeline's dedup index to `indexFile`, if one is configured
+ * @param {Object} config - Full configuration
+ * @param {DataPipeline} pipeline - Pipeline to save (may be null)
+ */
+async function saveIndex(config, pipeline) {
+  if (pipeline && config.pipeline.indexFile) {
+    await pipeline.saveIndex(config.pipeline.indexFile);
+    console.log(`Dedup index saved to: ${config.pipeline.indexFile}`);
+  }
+}
+
+/**
+ * Run crawled pages through the pipeline and save the filtered documents and stats
+ * @param {WikipediaCrawler} crawler - Crawler used for saving files
+ * @param {DataPipeline} pipeline - Pipeline to run
+ * @param {Array<Object>} documents - Crawled documents (failure records are ignored)
+ * @param {string} filename - Output filename for the filtered documents
+ */
+async function runPipeline(crawler, pipeline, documents, filename = 'filtered_results.json') {
+  const crawled = documents.filter(doc => doc && !doc.error);
+  console.log(`\nProcessing ${crawled.length} documents through the data pipeline...`);
+
+  const { results, stats, passRate } = await pipeline.processBatch(crawled);
+  console.log(`Passed filters: ${stats.passed}/${stats.total} (${(passRate * 100).toFixed(1)}%)`);
+  for (const [reason, count] of Object.entries(stats.failureReasons)) {
+    console.log(`  - ${reason}: ${count}`);
+  }
+
+  await crawler.saveToFile(pipeline.exportFiltered(results), filename);
+  await crawler.saveToFile({ ...stats, passRate, pipeline: pipeline.getStats() }, 'pipeline_stats.json');
+}
+
+/**
+ * Print the final request rate of every host when the crawler has a rate limiter
+ * @param {WikipediaCrawler} crawler - Crawler that finished a crawl
+ */
+function printRateLimits(crawler) {
+  const rateLimits = crawler.getRateLimits();
+  if (!rateLimits) {
+    return;
+  }
+  for (const [host, stats] of Object.entries(rateLimits)) {
+    console.log(`  ${host}: ${stats.requestsPerSecond}/${stats.targetRequestsPerSecond} requests/s, ` +
+      `${stats.requests} requests, ${stats.throttled} throttled, ${stats.slowdowns} slowdowns`);
+  }
+}
+
+/**
+ * `crawl`: crawl a list of URLs, save the raw results and the filtered documents
+ * @param {Object} config - Full configuration
+ * @param {Object} args - Parsed arguments
+ */
+async function commandCrawl(config, { positionals, flags }) {
+  const seeds = await readSeeds(positionals, flags, config);
+  if (seeds.length === 0) {
+    throw new Error('No seed URLs given (pass URLs, --seeds <file>, --sitemap, --category, --titles or pipe them on stdin)');
+  }
+
+  const crawler = new WikipediaCrawler(getCrawlerOptions(config));
+  const pipeline = flags.raw ? null : await createPipeline(config, crawler, seeds);
+  // When streaming, the crawler runs the pipeline itself as pages arrive
+  if (crawler.writer) {
+    crawler.options.pipeline = pipeline;
+  }
+
+  try {
+    console.log(`Crawling ${seeds.length} pages...\n`);
+    const results = await crawler.crawlMultiple(seeds);
+    const failed = results.filter(result => result.error).length;
+    console.log(`\nCrawled ${results.length - failed}/${results.length} pages`);
+    printRateLimits(crawler);
+
+    if (!crawler.writer) {
+      await crawler.saveToFile(results, flags.out || 'crawl_results.json');
+      if (pipeline) {
+        await runPipeline(crawler, pipeline, results);
+      }
+    }
+    await saveIndex(config, pipeline);
+  } finally {
+    await crawler.close();
+  }
+}
+
+/**
+ * `recurse`: crawl recursively from a start URL using the recursive config section
+ * @param {Object} config - Full configuration
+ * @param {Object} args - Parsed arguments
+ */
+async function commandRecurse(config, { positionals, flags }) {
+  const [startUrl] = await readSeeds(positionals, flags, config);
+  if (!startUrl) {
+    throw new Error('No start URL given');
+  }
+
+  const crawler = new WikipediaCrawler(getCrawlerOptions(config));
+  const pipeline = flags.raw ? null : await createPipeline(config, crawler, [startUrl]);
+  if (crawler.writer) {
+    crawler.options.pipeline = pipeline;
+  }
+
+  try {
+    const result = await crawler.crawlRecursive(startUrl, config.recursive);
+    console.log(`\nCrawled ${result.totalPages} pages`);
+    printRateLimits(crawler);
+
+    await crawler.saveToFile(result, flags.out || 'recursive_crawl.json');
+    await crawler.saveTreeToMarkdown(result.linkTree);
+
+    if (pipeline && !crawler.writer) {
+      await runPipeline(crawler, pipeline, result.crawledData);
+    }
+    await saveIndex(config, pipeline);
+  } finally {
+    await crawler.close();
+  }
+}
+
+/**
+ * `process`: run the pipeline over a saved crawl output file
+ * @param {Object} config - Full configuration
+ * @param {Object} args - Parsed arguments
+ */
+async function commandProcess(config, { positionals, flags }) {
+  const [input] = positionals;
+  if (!input) {
+    throw new Error('No input file given');
+  }
+
+  const documents = await readDocuments(input);
+  const crawler = new WikipediaCrawler({ ...getCrawlerOptions(config), stream: false });
+  const pipeline = await createPipeline(config, crawler, documents.filter(doc => doc.url).map(doc => doc.url));
+
+  await runPipeline(crawler, pipeline, documents, flags.out || 'filtered_results.json');
+  await saveIndex(config, pipeline);
+}
+
+/**
+ * `replay`: re-run text extraction and the pipeline over the pages of WARC
+ * archives, so jusText and pipeline settings can be tuned without recrawling
+ * @param {Object} config - Full configuration
+ * @param {Object} args - Parsed arguments
+ */
+async function commandReplay(config, { positionals, flags }) {
+  const { archive, outputDir } = config.crawler;
+  const inputs = positionals.length > 0
+    ? positionals
+    : [(typeof archive === 'object' && archive.dir) || path.join(outputDir, 'archive')];
+  const files = await listWarcFiles(inputs);
+  if (files.length === 0) {
+    throw new Error(`No WARC files found in ${inputs.join(', ')}`);
+  }
+
+  // Replayed pages are not archived a second time
+  const crawler = new WikipediaCrawler({ ...getCrawlerOptions(config), archive: false });
+  let pipeline = null;
+  // When streaming, the crawler runs the pipeline itself as pages are replayed,
+  // so `targetLanguages: "auto"` is resolved from a first pass over the archive
+  if (crawler.writer && !flags.raw) {
+    const urls = [];
+    if (config.pipeline.targetLanguages === 'auto') {
+      for await (const response of readArchive(files)) {
+        urls.push(response.url);
+      }
+    }
+    pipeline = await createPipeline(config, crawler, urls);
+    crawler.options.pipeline = pipeline;
+  }
+
+  try {
+    console.log(`Replaying ${files.length} WARC file(s)...\n`);
+    const results = await crawler.replay(files);
+    const failed = results.filter(result => result.error).length;
+    console.log(`\nReplayed ${results.length - failed}/${results.length} pages`);
+
+    if (!crawler.writer) {
+      await crawler.saveToFile(results, flags.out || 'replay_results.json');
+      if (!flags.raw) {
+        pipeline = await createPipeline(config, crawler, results.filter(result => !result.error).map(result => result.url));
+        await runPipeline(crawler, pipeline, results);
+      }
+    }
+    await saveIndex(config, pipeline);
+  } finally {
+    await crawler.close();
+  }
+}
+
+/**
+ * Print the summary of a pipeline analysis
+ * @param {Object} analysis - Result of DataPipeline.analyzeBatch()
+ */
+function printAnalysis(analysis) {
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  console.log(`\nWould pass: ${analysis.passed}/${analysis.total} (${percent(analysis.passRate)})`);
+
+  const filters = Object.entries(analysis.filters).sort(([, a], [, b]) => b.failed - a.failed);
+  if (filters.length > 0) {
+    console.log('\nFilter                          failed  only  first');
+    for (const [filter, report] of filters) {
+      console.log(`  ${filter.padEnd(30)}${String(report.failed).padStart(6)}${String(report.only).padStart(6)}${String(report.first).padStart(7)}`);
+    }
+  }
+
+  for (const [name, scenario] of Object.entries(analysis.scenarios)) {
+    const change = `${scenario.change >= 0 ? '+' : ''}${percent(scenario.change)}`;
+    console.log(`\nScenario ${name}: ${scenario.passed}/${analysis.total} (${percent(scenario.passRate)}, ${change})`);
+  }
+}
+
+/**
+ * `analyze`: dry-run the pipeline over a saved crawl output file and save a
+ * per-filter report, metric distributions and scenario pass rates
+ * @param {Object} config - Full configuration
+ * @param {Object} args - Parsed arguments
+ */
+async function commandAnalyze(config, { positionals, flags }) {
+  const [input] = positionals;
+  if (!input) {
+    throw new Error('No input file given');
+  }
+
+  const documents = (await readDocuments(input)).filter(doc => doc && !doc.error);
+  const scenarios = flags.scenarios ? JSON.parse(await fs.readFile(flags.scenarios, 'utf-8')) : {};
+  const crawler = new WikipediaCrawler({ ...getCrawlerOptions(config), stream: false });
+  const pipeline = await createPipeline(config, crawler, documents.filter(doc => doc.url).map(doc => doc.url));
+
+  console.log(`Analyzing ${documents.length} documents...`);
+  const analysis = await pipeline.analyzeBatch(documents, { scenarios });
+  printAnalysis(analysis);
+  await crawler.saveToFile(analysis, flags.out || 'pipeline_analysis.json');
+}
+
+/**
+ * `tree`: render the link tree of a saved recursive crawl, checkpoint or bare tree
+ * @param {Object} config - Full configuration
+ * @param {Object} args - Parsed arguments
+ */
+async function commandTree(config, { positionals, flags }) {
+  const [input] = positionals;
+  if (!input) {
+    throw new Error('No input file given');
+  }
+
+  const data = JSON.parse(await fs.readFile(input, 'utf-8'));
+  // Recursive results and checkpoints hold `linkTree`; a bare tree is the root node
+  const linkTree = data.linkTree || (data.url && data.depth === 0 ? data : null);
+  if (!linkTree) {
+    throw new Error(`No link tree found in ${input}`);
+  }
+
+  const crawler = new WikipediaCrawler({ ...getCrawlerOptions(config), stream: false });
+  await crawler.saveTreeToMarkdown(linkTree, flags.out || 'url_tree.md');
+}
+
+/**
+ * `merge-index`: merge dedup indices from several runs into one file. The
+ * pipeline section must use the same strategy and n-gram / MinHash settings.
+ * @param {Object} config - Full configuration
+ * @param {Object} args - Parsed arguments
+ */
+async function commandMergeIndex(config, { positionals }) {
+  const [output, ...inputs] = positionals;
+  if (!output || inputs.length === 0) {
+    throw new Error('Usage: merge-index <output> <inputs...>');
+  }
+
+  const crawler = new WikipediaCrawler({ ...getCrawlerOptions(config), stream: false });
+  const pipeline = await createPipeline({ ...config, pipeline: { ...config.pipeline, indexFile: null } }, crawler);
+  for (const input of inputs) {
+    await pipeline.loadIndex(input);
+    console.log(`Merged ${input}`);
+  }
+
+  await pipeline.saveIndex(output);
+  console.log(`Dedup index saved to: ${output} (${pipeline.processedDocuments} documents)`);
+}
+
+/**
+ * `stages`: print the enabled pipeline stages with their options, metrics and filters
+ * @param {Object} config - Full configuration
+ */
+async function commandStages(config) {
+  const crawler = new WikipediaCrawler({ ...getCrawlerOptions(config), stream: false });
+  const pipeline = await createPipeline({ ...config, pipeline: { ...config.pipeline, indexFile: null } }, crawler);
+
+  pipeline.describeStages().forEach(({ name, description, options, metrics, filters }, index) => {
+    console.log(`${index + 1}. ${name}${description ? ` - ${description}` : ''}`);
+    if (Object.keys(options).length > 0) {
+      console.log(`   options: ${Object.entries(options).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ')}`);
+    }
+    if (metrics.length > 0) {
+      console.log(`   metrics: ${metrics.join(', ')}`);
+    }
+    if (filters.length > 0) {
+      console.log(`   filters: ${filters.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * `seeds`: expand the seed sources into a seed list file for `crawl --seeds`
+ * @param {Object} config - Full configuration
+ * @param {Object} args - Parsed arguments
+ */
+async function commandSeeds(config, { positionals, flags }) {
+  const seeds = await readSeeds(positionals, flags, config);
+  if (seeds.length === 0) {
+    throw new Error('No seed URLs found (pass --sitemap, --category or --titles)');
+  }
+
+  const outputDir = config.crawler.outputDir;
+  await fs.mkdir(outputDir, { recursive: true });
+  const filepath = path.join(outputDir, flags.out || 'seeds.txt');
+  await fs.writeFile(filepath, `${seeds.join('\n')}\n`, 'utf-8');
+  console.log(`Saved ${seeds.length} seed URLs to: ${filepath}`);
+}
+
+const COMMANDS = {
+  crawl: commandCrawl,
+  recurse: commandRecurse,
+  process: commandProcess,
+  replay: commandReplay,
+  analyze: commandAnalyze,
+  tree: commandTree,
+  'merge-index': commandMergeIndex,
+  stages: commandStages,
+  seeds: commandSeeds
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ */
+export async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  if (args.flags.help || !args.command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const command = COMMANDS[args.command];
+  if (!command) {
+    throw new Error(`Unknown command: ${args.command}\n\n${USAGE}`);
+  }
+
+  // Only an explicit --config has to exist
+  const configPath = args.flags.config || DEFAULT_CONFIG_PATH;
+  const baseConfig = await loadConfig(configPath, { optional: !args.flags.config });
+  const config = validateConfig(applyOverrides(baseConfig, args.overrides), `configuration (${configPath} and command-line overrides)`);
+
+  await command(config, args);
+}
+
+const isEntryPoint = process.argv[1] &&
+  realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isEntryPoint) {
+  main().catch(error => {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+
+export const DEFAULT_CONFIG_PATH = './config.json';
+
+/**
+ * Load a JSON configuration file. Validation is left to validateConfig() so
+ * command-line overrides can be applied first.
+ * @param {string} configPath - Path to the config file (default: './config.json')
+ * @param {Object} options - Loading options
+ * @param {boolean} options.optional - Return an empty config if the file does not exist (default: false)
+ * @returns {Object} - Parsed configuration with crawler, justext, crawling, recursive, seeds and pipeline sections
+ */
+export async function loadConfig(configPath = DEFAULT_CONFIG_PATH, options = {}) {
+  let content;
+  try {
+    content = await fs.readFile(configPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && options.optional) {
+      return {};
+    }
+    throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a command-line value: JSON literals (numbers, booleans, null, arrays,
+ * objects) are decoded, anything else is kept as a string
+ * @param {string} value - Raw value
+ * @returns {*} - Parsed value
+ */
+export function parseValue(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Set a dotted key (e.g. 'crawling.maxPages') in a config object, creating
+ * intermediate sections as needed
+ * @param {Object} config - Configuration to modify
+ * @param {string} key - Dotted key path
+ * @param {*} value - Value to set
+ */
+export function setConfigValue(config, key, value) {
+  const parts = key.split('.');
+  let section = config;
+  for (const part of parts.slice(0, -1)) {
+    if (typeof section[part] !== 'object' || section[part] === null) {
+      section[part] = {};
+    }
+    section = section[part];
+  }
+  section[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Apply dotted-key overrides to a copy of a configuration
+ * @param {Object} config - Base configuration
+ * @param {Object} overrides - Map of dotted keys to raw values
+ * @returns {Object} - New configuration with overrides applied
+ */
+export function applyOverrides(config, overrides = {}) {
+  const result = structuredClone(config);
+  for (const [key, value] of Object.entries(overrides)) {
+    setConfigValue(result, key, parseValue(value));
+  }
+  return result;
+}
+
+/**
+ * Build WikipediaCrawler options from the crawler, crawling and justext sections
+ * @param {Object} config - Full configuration
+ * @returns {Object} - Crawler constructor options
+ */
+export function getCrawlerOptions(config) {
+  const { crawler = {}, crawling = {}, justext } = config;
+  const options = { ...crawler, ...crawling };
+  if (justext) {
+    options.justext = justext;
+  }
+  return options;
+}
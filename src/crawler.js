@@ -1,261 +1,704 @@
-import puppeteer from 'puppeteer';
 import { rawHtml } from '@smodin/justext';
 import fs from 'fs/promises';
 import path from 'path';
+import Frontier from './frontier.js';
+import CrawlCheckpoint from './checkpoint.js';
+import JsonlWriter from './jsonl-writer.js';
+import WarcWriter, { readArchive } from './warc.js';
+import RobotsPolicy, { RobotsBlockedError } from './robots.js';
+import { getWikiLanguage, toIso6393, toJusTextLanguage, DEFAULT_WIKI_LANGUAGE } from './languages.js';
+import PuppeteerFetcher from './puppeteer-fetcher.js';
+import MediaWikiFetcher from './mediawiki-fetcher.js';
+import HttpFetcher from './http-fetcher.js';
+import LinkScope from './link-scope.js';
+import RetryPolicy from './retry.js';
+import RateLimiter from './rate-limiter.js';
+import { ConfigError, DuplicatePageError, ExtractionError, classifyError, toFailureRecord } from './errors.js';
+import { stripElements, htmlToBlocks, renderMarkdown } from './markdown.js';
+import {
+  validateOptions, applyDefaults, CRAWLER_OPTIONS_SCHEMA, RECURSIVE_SCHEMA, JUSTEXT_SCHEMA, MARKDOWN_SCHEMA
+} from './schema.js';
 
 /**
  * WikipediaCrawler - A web crawler for gathering Wikipedia pages data
- * and filtering text content using jusText
+ * and filtering text content using jusText. Other sites are crawled with
+ * the `http` or `puppeteer` fetcher and a `scope` other than 'wikipedia'.
  */
 class WikipediaCrawler {
+  /**
+   * @param {Object} options - Crawler options, validated against CRAWLER_OPTIONS_SCHEMA (see src/schema.js)
+   * @throws {ConfigError} - When an option is unknown, mistyped or out of range
+   */
   constructor(options = {}) {
-    this.options = {
-      headless: options.headless !== false,
-      outputDir: options.outputDir || './output',
-      ...options
-    };
-    this.browser = null;
+    this.options = validateOptions(CRAWLER_OPTIONS_SCHEMA, options, 'WikipediaCrawler options');
+    this.fetcher = this.createFetcher();
+    this.initialized = false;
+    
+    // Which links are followed: a preset name or { preset, ...rules } (see src/link-scope.js)
+    try {
+      this.scope = new LinkScope(this.options.scope);
+    } catch (error) {
+      throw new ConfigError([`scope: ${error.message}`], 'WikipediaCrawler options');
+    }
+    
+    // Retry transient failures unless `retry: false`; an object customizes the policy
+    this.retryPolicy = this.options.retry === false
+      ? new RetryPolicy({ maxAttempts: 1 })
+      : new RetryPolicy(typeof this.options.retry === 'object' ? this.options.retry : {});
+    
+    // Keep the pipeline's language filter in line with an explicit crawl language
+    if (this.options.language && this.options.pipeline) {
+      const expected = toIso6393(this.options.language);
+      if (!this.options.pipeline.options.targetLanguages.includes(expected)) {
+        console.warn(`Pipeline targetLanguages ${JSON.stringify(this.options.pipeline.options.targetLanguages)} ` +
+          `do not include the crawl language '${expected}'; every page will be rejected`);
+      }
+    }
+    
+    this.robots = this.options.respectRobotsTxt
+      ? new RobotsPolicy({ userAgent: this.options.userAgent })
+      : null;
+    
+    // Per-host token buckets replace the fixed delayBetweenRequests when `rateLimit` is set
+    this.rateLimiter = this.options.rateLimit
+      ? new RateLimiter(typeof this.options.rateLimit === 'object' ? this.options.rateLimit : {})
+      : null;
+    
+    // Without a rate limiter, the time each host may next be sent a request
+    this.hostSlots = new Map();
+    
+    // Optional streaming output: `stream: true` or { prefix, maxBytes, gzip }
+    this.writer = null;
+    if (this.options.stream) {
+      const streamOptions = typeof this.options.stream === 'object' ? this.options.stream : {};
+      this.writer = new JsonlWriter(this.options.outputDir, streamOptions);
+    }
+    // URLs already in the shards when a streamed crawl is resumed
+    this.writtenUrls = null;
+    
+    // Optional WARC archive of every fetched page: `archive: true` or { dir, prefix, maxBytes, gzip }
+    this.archive = null;
+    if (this.options.archive) {
+      const { dir, ...archiveOptions } = typeof this.options.archive === 'object' ? this.options.archive : {};
+      this.archive = new WarcWriter(dir || path.join(this.options.outputDir, 'archive'), archiveOptions);
+    }
   }
 
   /**
-   * Initialize the browser instance
+   * Create the fetcher backend selected by the `fetcher` option
+   * @returns {Object} - Fetcher with init(), fetch(url, options) and close()
+   */
+  createFetcher() {
+    const { fetcher } = this.options;
+    
+    if (fetcher && typeof fetcher === 'object') {
+      return fetcher;
+    }
+    
+    switch (fetcher || 'puppeteer') {
+      case 'puppeteer':
+        return new PuppeteerFetcher({
+          headless: this.options.headless,
+          executablePath: this.options.executablePath,
+          concurrency: this.options.concurrency,
+          timeout: this.options.timeout
+        });
+      case 'mediawiki':
+      case 'rest':
+        return new MediaWikiFetcher({
+          api: fetcher === 'rest' ? 'rest' : 'parse',
+          userAgent: this.options.userAgent,
+          timeout: this.options.timeout
+        });
+      case 'http':
+        return new HttpFetcher({
+          userAgent: this.options.userAgent,
+          timeout: this.options.timeout
+        });
+      default:
+        throw new Error(`Unknown fetcher: ${fetcher}`);
+    }
+  }
+
+  /**
+   * Initialize the fetcher backend (launches the browser for Puppeteer)
    */
   async init() {
-    try {
-      // Try to use system Chrome if Puppeteer's Chrome is not available
-      const launchOptions = {
-        headless: this.options.headless,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      };
-      
-      // If executablePath is provided in options, use it
-      if (this.options.executablePath) {
-        launchOptions.executablePath = this.options.executablePath;
+    await this.fetcher.init();
+    this.initialized = true;
+  }
+
+  /**
+   * Fetch a page with the configured backend after checking robots.txt,
+   * retrying timeouts, 429 and 5xx responses according to the retry policy.
+   * With the `archive` option the response is also written to the WARC archive.
+   * @param {string} url - Page URL
+   * @param {Object} options - Fetch options passed to the fetcher (e.g. onRedirect)
+   * @returns {Object} - Fetcher response ({ url, status, headers, title, html, links })
+   */
+  async fetchPage(url, options = {}) {
+    if (this.robots && !(await this.robots.isAllowed(url))) {
+      console.log(`Skipping (robots.txt): ${url}`);
+      throw new RobotsBlockedError(url);
+    }
+
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    // A robots.txt Crawl-delay caps the host's rate
+    const crawlDelay = this.robots ? this.robots.getCrawlDelay(url) : null;
+    if (this.rateLimiter && crawlDelay) {
+      this.rateLimiter.limitHost(url, 1000 / crawlDelay);
+    }
+
+    const response = await this.retryPolicy.run(
+      () => this.rateLimitedFetch(url, options),
+      (error, attempt, delay) => {
+        console.log(`Retrying ${url} in ${Math.round(delay)}ms ` +
+          `(attempt ${attempt} failed: ${classifyError(error)} - ${error.message})`);
       }
-      
-      this.browser = await puppeteer.launch(launchOptions);
-      console.log('Browser initialized successfully');
+    );
+
+    if (this.archive) {
+      await this.archive.writeResponse(url, response);
+    }
+    return response;
+  }
+
+  /**
+   * Make one request through the fetcher, waiting for the host's rate limit
+   * (or its request delay) first and reporting the outcome to it afterwards
+   * @param {string} url - Page URL
+   * @param {Object} options - Fetch options passed to the fetcher
+   * @returns {Object} - Fetcher response
+   */
+  async rateLimitedFetch(url, options = {}) {
+    if (!this.rateLimiter) {
+      await this.waitForHostSlot(url);
+      return this.fetcher.fetch(url, options);
+    }
+
+    await this.rateLimiter.acquire(url);
+    const started = Date.now();
+    try {
+      const response = await this.fetcher.fetch(url, options);
+      this.rateLimiter.record(url, { ok: true, status: response.status ?? null, latency: Date.now() - started });
+      return response;
     } catch (error) {
-      console.error('Failed to initialize browser:', error.message);
+      this.rateLimiter.record(url, { ok: false, status: error.status ?? null, latency: Date.now() - started });
       throw error;
     }
   }
 
+  /**
+   * Current request rate and throttling counts of every host, when `rateLimit` is set
+   * @returns {Object|null} - Per-host stats (see RateLimiter.getStats), or null without a rate limiter
+   */
+  getRateLimits() {
+    return this.rateLimiter ? this.rateLimiter.getStats() : null;
+  }
+
   /**
    * Crawl a Wikipedia page and extract filtered text content
    * @param {string} url - The Wikipedia page URL to crawl
    * @returns {Object} - Object containing the page data and filtered text
    */
   async crawlPage(url) {
-    if (!this.browser) {
-      await this.init();
-    }
+    const { pageData } = await this.crawlPageWithLinks(url);
+    return pageData;
+  }
 
-    const page = await this.browser.newPage();
-    
+  /**
+   * Crawl a page and return both its data and its links in scope, so recursive
+   * crawls only fetch each page once
+   * @param {string} url - The Wikipedia page URL to crawl
+   * @param {string} startUrl - Start URL of the crawl, for scope rules relative to it (default: url)
+   * @param {Object} options - Fetch options passed to the fetcher (e.g. onRedirect)
+   * @returns {Object} - { pageData, links } where links are canonical { url, inLead, position } objects
+   */
+  async crawlPageWithLinks(url, startUrl = url, options = {}) {
     try {
       console.log(`Crawling: ${url}`);
       
-      // Navigate to the page
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: 30000
-      });
-
-      // Get page title
-      const title = await page.title();
-      
-      // Get the HTML content
-      const html = await page.content();
-      
-      // Use jusText to extract and filter text content
-      const filteredText = await this.filterTextWithJusText(html);
-      
-      // Get additional metadata
-      const metadata = await page.evaluate(() => {
-        return {
-          url: window.location.href,
-          timestamp: new Date().toISOString()
-        };
-      });
+      const response = await this.fetchPage(url, options);
+      const pageData = this.buildPageData(response);
 
-      const result = {
-        title,
-        url: metadata.url,
-        timestamp: metadata.timestamp,
-        filteredText,
-        rawTextLength: filteredText.length
-      };
-
-      console.log(`Successfully crawled: ${title}`);
-      return result;
+      console.log(`Successfully crawled: ${response.title}`);
+      return { pageData, links: this.scope.filter(response.links, response.url, startUrl) };
       
     } catch (error) {
-      console.error(`Error crawling ${url}:`, error.message);
+      if (!(error instanceof RobotsBlockedError || error instanceof DuplicatePageError)) {
+        console.error(`Error crawling ${url} (${classifyError(error)}):`, error.message);
+      }
       throw error;
-    } finally {
-      await page.close();
     }
   }
 
   /**
-   * Get all Wikipedia links from a page
-   * @param {string} url - The Wikipedia page URL to extract links from
-   * @returns {Array<string>} - Array of Wikipedia article URLs found on the page
+   * Extract the text of a fetched (or archived) page into the page data
+   * returned by crawlPage
+   * @param {Object} response - Fetcher response ({ url, title, html })
+   * @param {string} timestamp - ISO time the page was fetched (default: now)
+   * @returns {Object} - Page data
+   * @throws {ExtractionError} - When jusText fails on the page
    */
-  async getWikipediaLinks(url) {
-    if (!this.browser) {
-      await this.init();
+  buildPageData(response, timestamp = new Date().toISOString()) {
+    // Use jusText with the stoplist of the wiki's language to extract and filter text content
+    const language = this.getPageLanguage(response.url);
+    const filteredText = this.extractText(response.url, response.html, language);
+
+    const pageData = {
+      title: response.title,
+      url: response.url,
+      language,
+      timestamp,
+      filteredText,
+      rawTextLength: filteredText.length
+    };
+    if (this.options.markdown) {
+      pageData.format = 'markdown';
     }
+    return pageData;
+  }
 
-    const page = await this.browser.newPage();
-    
+  /**
+   * Get the links of a page that are in the crawler's scope
+   * @param {string} url - The page URL to extract links from
+   * @param {Object} options - Extraction options
+   * @param {boolean} options.details - Return { url, inLead, position } objects instead of URLs
+   * @returns {Array<string|Object>} - Canonical URLs of the links in scope, in page order
+   * @throws {Error} - When the page cannot be fetched, like crawlPage
+   */
+  async getLinks(url, options = {}) {
     try {
       console.log(`Extracting links from: ${url}`);
       
-      // Navigate to the page
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: 30000
-      });
+      const response = await this.fetchPage(url);
+      const links = this.scope.filter(response.links, response.url, url);
 
-      // Extract Wikipedia article links from the page
-      const links = await page.evaluate(() => {
-        const linkElements = document.querySelectorAll('#mw-content-text a[href^="/wiki/"]');
-        const urls = new Set();
-        
-        linkElements.forEach(link => {
-          const href = link.getAttribute('href');
-          // Filter out special pages, files, and other non-article pages
-          if (href && 
-              !href.includes(':') && 
-              !href.includes('#') &&
-              !href.startsWith('/wiki/Special:') &&
-              !href.startsWith('/wiki/File:') &&
-              !href.startsWith('/wiki/Wikipedia:') &&
-              !href.startsWith('/wiki/Help:') &&
-              !href.startsWith('/wiki/Template:') &&
-              !href.startsWith('/wiki/Category:') &&
-              !href.startsWith('/wiki/Portal:') &&
-              !href.startsWith('/wiki/Talk:')) {
-            // Convert relative URLs to absolute
-            const fullUrl = `https://en.wikipedia.org${href}`;
-            urls.add(fullUrl);
-          }
-        });
-        
-        return Array.from(urls);
-      });
-
-      console.log(`Found ${links.length} Wikipedia links`);
-      return links;
+      console.log(`Found ${links.length} links in scope`);
+      return options.details ? links : links.map(link => link.url);
       
     } catch (error) {
-      console.error(`Error extracting links from ${url}:`, error.message);
-      return [];
-    } finally {
-      await page.close();
+      if (!(error instanceof RobotsBlockedError)) {
+        console.error(`Error extracting links from ${url} (${classifyError(error)}):`, error.message);
+      }
+      throw error;
     }
   }
 
   /**
-   * Recursively crawl Wikipedia pages following links
+   * Get the article links of a Wikipedia page. Same as getLinks, which with
+   * the default 'wikipedia' scope returns article links only
+   * @param {string} url - The Wikipedia page URL to extract links from
+   * @param {Object} options - Extraction options (see getLinks)
+   * @returns {Array<string|Object>} - Array of Wikipedia article URLs found on the page
+   */
+  async getWikipediaLinks(url, options = {}) {
+    return this.getLinks(url, options);
+  }
+
+  /**
+   * Recursively crawl Wikipedia pages following links. Pages are taken from a
+   * frontier in breadth-first order unless a scoring function is given. Pages
+   * are tracked by their canonical URL after redirects, so an article reached
+   * through several aliases is crawled and counted once.
    * @param {string} startUrl - The starting Wikipedia page URL
    * @param {Object} options - Options for recursive crawling
    * @param {number} options.maxPages - Maximum number of pages to crawl (default: 100)
-   * @param {number} options.maxDepth - Maximum depth to crawl (default: 3)
-   * @returns {Object} - Object containing crawl results and link tree
+   * @param {number} options.maxDepth - Maximum depth to crawl, 0 for the start page only (default: 3)
+   * @param {number} options.maxLinksPerPage - Maximum number of links followed from each page (default: 5, 0 for all)
+   * @param {Function|string} options.scoreLink - Link scoring function, or 'lead' / 'inlinks' for a built-in scorer
+   * @param {boolean} options.resume - Continue from the checkpoint in outputDir if one exists (default: false)
+   * @param {number} options.checkpointInterval - Save a checkpoint every N crawled pages, 0 to disable (default: 10)
+   * @param {string} options.checkpointFile - Checkpoint filename in outputDir (default: 'crawl_checkpoint.json')
+   * @param {boolean} options.retainResults - Keep crawled pages in `crawledData`; set to false when streaming (default: true)
+   * @returns {Object} - Object containing crawl results, link tree and redirects (alias → canonical URL)
    */
   async crawlRecursive(startUrl, options = {}) {
-    const maxPages = options.maxPages || 100;
-    const maxDepth = options.maxDepth || 3;
+    options = validateOptions(RECURSIVE_SCHEMA, options, 'crawlRecursive options');
+    const { maxPages, maxDepth, checkpointInterval, retainResults } = options;
+    const seedUrl = this.scope.canonicalize(startUrl) || startUrl;
+    
+    let visited = new Set();
+    let skipped = new Set();
+    let failed = [];
+    let crawledData = [];
+    let linkTree = { url: seedUrl, title: '', children: [], depth: 0 };
+    // URLs that redirected, mapped to the canonical URL of the page they lead to
+    let redirects = new Map();
+    
+    const frontier = new Frontier({
+      scoreLink: options.scoreLink,
+      maxLinksPerPage: options.maxLinksPerPage
+    });
+    const checkpoint = new CrawlCheckpoint(this.options.outputDir, options.checkpointFile);
+    const saved = options.resume ? await checkpoint.load() : null;
+    
+    if (saved) {
+      if (saved.startUrl !== startUrl) {
+        throw new Error(`Checkpoint ${checkpoint.filepath} belongs to a crawl of ${saved.startUrl}`);
+      }
+      visited = new Set(saved.visitedUrls);
+      skipped = new Set(saved.skippedUrls || []);
+      failed = saved.failedUrls || [];
+      crawledData = saved.crawledData;
+      linkTree = saved.linkTree;
+      redirects = new Map(saved.redirects || []);
+      frontier.restore(saved.frontier);
+      console.log(`Resuming crawl: ${visited.size} pages done, ${frontier.size} queued`);
+      
+      // Pages crawled after the checkpoint are crawled again, but were already streamed
+      if (this.writer) {
+        this.writtenUrls = await this.writer.readWrittenUrls();
+      }
+    } else {
+      frontier.add({ url: seedUrl, depth: 0 });
+    }
     
-    const visited = new Set();
-    const crawledData = [];
-    const linkTree = { url: startUrl, title: '', children: [], depth: 0 };
+    // Tree nodes by URL and alias, so restored frontier entries can find their parent
+    const nodesByUrl = new Map();
+    const indexTree = (node) => {
+      nodesByUrl.set(node.url, node);
+      (node.aliases || []).forEach(alias => nodesByUrl.set(alias, node));
+      node.children.forEach(indexTree);
+    };
+    indexTree(linkTree);
     
-    const crawlHelper = async (url, depth, parentNode) => {
+    const detachNode = (node, parentUrl) => {
+      const parentNode = nodesByUrl.get(parentUrl);
+      if (parentNode && node !== linkTree) {
+        parentNode.children.splice(parentNode.children.indexOf(node), 1);
+        nodesByUrl.delete(node.url);
+      }
+    };
+    
+    // Pages taken from the frontier but not finished yet
+    const inFlight = new Map();
+    // Redirect targets claimed by pages in flight before requesting them
+    const redirectTargets = new Set();
+    let crawledSinceCheckpoint = 0;
+    
+    const saveCheckpoint = () => {
+      const unfinished = new Set(Array.from(inFlight.values()).flatMap(task => [task.url, task.canonicalUrl]));
+      const done = Array.from(visited).filter(url => !unfinished.has(url));
+      return checkpoint.save({
+        startUrl,
+        visitedUrls: done,
+        skippedUrls: Array.from(skipped),
+        failedUrls: failed,
+        crawledData,
+        linkTree,
+        redirects: Array.from(redirects),
+        frontier: frontier.toJSON(Array.from(inFlight.values()))
+      });
+    };
+    
+    const nextTask = () => {
       // Stop if we've reached the limits
-      if (visited.size >= maxPages || depth > maxDepth || visited.has(url)) {
-        return;
+      if (visited.size >= maxPages) {
+        return null;
+      }
+      
+      let task = frontier.next();
+      // Skip entries queued before a redirect showed their page was already crawled
+      // or is being fetched by another worker
+      while (task && (visited.has(redirects.get(task.url) || task.url) || redirectTargets.has(task.url))) {
+        task = frontier.next();
+      }
+      if (!task) {
+        return null;
       }
       
-      visited.add(url);
+      // Claim the page synchronously so concurrent workers never exceed maxPages
+      visited.add(task.url);
+      inFlight.set(task.url, task);
+      
+      // Add child node to tree (a resumed page may already have one)
+      task.node = nodesByUrl.get(task.url);
+      if (!task.node) {
+        const parentNode = nodesByUrl.get(task.parentUrl) || linkTree;
+        task.node = { url: task.url, title: '', children: [], depth: task.depth };
+        parentNode.children.push(task.node);
+        nodesByUrl.set(task.url, task.node);
+      }
+      return task;
+    };
+    
+    // Record an alias of a page crawled through another URL and drop its copy
+    const dropDuplicate = (task, finalUrl) => {
+      redirects.set(task.url, finalUrl);
+      frontier.markSeen(finalUrl);
+      visited.delete(task.url);
+      detachNode(task.node, task.parentUrl);
+      const target = nodesByUrl.get(finalUrl);
+      if (target) {
+        target.aliases = [...(target.aliases || []), task.url];
+        nodesByUrl.set(task.url, target);
+      }
+      console.log(`Skipping duplicate: ${task.url} redirects to ${finalUrl}`);
+    };
+    
+    const crawlTask = async (task) => {
+      const { url, depth, node, parentUrl } = task;
+      // Redirect targets are claimed before they are requested, so a page linked
+      // through an alias and its own URL is not fetched by two workers at once
+      const claims = [];
+      const onRedirect = (location) => {
+        const target = this.scope.canonicalize(location) || location;
+        if (target === url || claims.includes(target)) {
+          return;
+        }
+        if (visited.has(target) || redirectTargets.has(target)) {
+          throw new DuplicatePageError(url, target);
+        }
+        redirectTargets.add(target);
+        claims.push(target);
+      };
       
       try {
         // Crawl the current page
-        const pageData = await this.crawlPage(url);
-        crawledData.push(pageData);
+        const { pageData, links } = await this.crawlPageWithLinks(url, seedUrl, { onRedirect });
+        
+        // After a redirect the page is tracked under its final URL
+        const finalUrl = this.scope.canonicalize(pageData.url) || pageData.url;
+        if (finalUrl !== url) {
+          if (visited.has(finalUrl)) {
+            dropDuplicate(task, finalUrl);
+            return;
+          }
+          
+          redirects.set(url, finalUrl);
+          frontier.markSeen(finalUrl);
+          visited.delete(url);
+          visited.add(finalUrl);
+          task.canonicalUrl = finalUrl;
+          node.url = finalUrl;
+          node.aliases = [...(node.aliases || []), url];
+          nodesByUrl.set(finalUrl, node);
+        }
+        
+        await this.emitDocument(pageData);
         
         // Update tree node
-        if (parentNode) {
-          parentNode.title = pageData.title;
+        node.title = pageData.title;
+        
+        // If we haven't reached max depth, queue the best links. They are queued
+        // even once maxPages is reached, so a resumed crawl with a higher limit
+        // continues from the checkpointed frontier.
+        if (depth < maxDepth) {
+          const resolvedLinks = this.resolveRedirects(links, redirects, finalUrl);
+          const allowedLinks = await this.filterAllowedLinks(resolvedLinks, skipped);
+          frontier.addLinks(allowedLinks, { depth: depth + 1, parentUrl: finalUrl });
         }
         
-        // If we haven't reached max depth or max pages, get links
-        if (depth < maxDepth && visited.size < maxPages) {
-          const links = await this.getWikipediaLinks(url);
-          
-          // Crawl a subset of links to avoid exponential growth
-          const linksToFollow = links.slice(0, Math.min(5, maxPages - visited.size));
-          
-          for (const link of linksToFollow) {
-            if (visited.size >= maxPages) break;
-            if (visited.has(link)) continue;
-            
-            // Add child node to tree
-            const childNode = { url: link, title: '', children: [], depth: depth + 1 };
-            if (parentNode) {
-              parentNode.children.push(childNode);
-            }
-            
-            // Recursively crawl
-            await crawlHelper(link, depth + 1, childNode);
-            
-            // Small delay between requests
-            await this.delay(1000);
-          }
+        // Kept in the same synchronous step that takes the page out of inFlight, so a
+        // checkpoint saved by another worker never holds it both as crawled and queued
+        if (retainResults) {
+          crawledData.push(pageData);
         }
       } catch (error) {
+        if (error instanceof RobotsBlockedError) {
+          // Blocked pages were never fetched, so they don't count towards maxPages
+          skipped.add(url);
+          visited.delete(url);
+          detachNode(node, parentUrl);
+          return;
+        }
+        if (error instanceof DuplicatePageError) {
+          dropDuplicate(task, error.targetUrl);
+          return;
+        }
         console.error(`Error in recursive crawl of ${url}:`, error.message);
+        failed.push(toFailureRecord(url, error));
+      } finally {
+        inFlight.delete(url);
+        claims.forEach(target => redirectTargets.delete(target));
+      }
+      
+      crawledSinceCheckpoint++;
+      if (checkpointInterval > 0 && crawledSinceCheckpoint >= checkpointInterval) {
+        crawledSinceCheckpoint = 0;
+        // A failed save is retried at the next interval instead of ending the crawl
+        await saveCheckpoint().catch(error => {
+          console.warn(`Checkpoint not saved after ${url}, the crawl continues: ${error.message}`);
+        });
       }
     };
     
-    await crawlHelper(startUrl, 0, linkTree);
+    await this.runWorkers(nextTask, crawlTask);
+    
+    if (checkpointInterval > 0) {
+      await saveCheckpoint();
+    }
     
     return {
       crawledData,
       linkTree,
       totalPages: visited.size,
-      visitedUrls: Array.from(visited)
+      visitedUrls: Array.from(visited),
+      skippedUrls: Array.from(skipped),
+      failedUrls: failed,
+      redirects: Object.fromEntries(redirects),
+      rateLimits: this.getRateLimits()
+    };
+  }
+
+  /**
+   * Point links to known redirects at the page they lead to, dropping links
+   * that then duplicate another link or lead back to the page itself
+   * @param {Array<Object>} links - { url, inLead, position } links of a page
+   * @param {Map<string, string>} redirects - Alias → canonical URL
+   * @param {string} pageUrl - Canonical URL of the page
+   * @returns {Array<Object>} - Links with canonical URLs, in page order
+   */
+  resolveRedirects(links, redirects, pageUrl) {
+    const resolved = new Map();
+    for (const link of links) {
+      const url = redirects.get(link.url) || link.url;
+      if (url !== pageUrl && !resolved.has(url)) {
+        resolved.set(url, url === link.url ? link : { ...link, url });
+      }
+    }
+    return Array.from(resolved.values());
+  }
+
+  /**
+   * Drop links that robots.txt disallows, recording them as skipped
+   * @param {Array<string|Object>} links - URLs or { url, ... } link objects
+   * @param {Set<string>} skipped - Set collecting disallowed URLs
+   * @returns {Array<string|Object>} - Links that may be crawled
+   */
+  async filterAllowedLinks(links, skipped) {
+    if (!this.robots) {
+      return links;
+    }
+    
+    const allowed = [];
+    for (const link of links) {
+      const url = typeof link === 'string' ? link : link.url;
+      if (await this.robots.isAllowed(url)) {
+        allowed.push(link);
+      } else {
+        skipped.add(url);
+      }
+    }
+    return allowed;
+  }
+
+  /**
+   * Time between requests to the URL's host: the robots.txt Crawl-delay when
+   * one is set, otherwise delayBetweenRequests. With a rate limiter, requests
+   * wait for their host's token instead.
+   * @param {string} url - Request URL
+   * @returns {number} - Delay in milliseconds
+   */
+  getRequestDelay(url) {
+    if (this.rateLimiter) {
+      return 0;
+    }
+    const crawlDelay = this.robots ? this.robots.getCrawlDelay(url) : null;
+    return crawlDelay ?? this.options.delayBetweenRequests;
+  }
+
+  /**
+   * Wait for the next request slot of the URL's host. Slots are
+   * getRequestDelay() apart and shared by all workers, so with any
+   * concurrency a host gets at most one request per delay.
+   * @param {string} url - Request URL
+   */
+  async waitForHostSlot(url) {
+    const interval = this.getRequestDelay(url);
+    if (interval <= 0) {
+      return;
+    }
+    
+    const { host } = new URL(url);
+    const now = Date.now();
+    const slot = Math.max(now, this.hostSlots.get(host) ?? 0);
+    this.hostSlots.set(host, slot + interval);
+    if (slot > now) {
+      await this.delay(slot - now);
+    }
+  }
+
+  /**
+   * Run `concurrency` workers that pull tasks from a shared queue until it is
+   * drained. Handlers may enqueue more work, so idle workers wait for running
+   * ones to finish before giving up.
+   * @param {Function} nextTask - Returns the next task, or null if none is ready
+   * @param {Function} handleTask - Async handler invoked with each task
+   */
+  async runWorkers(nextTask, handleTask) {
+    let active = 0;
+    let sleepers = [];
+    
+    const wakeAll = () => {
+      const toWake = sleepers;
+      sleepers = [];
+      toWake.forEach(resolve => resolve());
     };
+    
+    const worker = async () => {
+      while (true) {
+        const task = nextTask();
+        
+        if (!task) {
+          // Nothing queued and nobody can add more: we're done
+          if (active === 0) {
+            wakeAll();
+            return;
+          }
+          await new Promise(resolve => sleepers.push(resolve));
+          continue;
+        }
+        
+        active++;
+        try {
+          await handleTask(task);
+        } finally {
+          active--;
+          wakeAll();
+        }
+      }
+    };
+    
+    const workerCount = Math.max(1, this.options.concurrency);
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  }
+
+  /**
+   * Get the language of a page: the `language` option if set, otherwise the
+   * language edition in the URL's hostname (de.wikipedia.org → 'de'), then
+   * the jusText `language` option for non-Wikipedia URLs
+   * @param {string} url - Page URL
+   * @returns {string} - Wiki code or other language identifier
+   */
+  getPageLanguage(url) {
+    return this.options.language || getWikiLanguage(url) ||
+      this.options.justext?.language || DEFAULT_WIKI_LANGUAGE;
+  }
+
+  /**
+   * Get the ISO 639-3 codes for the languages of a set of seed URLs, for use
+   * as DataPipeline `targetLanguages`
+   * @param {Array<string>} urls - Seed URLs
+   * @returns {Array<string>} - Unique ISO 639-3 codes
+   */
+  getTargetLanguages(urls) {
+    return Array.from(new Set(urls.map(url => toIso6393(this.getPageLanguage(url)))));
   }
 
   /**
    * Filter HTML content using jusText to extract main text content
    * @param {string} html - The HTML content to filter
+   * @param {string} language - Wiki code, ISO 639-3 code or stoplist name (default: crawler language or English)
    * @returns {string} - The filtered text content
    */
-  async filterTextWithJusText(html) {
+  async filterTextWithJusText(html, language = this.options.language) {
     try {
-      // jusText extracts the main content and removes boilerplate
-      // rawHtml function signature: rawHtml(htmlText, language, format, options)
-      const paragraphs = rawHtml(html, 'English', 'unformatted', {
-        lengthLow: 70,       // Minimum length for a paragraph
-        lengthHigh: 200,     // Maximum length for short paragraphs
-        stopwordsLow: 0.30,  // Minimum stopwords density
-        stopwordsHigh: 0.32, // Maximum stopwords density
-        maxLinkDensity: 0.2, // Maximum link density
-        maxHeadingDistance: 200 // Maximum heading distance
-      });
-
-      // Filter for good and neargood paragraphs and join with double newlines
-      const text = paragraphs
-        .filter(p => p.classType === 'good' || p.classType === 'neargood')
-        .map(p => p.text)
-        .join('\n\n');
-
-      return text;
+      return this.runJusText(html, language);
     } catch (error) {
       console.error('Error filtering text with jusText:', error.message);
       // Fallback: return empty string if jusText fails
@@ -263,34 +706,139 @@ class WikipediaCrawler {
     }
   }
 
+  /**
+   * Extract the text of a crawled page, reporting failures as ExtractionError
+   * instead of falling back to an empty string
+   * @param {string} url - Page URL (for error reporting)
+   * @param {string} html - The HTML content to filter
+   * @param {string} language - Wiki language of the page
+   * @returns {string} - The filtered text content
+   */
+  extractText(url, html, language) {
+    try {
+      return this.runJusText(html, language);
+    } catch (error) {
+      throw new ExtractionError(url, error);
+    }
+  }
+
+  /**
+   * Run jusText and join the good and near-good paragraphs, or render them
+   * as Markdown with the `markdown` option
+   * @param {string} html - The HTML content to filter
+   * @param {string} language - Wiki code, ISO 639-3 code or stoplist name
+   * @returns {string} - The filtered text content
+   */
+  runJusText(html, language) {
+    // jusText extracts the main content and removes boilerplate
+    // rawHtml function signature: rawHtml(htmlText, language, format, options)
+    // The `justext` option (config.json's justext section) overrides the
+    // defaults in JUSTEXT_SCHEMA: lengthLow 70, lengthHigh 200, stopwordsLow 0.30,
+    // stopwordsHigh 0.32, maxLinkDensity 0.2, maxHeadingDistance 200
+    const { language: _language, ...justextOptions } = applyDefaults(JUSTEXT_SCHEMA, this.options.justext);
+    
+    if (this.options.markdown) {
+      // jusText classifies the same stripped HTML the blocks are built from
+      const markdownOptions = applyDefaults(
+        MARKDOWN_SCHEMA,
+        typeof this.options.markdown === 'object' ? this.options.markdown : {}
+      );
+      const content = stripElements(html, markdownOptions);
+      const paragraphs = rawHtml(content, toJusTextLanguage(language), 'unformatted', justextOptions);
+      return renderMarkdown(htmlToBlocks(content), paragraphs, markdownOptions);
+    }
+    
+    const paragraphs = rawHtml(html, toJusTextLanguage(language), 'unformatted', justextOptions);
+
+    // Filter for good and neargood paragraphs and join with double newlines
+    return paragraphs
+      .filter(p => p.classType === 'good' || p.classType === 'neargood')
+      .map(p => p.text)
+      .join('\n\n');
+  }
+
   /**
    * Crawl multiple Wikipedia pages
    * @param {Array<string>} urls - Array of Wikipedia page URLs
    * @returns {Array<Object>} - Array of crawled page data
    */
   async crawlMultiple(urls) {
-    const results = [];
+    const results = new Array(urls.length);
+    let nextIndex = 0;
+    
+    const nextTask = () => (nextIndex < urls.length
+      ? { url: urls[nextIndex], index: nextIndex++ }
+      : null);
     
-    for (const url of urls) {
+    // Results keep the order of the input URLs regardless of completion order
+    await this.runWorkers(nextTask, async ({ url, index }) => {
       try {
-        const result = await this.crawlPage(url);
-        results.push(result);
-        
-        // Small delay between requests to be respectful
-        await this.delay(1000);
+        results[index] = await this.crawlPage(url);
+        await this.emitDocument(results[index]);
       } catch (error) {
+        results[index] = toFailureRecord(url, error);
+        if (error instanceof RobotsBlockedError) {
+          results[index].skipped = 'robots';
+          return;
+        }
         console.error(`Failed to crawl ${url}:`, error.message);
-        results.push({
-          url,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        });
       }
-    }
+    });
     
     return results;
   }
 
+  /**
+   * Re-run extraction over the pages of a WARC archive written with the
+   * `archive` option, without touching the network. Every archived response
+   * is replayed once, in archive order, with its original fetch time as the
+   * timestamp; pages are streamed like crawled ones when `stream` is set.
+   * @param {Array<string>|string} paths - .warc / .warc.gz files or directories holding them
+   * @returns {Array<Object>} - Page data, or failure records for pages whose extraction failed
+   */
+  async replay(paths) {
+    const results = [];
+    for await (const response of readArchive([].concat(paths))) {
+      try {
+        const pageData = this.buildPageData(response, response.date || undefined);
+        results.push(pageData);
+        await this.emitDocument(pageData);
+      } catch (error) {
+        console.error(`Failed to replay ${response.url} (${classifyError(error)}):`, error.message);
+        results.push(toFailureRecord(response.url, error));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Hand a freshly crawled page to the streaming writer, running it through
+   * the configured DataPipeline first so only passing documents are written
+   * (split into chunks when the pipeline has chunkTokens set). Pages already
+   * written before a resumed crawl are not written again.
+   * @param {Object} pageData - Result of crawlPage()
+   * @returns {boolean} - Whether the document was written
+   */
+  async emitDocument(pageData) {
+    if (!this.writer || this.writtenUrls?.has(pageData.url)) {
+      return false;
+    }
+    
+    let documents = [pageData];
+    if (this.options.pipeline) {
+      const processed = await this.options.pipeline.processDocument(pageData);
+      if (!processed.pipeline.passed) {
+        return false;
+      }
+      documents = this.options.pipeline.exportFiltered([processed]);
+    }
+    
+    for (const document of documents) {
+      await this.writer.write(document);
+    }
+    return true;
+  }
+
   /**
    * Save crawled data to a JSON file
    * @param {Object|Array} data - The data to save
@@ -340,7 +888,8 @@ class WikipediaCrawler {
       // Child nodes
       const connector = isLast ? '└── ' : '├── ';
       const title = linkTree.title || linkTree.url.split('/').pop();
-      result += `${prefix}${connector}${title}\n`;
+      const aliases = (linkTree.aliases || []).map(alias => alias.split('/').pop());
+      result += `${prefix}${connector}${title}${aliases.length > 0 ? ` (redirected from ${aliases.join(', ')})` : ''}\n`;
     }
     
     // Process children
@@ -414,12 +963,26 @@ class WikipediaCrawler {
   }
 
   /**
-   * Close the browser and cleanup
+   * Flush streamed output and the archive, close the fetcher (and its browser) and cleanup
+   * @throws {Error} - When streamed output or the archive could not be written; the fetcher is closed anyway
    */
   async close() {
-    if (this.browser) {
-      await this.browser.close();
-      console.log('Browser closed');
+    try {
+      if (this.writer) {
+        const files = await this.writer.close();
+        if (files.length > 0) {
+          console.log(`Streamed ${this.writer.documentsWritten} documents to ${files.length} shard(s)`);
+        }
+      }
+      if (this.archive) {
+        const files = await this.archive.close();
+        if (files.length > 0) {
+          console.log(`Archived ${this.archive.responsesWritten} responses to ${files.length} WARC file(s)`);
+        }
+      }
+    } finally {
+      await this.fetcher.close();
+      this.initialized = false;
     }
   }
 }
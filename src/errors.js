@@ -0,0 +1,134 @@
+/**
+ * Error thrown when a server answers with a non-success HTTP status
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} url - Requested URL
+   * @param {string} message - Optional detail message
+   */
+  constructor(status, url, message = null) {
+    super(message || `HTTP ${status} fetching ${url}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/**
+ * Error thrown when text extraction fails on a page that was fetched successfully
+ */
+export class ExtractionError extends Error {
+  /**
+   * @param {string} url - Page URL
+   * @param {Error} cause - Underlying extraction error
+   */
+  constructor(url, cause) {
+    super(`Failed to extract text from ${url}: ${cause.message}`);
+    this.name = 'ExtractionError';
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Error thrown when a redirect leads to a page that is already crawled or being
+ * crawled, so the redirect is not followed
+ */
+export class DuplicatePageError extends Error {
+  /**
+   * @param {string} url - Requested URL
+   * @param {string} targetUrl - Canonical URL of the page the redirect leads to
+   */
+  constructor(url, targetUrl) {
+    super(`${url} redirects to ${targetUrl}, which is already crawled`);
+    this.name = 'DuplicatePageError';
+    this.url = url;
+    this.targetUrl = targetUrl;
+  }
+}
+
+/**
+ * Error thrown when options or config.json values fail schema validation
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {Array<string>} errors - One message per invalid option
+   * @param {string} source - What was validated (e.g. 'DataPipeline options')
+   */
+  constructor(errors, source = 'configuration') {
+    super(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+/**
+ * Classify a crawl error into a category that failed records can report
+ * @param {Error} error - Error thrown while fetching or extracting a page
+ * @returns {string} - 'robots', 'http', 'timeout', 'network', 'extraction' or 'unknown'
+ */
+export function classifyError(error) {
+  if (!error) {
+    return 'unknown';
+  }
+  if (error.name === 'RobotsBlockedError') {
+    return 'robots';
+  }
+  if (error.name === 'ExtractionError') {
+    return 'extraction';
+  }
+  if (error instanceof HttpError || typeof error.status === 'number') {
+    return 'http';
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (error.name === 'TimeoutError' || TIMEOUT_CODES.includes(code) ||
+      /net::ERR_TIMED_OUT|Navigation timeout/i.test(error.message)) {
+    return 'timeout';
+  }
+  if (code || /net::ERR_|fetch failed/i.test(error.message)) {
+    return 'network';
+  }
+  return 'unknown';
+}
+
+/**
+ * Check whether an error is worth retrying: timeouts, 429 and 5xx responses
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True for transient failures
+ */
+export function isRetryableError(error) {
+  const category = classifyError(error);
+  if (category === 'timeout') {
+    return true;
+  }
+  if (category === 'http') {
+    return error.status === 429 || error.status >= 500;
+  }
+  return false;
+}
+
+/**
+ * Describe a failed crawl as a plain object for crawl results
+ * @param {string} url - URL that failed
+ * @param {Error} error - Error that was thrown
+ * @returns {Object} - { url, error, errorCategory, status, attempts, timestamp }
+ */
+export function toFailureRecord(url, error) {
+  const record = {
+    url,
+    error: error.message,
+    errorCategory: classifyError(error),
+    timestamp: new Date().toISOString()
+  };
+  if (typeof error.status === 'number') {
+    record.status = error.status;
+  }
+  if (error.attempts) {
+    record.attempts = error.attempts;
+  }
+  return record;
+}
@@ -0,0 +1,294 @@
+/**
+ * Built-in link scoring functions. A scorer receives a frontier entry
+ * ({ url, depth, inLead, position, inlinks, parentUrl }) and returns a number;
+ * higher scores are crawled first.
+ */
+export const scorers = {
+  /**
+   * Prefer links from the lead section, then links appearing earlier on the page
+   */
+  lead: (entry) => (entry.inLead ? 1 : 0) + 1 / (2 + (entry.position || 0)),
+
+  /**
+   * Prefer links that many crawled pages point to
+   */
+  inlinks: (entry) => entry.inlinks
+};
+
+/**
+ * Frontier - Priority queue of URLs waiting to be crawled. Without a scoring
+ * function the order is breadth-first (shallowest depth, then discovery order);
+ * with one, higher scores are taken first and breadth-first order breaks ties.
+ */
+class Frontier {
+  /**
+   * @param {Object} options - Frontier options
+   * @param {Function|string} options.scoreLink - Scoring function or name of a built-in scorer ('lead', 'inlinks')
+   * @param {number} options.maxLinksPerPage - Maximum number of new links enqueued per crawled page (default: 5)
+   */
+  constructor(options = {}) {
+    this.scoreLink = this.resolveScorer(options.scoreLink);
+    this.maxLinksPerPage = options.maxLinksPerPage ?? 5;
+
+    this.heap = [];
+    this.pending = new Map();
+    this.seen = new Set();
+    this.inlinks = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Resolve the scoring option to a function
+   * @param {Function|string|null} scoreLink - Scoring function or built-in name
+   * @returns {Function|null} - Scoring function, or null for plain breadth-first
+   */
+  resolveScorer(scoreLink) {
+    if (!scoreLink) {
+      return null;
+    }
+    if (typeof scoreLink === 'function') {
+      return scoreLink;
+    }
+    if (!scorers[scoreLink]) {
+      throw new Error(`Unknown link scorer: ${scoreLink}`);
+    }
+    return scorers[scoreLink];
+  }
+
+  /**
+   * Number of URLs waiting to be crawled
+   */
+  get size() {
+    return this.pending.size;
+  }
+
+  /**
+   * Check whether a URL has ever been added to the frontier
+   * @param {string} url - URL to check
+   * @returns {boolean}
+   */
+  has(url) {
+    return this.seen.has(url);
+  }
+
+  /**
+   * Record a URL as known without queueing it, e.g. the target of a redirect,
+   * so links to it are not enqueued again
+   * @param {string} url - URL to mark
+   */
+  markSeen(url) {
+    this.seen.add(url);
+  }
+
+  /**
+   * Add a single URL to the frontier
+   * @param {Object} entry - Entry with at least `url` and `depth`
+   * @returns {boolean} - False if the URL was already known
+   */
+  add(entry) {
+    if (this.seen.has(entry.url)) {
+      return false;
+    }
+
+    const queued = {
+      inLead: false,
+      position: 0,
+      ...entry,
+      inlinks: this.inlinks.get(entry.url) || 0,
+      seq: this.sequence++,
+      version: 0
+    };
+    queued.score = this.score(queued);
+
+    this.seen.add(queued.url);
+    this.pending.set(queued.url, queued);
+    this.pushHeap(queued);
+    return true;
+  }
+
+  /**
+   * Add the links found on a crawled page. Every link counts as an inlink,
+   * but only the best `maxLinksPerPage` unseen links are enqueued.
+   * @param {Array<Object|string>} links - Links found on the page (URLs or { url, inLead, position })
+   * @param {Object} context - Shared fields for the new entries ({ depth, parentUrl, parentNode })
+   * @returns {Array<Object>} - The entries that were enqueued
+   */
+  addLinks(links, context = {}) {
+    const candidates = [];
+
+    links.forEach((link, index) => {
+      const info = typeof link === 'string' ? { url: link } : link;
+      const inlinks = (this.inlinks.get(info.url) || 0) + 1;
+      this.inlinks.set(info.url, inlinks);
+
+      const queued = this.pending.get(info.url);
+      if (queued) {
+        this.rescore(queued, inlinks);
+      } else if (!this.seen.has(info.url)) {
+        candidates.push({ position: index, ...info, ...context, inlinks });
+      }
+    });
+
+    if (this.scoreLink) {
+      candidates.forEach(candidate => {
+        candidate.score = this.score(candidate);
+      });
+      // Array.prototype.sort is stable, so equal scores keep page order
+      candidates.sort((a, b) => b.score - a.score);
+    }
+
+    const limit = this.maxLinksPerPage > 0 ? this.maxLinksPerPage : candidates.length;
+    const enqueued = [];
+    for (const candidate of candidates.slice(0, limit)) {
+      const { score, ...entry } = candidate;
+      if (this.add(entry)) {
+        enqueued.push(this.pending.get(entry.url));
+      }
+    }
+    return enqueued;
+  }
+
+  /**
+   * Take the highest priority entry off the frontier
+   * @returns {Object|null} - The next entry, or null if the frontier is empty
+   */
+  next() {
+    while (this.heap.length > 0) {
+      const item = this.popHeap();
+      const entry = this.pending.get(item.url);
+
+      // Skip heap items left behind when an entry was re-scored
+      if (entry && entry.version === item.version) {
+        this.pending.delete(item.url);
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Serialize the frontier for a checkpoint. Tree nodes are dropped; entries
+   * keep `parentUrl` so the caller can re-link them on restore.
+   * @param {Array<Object>} requeue - Entries taken but not finished, saved as pending
+   * @returns {Object} - JSON-safe frontier state
+   */
+  toJSON(requeue = []) {
+    const strip = ({ parentNode, node, version, ...entry }) => entry;
+    return {
+      pending: [...requeue, ...this.pending.values()].map(strip),
+      seen: Array.from(this.seen),
+      inlinks: Array.from(this.inlinks),
+      sequence: this.sequence
+    };
+  }
+
+  /**
+   * Restore the frontier from a checkpoint produced by toJSON()
+   * @param {Object} state - Saved frontier state
+   */
+  restore(state) {
+    this.heap = [];
+    this.pending = new Map();
+    this.seen = new Set(state.seen);
+    this.inlinks = new Map(state.inlinks);
+    this.sequence = state.sequence;
+
+    for (const entry of state.pending) {
+      const queued = { ...entry, version: 0 };
+      // Re-score in case the scorer changed between runs
+      queued.score = this.score(queued);
+      this.seen.add(queued.url);
+      this.pending.set(queued.url, queued);
+      this.pushHeap(queued);
+    }
+  }
+
+  /**
+   * Score an entry with the configured scorer
+   * @param {Object} entry - Frontier entry
+   * @returns {number} - Entry score (0 when crawling breadth-first)
+   */
+  score(entry) {
+    return this.scoreLink ? Number(this.scoreLink(entry)) || 0 : 0;
+  }
+
+  /**
+   * Update a pending entry after its inlink count changed
+   * @param {Object} entry - Pending entry
+   * @param {number} inlinks - New inlink count
+   */
+  rescore(entry, inlinks) {
+    entry.inlinks = inlinks;
+    if (!this.scoreLink) {
+      return;
+    }
+
+    const score = this.score(entry);
+    if (score !== entry.score) {
+      entry.score = score;
+      entry.version++;
+      this.pushHeap(entry);
+    }
+  }
+
+  /**
+   * Compare two heap items: higher score, then shallower depth, then earlier discovery
+   * @returns {boolean} - True if `a` should be crawled before `b`
+   */
+  before(a, b) {
+    if (a.score !== b.score) return a.score > b.score;
+    if (a.depth !== b.depth) return a.depth < b.depth;
+    return a.seq < b.seq;
+  }
+
+  /**
+   * Push a snapshot of an entry's priority onto the binary heap
+   * @param {Object} entry - Frontier entry
+   */
+  pushHeap(entry) {
+    const heap = this.heap;
+    heap.push({
+      url: entry.url,
+      score: entry.score,
+      depth: entry.depth,
+      seq: entry.seq,
+      version: entry.version
+    });
+
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Remove and return the top item of the binary heap
+   * @returns {Object} - Heap item ({ url, score, depth, seq, version })
+   */
+  popHeap() {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < heap.length && this.before(heap[left], heap[best])) best = left;
+        if (right < heap.length && this.before(heap[right], heap[best])) best = right;
+        if (best === i) break;
+        [heap[i], heap[best]] = [heap[best], heap[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+export default Frontier;
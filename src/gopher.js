@@ -0,0 +1,141 @@
+/**
+ * Stopwords used by the Gopher quality filter (Rae et al., 2021), by ISO 639-3 code
+ */
+export const GOPHER_STOPWORDS = {
+  eng: ['the', 'be', 'to', 'of', 'and', 'that', 'have', 'with']
+};
+
+/**
+ * Count repeated elements: every occurrence after the first is a duplicate
+ * @param {Array<string>} elements - Lines or paragraphs
+ * @returns {Object} - { fraction, charFraction } of duplicated elements and their characters
+ */
+function duplicateFractions(elements) {
+  const seen = new Set();
+  let duplicates = 0;
+  let duplicateChars = 0;
+  let totalChars = 0;
+
+  for (const element of elements) {
+    totalChars += element.length;
+    if (seen.has(element)) {
+      duplicates++;
+      duplicateChars += element.length;
+    } else {
+      seen.add(element);
+    }
+  }
+
+  return {
+    fraction: elements.length > 0 ? duplicates / elements.length : 0,
+    charFraction: totalChars > 0 ? duplicateChars / totalChars : 0
+  };
+}
+
+/**
+ * Fraction of word characters covered by the most frequent n-gram (0 if no
+ * n-gram occurs twice)
+ * @param {Array<string>} words - Normalized words
+ * @param {number} n - N-gram size
+ * @param {number} totalChars - Characters in all words
+ * @returns {number} - Character fraction
+ */
+function topNGramCharFraction(words, n, totalChars) {
+  const counts = new Map();
+  let top = null;
+  let topCount = 1;
+
+  for (let i = 0; i <= words.length - n; i++) {
+    const ngram = words.slice(i, i + n).join(' ');
+    const count = (counts.get(ngram) || 0) + 1;
+    counts.set(ngram, count);
+    if (count > topCount) {
+      top = ngram;
+      topCount = count;
+    }
+  }
+
+  if (!top || totalChars === 0) {
+    return 0;
+  }
+  // Characters of the n-gram's words, without the joining spaces
+  return ((top.length - (n - 1)) * topCount) / totalChars;
+}
+
+/**
+ * Fraction of word characters inside n-grams that already occurred earlier
+ * in the text. Overlapping repeats are only counted once per word.
+ * @param {Array<string>} words - Normalized words
+ * @param {number} n - N-gram size
+ * @param {number} totalChars - Characters in all words
+ * @returns {number} - Character fraction
+ */
+function duplicateNGramCharFraction(words, n, totalChars) {
+  const seen = new Set();
+  const duplicated = new Uint8Array(words.length);
+
+  for (let i = 0; i <= words.length - n; i++) {
+    const ngram = words.slice(i, i + n).join(' ');
+    if (seen.has(ngram)) {
+      duplicated.fill(1, i, i + n);
+    } else {
+      seen.add(ngram);
+    }
+  }
+
+  if (totalChars === 0) {
+    return 0;
+  }
+  let duplicateChars = 0;
+  duplicated.forEach((isDuplicate, i) => {
+    if (isDuplicate) {
+      duplicateChars += words[i].length;
+    }
+  });
+  return duplicateChars / totalChars;
+}
+
+/**
+ * Compute the Gopher / RefinedWeb repetition and word-level metrics of a text
+ * @param {string} text - Text to analyze
+ * @param {Array<string>|null} stopwords - Stopwords to count, or null to skip the count
+ * @returns {Object} - Repetition fractions, stopwordCount (null without a list) and alphabeticWordRatio
+ */
+export function gopherMetrics(text, stopwords = null) {
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+  const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(paragraph => paragraph);
+  const tokens = text.split(/\s+/).filter(token => token);
+  // Lowercase words without surrounding punctuation, for n-grams and stopwords
+  const words = tokens
+    .map(token => token.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(word => word);
+  const totalChars = words.reduce((sum, word) => sum + word.length, 0);
+
+  const duplicateLines = duplicateFractions(lines);
+  const duplicateParagraphs = duplicateFractions(paragraphs);
+  const metrics = {
+    duplicateLineFraction: duplicateLines.fraction,
+    duplicateLineCharFraction: duplicateLines.charFraction,
+    duplicateParagraphFraction: duplicateParagraphs.fraction,
+    duplicateParagraphCharFraction: duplicateParagraphs.charFraction
+  };
+
+  for (let n = 2; n <= 4; n++) {
+    metrics[`top${n}GramCharFraction`] = topNGramCharFraction(words, n, totalChars);
+  }
+  for (let n = 5; n <= 10; n++) {
+    metrics[`duplicate${n}GramCharFraction`] = duplicateNGramCharFraction(words, n, totalChars);
+  }
+
+  if (stopwords) {
+    const stopwordSet = new Set(stopwords.map(word => word.toLowerCase()));
+    metrics.stopwordCount = words.filter(word => stopwordSet.has(word)).length;
+  } else {
+    metrics.stopwordCount = null;
+  }
+  metrics.alphabeticWordRatio = tokens.length > 0
+    ? tokens.filter(token => /\p{L}/u.test(token)).length / tokens.length
+    : 0;
+
+  return metrics;
+}
@@ -0,0 +1,122 @@
+import { HttpError } from './errors.js';
+import { extractLinks } from './link-scope.js';
+import { decodeEntities } from './markdown.js';
+import { wikiPageTitle } from './mediawiki-fetcher.js';
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 20;
+
+/**
+ * Read the canonical URL a page declares with <link rel="canonical">
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - URL the page was served from, for relative hrefs
+ * @returns {string|null} - Absolute canonical URL, or null if the page has none
+ */
+function canonicalLink(html, baseUrl) {
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const rel = tag.match(/\brel\s*=\s*["']?([^"'>\s]+)/i);
+    const href = tag.match(/\bhref\s*=\s*["']([^"']+)["']/i);
+    if (rel && rel[1].toLowerCase() === 'canonical' && href) {
+      try {
+        return new URL(decodeEntities(href[1]), baseUrl).href;
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * HttpFetcher - Fetches any HTML page over plain HTTP, without rendering it.
+ * Suited to documentation sites, blogs and other server-rendered pages;
+ * links are read from the HTML and scoped by the crawler.
+ */
+class HttpFetcher {
+  /**
+   * @param {Object} options - Fetcher options
+   * @param {string} options.userAgent - User-Agent header sent with every request
+   * @param {number} options.timeout - Request timeout in milliseconds (default: 30000)
+   */
+  constructor(options = {}) {
+    this.options = {
+      userAgent: options.userAgent || 'WikipediaCrawler',
+      timeout: options.timeout || 30000
+    };
+  }
+
+  /**
+   * Nothing to set up for HTTP fetching; present for the fetcher interface
+   */
+  async init() {}
+
+  /**
+   * Fetch a page (following redirects) and return its title, HTML and links
+   * @param {string} url - Page URL
+   * @param {Object} options - Fetch options
+   * @param {Function} options.onRedirect - Called with each redirect target before it is
+   *   requested; it can throw to stop following the redirect
+   * @returns {Object} - { url, status, headers, title, html, links }
+   * @throws {HttpError} - On non-success statuses
+   * @throws {Error} - When the response is not HTML or redirects do not end
+   */
+  async fetch(url, options = {}) {
+    const signal = AbortSignal.timeout(this.options.timeout);
+    let response = null;
+    let location = url;
+    for (let redirects = 0; ; redirects++) {
+      response = await fetch(location, {
+        headers: { 'User-Agent': this.options.userAgent, Accept: 'text/html,application/xhtml+xml' },
+        redirect: 'manual',
+        signal
+      });
+      if (!REDIRECT_STATUSES.includes(response.status) || !response.headers.has('location')) {
+        break;
+      }
+
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects: ${url}`);
+      }
+      location = new URL(response.headers.get('location'), location).href;
+      if (options.onRedirect) {
+        await options.onRedirect(location);
+      }
+    }
+
+    if (!response.ok) {
+      const error = new HttpError(response.status, url);
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !/\b(?:text\/html|application\/xhtml\+xml)\b/i.test(contentType)) {
+      throw new Error(`Not an HTML page: ${url} (${contentType})`);
+    }
+
+    const html = await response.text();
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const wikiTitle = wikiPageTitle(html);
+
+    return {
+      // Wiki redirect pages (/wiki/AI) are served with status 200 at the alias
+      // URL, so the article they show is read from the canonical link
+      url: (wikiTitle && canonicalLink(html, location)) || location,
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      // Wiki pages get the title the MediaWiki fetcher returns, without the site name
+      title: wikiTitle ||
+        (titleMatch ? decodeEntities(titleMatch[1].replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim() : location),
+      html,
+      links: extractLinks(html, location)
+    };
+  }
+
+  /**
+   * Nothing to release for HTTP fetching; present for the fetcher interface
+   */
+  async close() {}
+}
+
+export default HttpFetcher;
@@ -0,0 +1,240 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+import { once } from 'events';
+
+/**
+ * JsonlWriter - Streams documents to disk as JSON Lines (one document per line),
+ * optionally rotating to a new shard file once a size limit is reached and
+ * gzip-compressing each shard. Shards are named `<prefix>-00001.jsonl[.gz]`.
+ */
+class JsonlWriter {
+  /**
+   * @param {string} outputDir - Directory for shard files
+   * @param {Object} options - Writer options
+   * @param {string} options.prefix - Shard filename prefix (default: 'shard')
+   * @param {number} options.maxBytes - Rotate after this many uncompressed bytes, 0 to never rotate (default: 0)
+   * @param {boolean} options.gzip - Gzip-compress shards (default: false)
+   */
+  constructor(outputDir, options = {}) {
+    this.outputDir = outputDir;
+    this.options = {
+      prefix: options.prefix || 'shard',
+      maxBytes: options.maxBytes || 0,
+      gzip: options.gzip === true
+    };
+
+    this.shardIndex = 0;
+    this.shard = null;
+    this.files = [];
+    this.documentsWritten = 0;
+    this.ready = null;
+    this.closing = [];
+    // First error of a shard stream, rethrown by write() and close()
+    this.error = null;
+  }
+
+  /**
+   * Create the output directory and continue numbering after any existing
+   * shards, so a resumed crawl never overwrites earlier output
+   */
+  async prepare() {
+    await fs.promises.mkdir(this.outputDir, { recursive: true });
+
+    for (const { index } of await this.existingShards()) {
+      this.shardIndex = Math.max(this.shardIndex, index);
+    }
+  }
+
+  /**
+   * Find the shards with this writer's prefix already in the output directory
+   * @returns {Array<Object>} - { index, filepath } of each shard, by index
+   */
+  async existingShards() {
+    const prefix = this.options.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${prefix}-(\\d{5})\\.jsonl(\\.gz)?$`);
+    let names = [];
+    try {
+      names = await fs.promises.readdir(this.outputDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    return names
+      .map(name => ({ name, match: name.match(pattern) }))
+      .filter(({ match }) => match)
+      .map(({ name, match }) => ({ index: parseInt(match[1], 10), filepath: path.join(this.outputDir, name) }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Read back the `url` of every document in the existing shards, so a resumed
+   * crawl can skip pages written after its last checkpoint. A shard cut short
+   * by a crash is read up to its last complete line.
+   * @returns {Set<string>} - URLs already written
+   */
+  async readWrittenUrls() {
+    const urls = new Set();
+    for (const { filepath } of await this.existingShards()) {
+      let stream = fs.createReadStream(filepath);
+      if (filepath.endsWith('.gz')) {
+        stream = stream.pipe(zlib.createGunzip());
+      }
+
+      try {
+        for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+          try {
+            const { url } = JSON.parse(line);
+            if (url) {
+              urls.add(url);
+            }
+          } catch {
+            // Partly written last line
+          }
+        }
+      } catch (error) {
+        // A gzip shard that was never ended has no trailer
+        if (error.code !== 'Z_BUF_ERROR') {
+          throw error;
+        }
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * Path of the shard with the given index
+   * @param {number} index - Shard index (1-based)
+   * @returns {string} - Shard file path
+   */
+  shardPath(index) {
+    const extension = this.options.gzip ? '.jsonl.gz' : '.jsonl';
+    const name = `${this.options.prefix}-${String(index).padStart(5, '0')}${extension}`;
+    return path.join(this.outputDir, name);
+  }
+
+  /**
+   * Remember the first stream error so it is reported by the next write() or
+   * close() instead of crashing the process as an unhandled 'error' event
+   * @param {Error} error - Stream error
+   */
+  fail(error) {
+    this.error = this.error || error;
+  }
+
+  /**
+   * Open the next shard file
+   */
+  openShard() {
+    this.shardIndex++;
+    const filepath = this.shardPath(this.shardIndex);
+
+    const fileStream = fs.createWriteStream(filepath, { flags: 'wx' });
+    fileStream.on('error', error => this.fail(error));
+    let stream = fileStream;
+    if (this.options.gzip) {
+      stream = zlib.createGzip();
+      stream.on('error', error => this.fail(error));
+      // The gzip stream stops writing to a failed file, so end it too
+      fileStream.on('error', error => stream.destroy(error));
+      stream.pipe(fileStream);
+    }
+
+    this.shard = { filepath, stream, fileStream, bytes: 0 };
+    this.files.push(filepath);
+    console.log(`Writing shard: ${filepath}`);
+  }
+
+  /**
+   * End a shard and wait until its file is flushed and closed
+   * @param {Object} shard - Shard to finish
+   */
+  async endShard(shard) {
+    try {
+      // Let writers waiting on backpressure resume before the stream is ended
+      if (shard.stream.writableNeedDrain) {
+        await once(shard.stream, 'drain');
+      }
+      shard.stream.end();
+      if (!shard.fileStream.closed) {
+        await once(shard.fileStream, 'close');
+      }
+    } catch (error) {
+      this.fail(error);
+    }
+  }
+
+  /**
+   * Append a document as a single JSON line
+   * @param {Object} document - Document to write
+   * @throws {Error} - When a shard could not be opened or written
+   */
+  async write(document) {
+    if (!this.ready) {
+      this.ready = this.prepare();
+    }
+    await this.ready;
+    if (this.error) {
+      throw this.error;
+    }
+
+    const line = JSON.stringify(document) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    // Rotate before writing so a shard never exceeds maxBytes (unless one line does)
+    if (this.shard && this.options.maxBytes > 0 &&
+        this.shard.bytes > 0 && this.shard.bytes + bytes > this.options.maxBytes) {
+      this.closing.push(this.endShard(this.shard));
+      this.shard = null;
+    }
+
+    if (!this.shard) {
+      this.openShard();
+    }
+
+    const { stream } = this.shard;
+    this.shard.bytes += bytes;
+    this.documentsWritten++;
+
+    if (!stream.write(line)) {
+      await once(stream, 'drain').catch(() => {});
+    }
+    if (this.error) {
+      throw this.error;
+    }
+  }
+
+  /**
+   * Append several documents
+   * @param {Array<Object>} documents - Documents to write
+   */
+  async writeAll(documents) {
+    for (const document of documents) {
+      await this.write(document);
+    }
+  }
+
+  /**
+   * Flush and close the writer
+   * @returns {Array<string>} - Paths of all shards written
+   * @throws {Error} - When a shard could not be opened or written
+   */
+  async close() {
+    await this.ready;
+    if (this.shard) {
+      this.closing.push(this.endShard(this.shard));
+      this.shard = null;
+    }
+    await Promise.all(this.closing);
+    this.closing = [];
+    if (this.error) {
+      throw this.error;
+    }
+    return this.files;
+  }
+}
+
+export default JsonlWriter;
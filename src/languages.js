@@ -0,0 +1,100 @@
+import { data } from 'franc/data.js';
+import { expressions } from 'franc/expressions.js';
+
+/**
+ * Wikipedia language editions supported by the crawler, keyed by the
+ * subdomain code (e.g. `de` for de.wikipedia.org). Each entry maps to the
+ * ISO 639-3 code used by franc / DataPipeline and the jusText stoplist name.
+ */
+export const WIKI_LANGUAGES = {
+  en: { iso6393: 'eng', justext: 'English' },
+  de: { iso6393: 'deu', justext: 'German' },
+  fr: { iso6393: 'fra', justext: 'French' },
+  es: { iso6393: 'spa', justext: 'Spanish' },
+  it: { iso6393: 'ita', justext: 'Italian' },
+  pt: { iso6393: 'por', justext: 'Portuguese' },
+  nl: { iso6393: 'nld', justext: 'Dutch' },
+  pl: { iso6393: 'pol', justext: 'Polish' },
+  ru: { iso6393: 'rus', justext: 'Russian' },
+  uk: { iso6393: 'ukr', justext: 'Ukrainian' },
+  cs: { iso6393: 'ces', justext: 'Czech' },
+  sk: { iso6393: 'slk', justext: 'Slovak' },
+  sv: { iso6393: 'swe', justext: 'Swedish' },
+  da: { iso6393: 'dan', justext: 'Danish' },
+  no: { iso6393: 'nob', justext: 'Norwegian_Bokmal' },
+  fi: { iso6393: 'fin', justext: 'Finnish' },
+  hu: { iso6393: 'hun', justext: 'Hungarian' },
+  ro: { iso6393: 'ron', justext: 'Romanian' },
+  tr: { iso6393: 'tur', justext: 'Turkish' },
+  el: { iso6393: 'ell', justext: 'Greek' },
+  ca: { iso6393: 'cat', justext: 'Catalan' },
+  id: { iso6393: 'ind', justext: 'Indonesian' },
+  vi: { iso6393: 'vie', justext: 'Vietnamese' }
+};
+
+export const DEFAULT_WIKI_LANGUAGE = 'en';
+
+/**
+ * ISO 639-3 codes franc can return: languages with trigram data, plus those
+ * recognized by their script alone (e.g. Greek). A target language outside
+ * this set is never detected, so the language stage rejects every page.
+ */
+export const DETECTABLE_LANGUAGES = new Set([
+  ...Object.values(data).flatMap(languages => Object.keys(languages)),
+  ...Object.keys(expressions).filter(key => /^[a-z]{3}$/.test(key))
+]);
+
+/**
+ * Get the wiki language code from a Wikipedia URL
+ * (`https://de.wikipedia.org/...` and `https://de.m.wikipedia.org/...` give `de`)
+ * @param {string} url - Wikipedia URL
+ * @returns {string|null} - Language subdomain, or null for non-Wikipedia URLs
+ */
+export function getWikiLanguage(url) {
+  try {
+    const match = new URL(url).hostname.match(/^([a-z][a-z-]*)\.(?:m\.)?wikipedia\.org$/i);
+    return match ? match[1].toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a language given as a wiki code (`de`), ISO 639-3 code (`deu`) or
+ * jusText stoplist name (`German`) to its table entry
+ * @param {string} language - Language identifier
+ * @returns {Object|null} - { code, iso6393, justext }, or null if unknown
+ */
+export function resolveLanguage(language) {
+  if (!language) {
+    return null;
+  }
+  const key = String(language).toLowerCase();
+  for (const [code, info] of Object.entries(WIKI_LANGUAGES)) {
+    if (code === key || info.iso6393 === key || info.justext.toLowerCase() === key) {
+      return { code, ...info };
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a language identifier to the ISO 639-3 code used by DataPipeline.
+ * Unknown identifiers are returned unchanged so any franc code still works.
+ * @param {string} language - Wiki code, ISO 639-3 code or jusText name
+ * @returns {string} - ISO 639-3 code
+ */
+export function toIso6393(language) {
+  const resolved = resolveLanguage(language);
+  return resolved ? resolved.iso6393 : language;
+}
+
+/**
+ * Convert a language identifier to a jusText stoplist name, falling back to English
+ * @param {string} language - Wiki code, ISO 639-3 code or jusText name
+ * @returns {string} - jusText stoplist name
+ */
+export function toJusTextLanguage(language) {
+  const resolved = resolveLanguage(language);
+  return resolved ? resolved.justext : WIKI_LANGUAGES[DEFAULT_WIKI_LANGUAGE].justext;
+}
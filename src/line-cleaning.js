@@ -0,0 +1,103 @@
+import { isMarkdownStructure } from './markdown.js';
+
+/**
+ * C4-style line cleaning rules. `strip` rules remove matching text from a
+ * line; `drop` rules remove the whole line. Rules run in this order and each
+ * dropped line is counted against the first rule that matched it.
+ */
+export const LINE_CLEANING_RULES = {
+  // Wikipedia citation and edit markers: [12], [a], [citation needed], [edit]
+  citations: {
+    action: 'strip',
+    pattern: /\[(?:\d+|[a-z]|note \d+|citation needed|clarification needed|when\?|who\?|edit)\]/gi
+  },
+  javascript: {
+    action: 'drop',
+    test: line => /javascript/i.test(line)
+  },
+  loremIpsum: {
+    action: 'drop',
+    test: line => /lorem ipsum/i.test(line)
+  },
+  // Cookie banners and legal boilerplate
+  policy: {
+    action: 'drop',
+    test: line => /\b(?:terms of (?:use|service)|privacy policy|cookie policy|uses cookies|use of cookies|use cookies|accept cookies)\b/i.test(line)
+  },
+  curlyBraces: {
+    action: 'drop',
+    test: line => /[{}]/.test(line)
+  },
+  // Lines must end with terminal punctuation, optionally followed by a closing quote or bracket
+  terminalPunctuation: {
+    action: 'drop',
+    test: line => !/[.!?…]["'”’»)\]]*$/.test(line)
+  }
+};
+
+export const LINE_CLEANING_RULE_NAMES = Object.keys(LINE_CLEANING_RULES);
+
+/**
+ * Clean text line by line. Blank lines are kept as paragraph separators, but
+ * never more than one in a row.
+ * @param {string} text - Text to clean
+ * @param {Array<string>} rules - Names of the rules to apply (default: all)
+ * @param {Object} options - Cleaning options
+ * @param {boolean} options.markdown - The text is Markdown: headings, list items and table
+ *   rows are only stripped, never dropped, and keep their indentation (default: false)
+ * @returns {Object} - { text, stats } where stats has per-rule { lines, chars } removed
+ */
+export function cleanLines(text, rules = LINE_CLEANING_RULE_NAMES, options = {}) {
+  const active = LINE_CLEANING_RULE_NAMES.filter(name => rules.includes(name));
+  const removed = Object.fromEntries(active.map(name => [name, { lines: 0, chars: 0 }]));
+  const lines = text.split('\n');
+  const kept = [];
+
+  for (const originalLine of lines) {
+    let line = originalLine.trim();
+    if (!line) {
+      if (kept.length > 0 && kept[kept.length - 1] !== '') {
+        kept.push('');
+      }
+      continue;
+    }
+
+    // Dropping a heading, list item or table row would break the document structure
+    const structural = options.markdown && isMarkdownStructure(line);
+    let dropped = false;
+    for (const name of active) {
+      const rule = LINE_CLEANING_RULES[name];
+      if (rule.action === 'strip') {
+        const stripped = line.replace(rule.pattern, '').replace(/\s{2,}/g, ' ').trim();
+        removed[name].chars += line.length - stripped.length;
+        line = stripped;
+      } else if (!structural && rule.test(line)) {
+        removed[name].lines++;
+        removed[name].chars += line.length;
+        dropped = true;
+        break;
+      }
+    }
+
+    if (!dropped && line) {
+      // Nested list items keep their indentation
+      kept.push(structural ? originalLine.match(/^\s*/)[0] + line : line);
+    }
+  }
+
+  if (kept[kept.length - 1] === '') {
+    kept.pop();
+  }
+  const cleaned = kept.join('\n');
+
+  return {
+    text: cleaned,
+    stats: {
+      linesBefore: lines.filter(line => line.trim()).length,
+      linesAfter: kept.filter(line => line).length,
+      charsBefore: text.length,
+      charsAfter: cleaned.length,
+      removed
+    }
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Built-in scopes, selected with the crawler's `scope` option (a preset name,
+ * or { preset, ...rules } to override some of its rules)
+ */
+export const SCOPE_PRESETS = {
+  // Articles of the start page's language edition: /wiki/ pages outside the
+  // Special:, File:, Talk:, Category: ... namespaces
+  wikipedia: {
+    sameHost: true,
+    include: ['^https?://[^/]+/wiki/[^:?]+$'],
+    exclude: ['/wiki/Main_Page$']
+  },
+  // Every page on the start URL's host
+  site: {
+    sameHost: true,
+    stripParams: ['utm_*', 'fbclid', 'gclid']
+  },
+  // Pages below the start URL's directory, e.g. one section of a docs site
+  section: {
+    samePathPrefix: true,
+    stripParams: ['utm_*', 'fbclid', 'gclid']
+  }
+};
+
+export const SCOPE_PRESET_NAMES = Object.keys(SCOPE_PRESETS);
+
+const DEFAULT_RULES = {
+  allowedDomains: [],
+  sameHost: false,
+  samePathPrefix: false,
+  include: [],
+  exclude: [],
+  stripParams: []
+};
+
+/**
+ * Check a query parameter name against names and `prefix*` patterns
+ * @param {string} name - Parameter name
+ * @param {Array<string>} patterns - Names, or prefixes ending in '*'
+ * @returns {boolean} - Whether the parameter matches
+ */
+function matchesParam(name, patterns) {
+  return patterns.some(pattern => pattern.endsWith('*')
+    ? name.startsWith(pattern.slice(0, -1))
+    : name === pattern);
+}
+
+/**
+ * Normalize percent-encoding: escapes of unreserved characters (letters,
+ * digits, '-', '.', '_', '~') are decoded and the remaining escapes uppercased,
+ * so '/wiki/%41I' and '/wiki/AI' or '%c3%a9' and '%C3%A9' compare equal
+ * @param {string} component - Path or query of a parsed URL
+ * @returns {string} - Component with normalized escapes
+ */
+export function normalizePercentEncoding(component) {
+  return component.replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return /[A-Za-z0-9\-._~]/.test(char) ? char : escape.toUpperCase();
+  });
+}
+
+/**
+ * Canonicalize a link: resolve it against the page URL, drop the fragment,
+ * credentials and an empty query, remove tracking parameters and normalize
+ * percent-encoding. Scheme and host are lowercased and default ports dropped
+ * by the URL parser.
+ * @param {string} href - Link as written in the page
+ * @param {string} base - URL of the page the link is on
+ * @param {Array<string>} stripParams - Query parameters to remove ('utm_*' matches a prefix)
+ * @returns {string|null} - Absolute URL, or null for non-HTTP(S) and malformed links
+ */
+export function canonicalizeUrl(href, base, stripParams = []) {
+  let url;
+  try {
+    url = new URL(href, base);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+
+  url.hash = '';
+  url.username = '';
+  url.password = '';
+  const stripped = Array.from(url.searchParams.keys()).filter(name => matchesParam(name, stripParams));
+  // Only rewrite the query when something is removed, as URLSearchParams re-encodes it
+  if (stripped.length > 0) {
+    stripped.forEach(name => url.searchParams.delete(name));
+  }
+  url.pathname = normalizePercentEncoding(url.pathname);
+  // Assigning an empty search also drops a bare '?'
+  url.search = normalizePercentEncoding(url.search);
+  return url.href;
+}
+
+/**
+ * Extract the links of an HTML page in { url, inLead, position } form. Links
+ * are absolute (resolved against <base href> or the page URL) but not yet
+ * canonicalized or scoped.
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page
+ * @returns {Array<Object>} - Links in page order, duplicates included
+ */
+export function extractLinks(html, pageUrl) {
+  const baseMatch = html.match(/<base\s[^>]*?href\s*=\s*["']([^"']+)["']/i);
+  let base = pageUrl;
+  if (baseMatch) {
+    try {
+      base = new URL(baseMatch[1], pageUrl).href;
+    } catch (error) {
+      // A malformed <base> is ignored, as browsers do
+    }
+  }
+
+  // The lead section is everything before the first section heading
+  const headingMatch = html.match(/<h2[\s>]/i);
+  const leadEnd = headingMatch ? headingMatch.index : html.length;
+
+  const links = [];
+  const anchorPattern = /<a\s[^>]*?href\s*=\s*(["'])(.*?)\1/gi;
+  let match;
+  while ((match = anchorPattern.exec(html)) !== null) {
+    const href = match[2].replace(/&amp;/g, '&').trim();
+    let url;
+    try {
+      url = new URL(href, base).href;
+    } catch (error) {
+      continue;
+    }
+    links.push({ url, inLead: match.index < leadEnd, position: links.length });
+  }
+  return links;
+}
+
+/**
+ * Resolve the `scope` option into rules: a preset name, or an object whose
+ * rules override those of its `preset`
+ * @param {string|Object} scope - Preset name or { preset, ...rules }
+ * @returns {Object} - Scope rules
+ * @throws {Error} - When the preset is unknown
+ */
+export function resolveScope(scope = 'wikipedia') {
+  const { preset = null, ...rules } = typeof scope === 'string' ? { preset: scope } : scope;
+  if (preset !== null && !SCOPE_PRESETS[preset]) {
+    throw new Error(`Unknown scope preset '${preset}' (expected one of ${SCOPE_PRESET_NAMES.join(', ')})`);
+  }
+  const overrides = Object.fromEntries(Object.entries(rules).filter(([, value]) => value !== undefined));
+  return { ...DEFAULT_RULES, ...(preset ? SCOPE_PRESETS[preset] : {}), ...overrides };
+}
+
+/**
+ * LinkScope - Decides which links a crawl follows. Links are canonicalized,
+ * then checked against the scope rules relative to the start URL of the crawl:
+ *   allowedDomains - Hosts (and their subdomains) links may point to; empty for any
+ *   sameHost       - Only links on the start URL's host
+ *   samePathPrefix - Only links on the start URL's host below its directory
+ *   include        - Regexes of which at least one must match the URL (if any are given)
+ *   exclude        - Regexes none of which may match the URL
+ *   stripParams    - Query parameters removed when canonicalizing
+ */
+class LinkScope {
+  /**
+   * @param {string|Object} scope - Preset name or { preset, ...rules } (see resolveScope)
+   * @throws {Error} - When the preset is unknown or a pattern is not a valid regular expression
+   */
+  constructor(scope = 'wikipedia') {
+    this.rules = resolveScope(scope);
+    this.rules.allowedDomains = this.rules.allowedDomains.map(domain => domain.toLowerCase());
+    this.include = this.compile('include');
+    this.exclude = this.compile('exclude');
+  }
+
+  /**
+   * Compile the include or exclude patterns
+   * @param {string} key - 'include' or 'exclude'
+   * @returns {Array<RegExp>} - Compiled patterns
+   */
+  compile(key) {
+    return this.rules[key].map((pattern, index) => {
+      try {
+        return new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`${key}[${index}]: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Canonicalize a link with this scope's stripParams
+   * @param {string} href - Link as written in the page
+   * @param {string} base - URL of the page the link is on
+   * @returns {string|null} - Canonical URL, or null if it cannot be crawled
+   */
+  canonicalize(href, base) {
+    return canonicalizeUrl(href, base, this.rules.stripParams);
+  }
+
+  /**
+   * Check a canonical URL against the scope rules
+   * @param {string} url - Canonical URL
+   * @param {string} startUrl - Start URL of the crawl
+   * @returns {boolean} - Whether the URL may be crawled
+   */
+  isInScope(url, startUrl) {
+    const target = new URL(url);
+    const start = new URL(startUrl);
+    const { allowedDomains, sameHost, samePathPrefix } = this.rules;
+
+    if (allowedDomains.length > 0 &&
+        !allowedDomains.some(domain => target.hostname === domain || target.hostname.endsWith(`.${domain}`))) {
+      return false;
+    }
+    if ((sameHost || samePathPrefix) && target.host !== start.host) {
+      return false;
+    }
+    if (samePathPrefix) {
+      const directory = start.pathname.slice(0, start.pathname.lastIndexOf('/') + 1);
+      if (!target.pathname.startsWith(directory)) {
+        return false;
+      }
+    }
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(url))) {
+      return false;
+    }
+    return !this.exclude.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Canonicalize the links of a page and keep those in scope, dropping links
+   * to the page itself and duplicates
+   * @param {Array<string|Object>} links - URLs or { url, inLead, position } links
+   * @param {string} pageUrl - URL of the page the links are on
+   * @param {string} startUrl - Start URL of the crawl (default: the page itself)
+   * @returns {Array<Object>} - { url, inLead, position } links in page order
+   */
+  filter(links, pageUrl, startUrl = pageUrl) {
+    const page = this.canonicalize(pageUrl);
+    const urls = new Map();
+    for (const link of links) {
+      const info = typeof link === 'string' ? { url: link } : link;
+      const url = this.canonicalize(info.url, pageUrl);
+      if (!url || url === page || urls.has(url) || !this.isInScope(url, startUrl)) {
+        continue;
+      }
+      urls.set(url, { inLead: false, ...info, url, position: urls.size });
+    }
+    return Array.from(urls.values());
+  }
+}
+
+export default LinkScope;
@@ -0,0 +1,428 @@
+/**
+ * Markdown extraction: turn article HTML into headings, paragraphs, list
+ * items and tables, and keep the blocks jusText classifies as good or
+ * near-good, so the output has the same content as the plain-text mode but
+ * keeps the document structure.
+ */
+
+// Elements whose content is never text
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'head', 'template', 'svg']);
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// jusText starts a new paragraph at these tags (plus HTML5 sectioning elements)
+const BLOCK_TAGS = new Set([
+  'html', 'body', 'blockquote', 'caption', 'center', 'col', 'colgroup', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'form', 'legend', 'optgroup', 'option', 'p', 'pre', 'table', 'td', 'textarea', 'tfoot', 'th', 'thead', 'tr',
+  'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'section', 'article', 'header', 'footer', 'main',
+  'aside', 'nav', 'figure', 'figcaption'
+]);
+
+// Wikipedia classes removed by the stripInfoboxes and stripReferences options
+const INFOBOX_CLASSES = ['infobox'];
+const REFERENCE_CLASSES = ['reference', 'references', 'reflist', 'mw-references-wrap'];
+// Section edit links are interface text, not content
+const INTERFACE_CLASSES = ['mw-editsection'];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', times: '×', minus: '−', deg: '°', middot: '·', shy: ''
+};
+
+/**
+ * Decode numeric and common named HTML entities
+ * @param {string} text - HTML-escaped text
+ * @returns {string} - Unescaped text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name] ?? entity;
+  });
+}
+
+/**
+ * Decode entities and collapse whitespace
+ * @param {string} text - Raw text content
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Key used to match blocks with jusText paragraphs: letters and digits only,
+ * so differences in whitespace, punctuation and entity decoding do not matter
+ * @param {string} text - Block or paragraph text
+ * @returns {string} - Match key
+ */
+function textKey(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Find the end of an element, counting nested elements with the same tag
+ * @param {string} html - HTML
+ * @param {string} tagName - Lowercase tag name
+ * @param {number} from - Index just after the opening tag
+ * @returns {number} - Index just after the closing tag (end of input if unclosed)
+ */
+function findClosingTag(html, tagName, from) {
+  const tags = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  tags.lastIndex = from;
+  let depth = 1;
+  let match;
+  while ((match = tags.exec(html)) !== null) {
+    if (match[1]) {
+      depth--;
+    } else if (!match[0].endsWith('/>')) {
+      depth++;
+    }
+    if (depth === 0) {
+      return tags.lastIndex;
+    }
+  }
+  return html.length;
+}
+
+/**
+ * Remove elements (with their content) that have one of the given classes
+ * @param {string} html - HTML
+ * @param {Array<string>} classes - Class names to remove
+ * @returns {string} - HTML without the elements
+ */
+function removeElementsByClass(html, classes) {
+  const openTag = /<([a-zA-Z][\w-]*)\b[^>]*?\bclass\s*=\s*(["'])(.*?)\2[^>]*>/g;
+  let result = '';
+  let position = 0;
+  let match;
+  while ((match = openTag.exec(html)) !== null) {
+    if (!match[3].split(/\s+/).some(name => classes.includes(name))) {
+      continue;
+    }
+    const tagName = match[1].toLowerCase();
+    const end = VOID_TAGS.has(tagName) || match[0].endsWith('/>')
+      ? openTag.lastIndex
+      : findClosingTag(html, tagName, openTag.lastIndex);
+    result += html.slice(position, match.index);
+    position = end;
+    openTag.lastIndex = end;
+  }
+  return result + html.slice(position);
+}
+
+/**
+ * Remove infoboxes, reference lists and citation markers, and section edit links
+ * @param {string} html - Page HTML
+ * @param {Object} options - MARKDOWN_SCHEMA options
+ * @returns {string} - HTML to extract from
+ */
+export function stripElements(html, options = {}) {
+  const { stripInfoboxes = true, stripReferences = true } = options;
+  const classes = [
+    ...INTERFACE_CLASSES,
+    ...(stripInfoboxes ? INFOBOX_CLASSES : []),
+    ...(stripReferences ? REFERENCE_CLASSES : [])
+  ];
+  return removeElementsByClass(html, classes);
+}
+
+/**
+ * Split HTML into structural blocks at the same boundaries jusText uses
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} - Blocks in document order:
+ *   { type: 'heading', level, text }, { type: 'paragraph', text },
+ *   { type: 'listItem', list, depth, marker, text } or { type: 'table', caption, rows }
+ */
+export function htmlToBlocks(html) {
+  const blocks = [];
+  const lists = [];
+  const items = [];
+  let text = '';
+  let heading = 0;
+  let listCount = 0;
+  let table = null;
+  let skipping = null;
+
+  const flush = () => {
+    const content = normalizeText(text);
+    text = '';
+    if (!content) {
+      return;
+    }
+    const item = items[items.length - 1];
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading, text: content });
+    } else if (item) {
+      // Text after a nested list continues the item without a new marker
+      blocks.push({ type: 'listItem', list: item.list, depth: item.depth, marker: item.flushed ? '' : item.marker, text: content });
+      item.flushed = true;
+    } else {
+      blocks.push({ type: 'paragraph', text: content });
+    }
+  };
+  const append = chunk => {
+    if (!table) {
+      text += chunk;
+    } else if (table.cell !== null) {
+      table.cell += chunk;
+    } else if (table.caption !== null && table.inCaption) {
+      table.caption += chunk;
+    }
+  };
+  const endCell = () => {
+    if (table.cell !== null) {
+      table.row = table.row || [];
+      table.row.push(normalizeText(table.cell));
+      table.cell = null;
+    }
+  };
+  const endRow = () => {
+    endCell();
+    if (table.row && table.row.some(cell => cell)) {
+      table.rows.push(table.row);
+    }
+    table.row = null;
+  };
+  const endTable = () => {
+    endRow();
+    if (table.rows.length > 0) {
+      blocks.push({ type: 'table', caption: normalizeText(table.caption || ''), rows: table.rows });
+    }
+    table = null;
+  };
+
+  const tokens = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)[^>]*>|[^<]+|</g;
+  let match;
+  while ((match = tokens.exec(html)) !== null) {
+    const [token, closing, name] = match;
+    const tag = name ? name.toLowerCase() : null;
+
+    if (skipping) {
+      if (tag === skipping.tag) {
+        skipping.depth += closing ? -1 : 1;
+        if (skipping.depth === 0) {
+          skipping = null;
+        }
+      }
+      continue;
+    }
+    if (!tag) {
+      if (!token.startsWith('<!')) {
+        append(token);
+      }
+      continue;
+    }
+    if (!closing && SKIPPED_TAGS.has(tag) && !token.endsWith('/>')) {
+      skipping = { tag, depth: 1 };
+      continue;
+    }
+    if (tag === 'br') {
+      append(' ');
+      continue;
+    }
+
+    if (table) {
+      // Nested tables are flattened into the cell that contains them
+      if (tag === 'table') {
+        table.depth += closing ? -1 : 1;
+        if (table.depth === 0) {
+          endTable();
+        } else {
+          append(' ');
+        }
+      } else if (table.depth > 1) {
+        if (BLOCK_TAGS.has(tag)) {
+          append(' ');
+        }
+      } else if (tag === 'tr') {
+        endRow();
+      } else if (tag === 'td' || tag === 'th') {
+        endCell();
+        if (!closing) {
+          table.cell = '';
+        }
+      } else if (tag === 'caption') {
+        table.inCaption = !closing;
+        if (!closing) {
+          table.caption = '';
+        }
+      } else if (BLOCK_TAGS.has(tag)) {
+        append(' ');
+      }
+      continue;
+    }
+
+    if (tag === 'table' && !closing) {
+      flush();
+      table = { caption: null, inCaption: false, rows: [], row: null, cell: null, depth: 1 };
+      continue;
+    }
+    if (!BLOCK_TAGS.has(tag)) {
+      continue;
+    }
+
+    flush();
+    if (/^h[1-6]$/.test(tag)) {
+      heading = closing ? 0 : Number(tag[1]);
+    } else if (tag === 'ul' || tag === 'ol') {
+      if (closing) {
+        lists.pop();
+      } else {
+        lists.push({ ordered: tag === 'ol', count: 0, id: ++listCount });
+      }
+    } else if (tag === 'li') {
+      if (closing) {
+        items.pop();
+      } else {
+        const list = lists[lists.length - 1] || { ordered: false, count: 0, id: 0 };
+        list.count++;
+        items.push({
+          // Nested lists belong to the outermost one
+          list: lists.length > 0 ? lists[0].id : 0,
+          depth: Math.max(1, lists.length),
+          marker: list.ordered ? `${list.count}.` : '-',
+          flushed: false
+        });
+      }
+    }
+  }
+
+  if (table) {
+    endTable();
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Build a function telling whether jusText kept a block's text. Blocks
+ * matching a paragraph exactly take its class; others (e.g. a block jusText
+ * split in two) are kept when kept paragraphs cover at least half of the text.
+ * @param {Array<Object>} paragraphs - jusText paragraphs ({ text, classType })
+ * @returns {Function} - (text) => boolean
+ */
+function keptByJusText(paragraphs) {
+  const classified = new Map();
+  for (const paragraph of paragraphs) {
+    const key = textKey(paragraph.text || '');
+    if (key) {
+      const kept = paragraph.classType === 'good' || paragraph.classType === 'neargood';
+      classified.set(key, classified.get(key) || kept);
+    }
+  }
+  const keptKeys = Array.from(classified.keys()).filter(key => classified.get(key));
+
+  return text => {
+    const key = textKey(text);
+    if (!key) {
+      return false;
+    }
+    if (classified.has(key)) {
+      return classified.get(key);
+    }
+    const covered = keptKeys.filter(kept => key.includes(kept)).reduce((sum, kept) => sum + kept.length, 0);
+    return covered >= key.length / 2;
+  };
+}
+
+/**
+ * Render one block as Markdown
+ * @param {Object} block - Block from htmlToBlocks()
+ * @returns {string} - Markdown
+ */
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(block.level)} ${block.text}`;
+    case 'listItem':
+      return `${'  '.repeat(block.depth - 1)}${block.marker || ' '} ${block.text}`;
+    case 'table': {
+      const columns = Math.max(...block.rows.map(row => row.length));
+      const line = cells => `| ${cells.join(' | ')} |`;
+      const rows = block.rows.map(row =>
+        line(Array.from({ length: columns }, (_, i) => (row[i] || '').replace(/\|/g, '\\|')))
+      );
+      // Markdown tables need a header row; the first row is used
+      rows.splice(1, 0, line(Array(columns).fill('---')));
+      return block.caption ? `${block.caption}\n\n${rows.join('\n')}` : rows.join('\n');
+    }
+    default:
+      return block.text;
+  }
+}
+
+/**
+ * Render the blocks jusText kept as Markdown. Headings without any kept
+ * content in their section are left out.
+ * @param {Array<Object>} blocks - Result of htmlToBlocks()
+ * @param {Array<Object>} paragraphs - jusText paragraphs of the same HTML ({ text, classType })
+ * @param {Object} options - MARKDOWN_SCHEMA options
+ * @returns {string} - Markdown text
+ */
+export function renderMarkdown(blocks, paragraphs, options = {}) {
+  const { tables = true } = options;
+  const isKept = keptByJusText(paragraphs);
+  // A table is kept when jusText keeps its caption or any of its cells
+  const kept = blocks.filter(block => block.type === 'table'
+    ? tables && [block.caption, ...block.rows.flat()].some(isKept)
+    : isKept(block.text));
+
+  const hasContent = index => {
+    for (let i = index + 1; i < kept.length; i++) {
+      if (kept[i].type !== 'heading') {
+        return true;
+      }
+      if (kept[i].level <= kept[index].level) {
+        return false;
+      }
+    }
+    return false;
+  };
+  const output = kept.filter((block, index) => block.type !== 'heading' || hasContent(index));
+
+  return output
+    .map((block, index) => {
+      const previous = output[index - 1];
+      // Items of the same list go on consecutive lines
+      const sameList = block.type === 'listItem' && previous?.type === 'listItem' && previous.list === block.list;
+      const separator = index === 0 ? '' : sameList ? '\n' : '\n\n';
+      return separator + renderBlock(block);
+    })
+    .join('');
+}
+
+/**
+ * Whether a Markdown line is structure rather than a prose sentence: a
+ * heading, a list item or a table row
+ * @param {string} line - Line of Markdown
+ * @returns {boolean} - True for structural lines
+ */
+export function isMarkdownStructure(line) {
+  return /^\s*(?:#{1,6}\s|\||(?:[-*+]|\d+[.)])\s)/.test(line);
+}
+
+/**
+ * Reduce Markdown to the prose the quality heuristics are meant for: headings
+ * and table rows are dropped, list markers and inline markup (links,
+ * emphasis, code spans, escapes) removed, so Markdown and plain-text
+ * extractions of a page get comparable metrics
+ * @param {string} markdown - Markdown text
+ * @returns {string} - Plain text, one line per paragraph or list item
+ */
+export function stripMarkdown(markdown) {
+  return markdown
+    .split('\n')
+    .filter(line => !/^\s*(#{1,6}\s|\|)/.test(line))
+    .map(line => line
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')
+      .replace(/!?\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+      .replace(/(\*{1,2}|`)(\S(?:.*?\S)?)\1/g, '$2')
+      .replace(/\\([\\`*_[\]()#+\-.!|])/g, '$1'))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,245 @@
+import { HttpError } from './errors.js';
+
+// Non-article namespaces are skipped by the ':' check; '#' skips in-page anchors
+const ARTICLE_HREF = /^\/wiki\/[^:#]+$/;
+
+/**
+ * Decode the handful of HTML entities that appear in MediaWiki hrefs and titles
+ * @param {string} text - HTML-escaped text
+ * @returns {string} - Unescaped text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Build the /wiki/ URL of an article title
+ * @param {string} origin - Wiki origin (e.g. 'https://en.wikipedia.org')
+ * @param {string} title - Article title, with spaces or underscores
+ * @returns {string} - Article URL
+ */
+export function titleToUrl(origin, title) {
+  const path = encodeURIComponent(title.replace(/ /g, '_'))
+    .replace(/%2F/g, '/')
+    .replace(/%3A/g, ':')
+    .replace(/%2C/g, ',');
+  return `${origin}/wiki/${path}`;
+}
+
+/**
+ * Get the article title from a /wiki/ URL
+ * @param {string} url - Article URL
+ * @returns {string} - Decoded title
+ */
+export function urlToTitle(url) {
+  const { pathname } = new URL(url);
+  if (!pathname.startsWith('/wiki/')) {
+    throw new Error(`Not a wiki article URL: ${url}`);
+  }
+  return decodeURIComponent(pathname.slice('/wiki/'.length));
+}
+
+/**
+ * Read the page name from the configuration MediaWiki embeds in a rendered
+ * wiki page. The <title> element adds the site name ("Web scraping -
+ * Wikipedia", localized per wiki), which the APIs leave out.
+ * @param {string} html - Full page HTML
+ * @returns {string|null} - Title with spaces, as the Action API returns it, or null on other sites
+ */
+export function wikiPageTitle(html) {
+  const match = html.match(/"wgPageName":("(?:[^"\\]|\\.)*")/);
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[1]).replace(/_/g, ' ');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract article links from rendered MediaWiki content HTML (action=parse
+ * output or Parsoid HTML), in the same { url, inLead, position } form that
+ * the Puppeteer fetcher reads from the DOM
+ * @param {string} html - Article content HTML
+ * @param {string} origin - Wiki origin used to absolutise links
+ * @returns {Array<Object>} - Unique article links in page order
+ */
+export function extractArticleLinks(html, origin) {
+  // The lead section is everything before the first section heading
+  const headingMatch = html.match(/<h2[\s>]|class="[^"]*\bmw-heading\b/);
+  const leadEnd = headingMatch ? headingMatch.index : html.length;
+
+  const urls = new Map();
+  const anchorPattern = /<a\s[^>]*?href="([^"]*)"/g;
+  let match;
+
+  while ((match = anchorPattern.exec(html)) !== null) {
+    // Parsoid writes article links relative to the page ('./Title')
+    let href = decodeEntities(match[1]);
+    if (href.startsWith('./')) {
+      href = `/wiki/${href.slice(2)}`;
+    }
+
+    if (!ARTICLE_HREF.test(href)) {
+      continue;
+    }
+
+    const fullUrl = `${origin}${href}`;
+    if (!urls.has(fullUrl)) {
+      urls.set(fullUrl, {
+        url: fullUrl,
+        inLead: match.index < leadEnd,
+        position: urls.size
+      });
+    }
+  }
+
+  return Array.from(urls.values());
+}
+
+/**
+ * MediaWikiFetcher - Fetches Wikipedia articles over plain HTTP from the
+ * MediaWiki Action API (`action=parse`) or the REST API (`page/html`),
+ * which is much lighter than rendering every page in headless Chrome
+ */
+class MediaWikiFetcher {
+  /**
+   * @param {Object} options - Fetcher options
+   * @param {string} options.api - 'parse' for action=parse or 'rest' for REST page/html (default: 'parse')
+   * @param {string} options.apiPath - Action API path on the wiki host (default: '/w/api.php')
+   * @param {string} options.restPath - REST API base path on the wiki host (default: '/api/rest_v1')
+   * @param {string} options.userAgent - User-Agent header sent with every request
+   * @param {number} options.timeout - Request timeout in milliseconds (default: 30000)
+   */
+  constructor(options = {}) {
+    this.options = {
+      api: options.api || 'parse',
+      apiPath: options.apiPath || '/w/api.php',
+      restPath: options.restPath || '/api/rest_v1',
+      userAgent: options.userAgent || 'WikipediaCrawler',
+      timeout: options.timeout || 30000
+    };
+
+    if (!['parse', 'rest'].includes(this.options.api)) {
+      throw new Error(`Unknown MediaWiki API: ${this.options.api}`);
+    }
+  }
+
+  /**
+   * Nothing to set up for HTTP fetching; present for the fetcher interface
+   */
+  async init() {}
+
+  /**
+   * Fetch an article and return its title, content HTML and article links
+   * @param {string} url - Article URL (https://<lang>.wikipedia.org/wiki/<Title>)
+   * @returns {Object} - { url, status, headers, title, html, links }
+   */
+  async fetch(url) {
+    const { origin } = new URL(url);
+    const title = urlToTitle(url);
+
+    const page = this.options.api === 'rest'
+      ? await this.fetchRest(origin, title)
+      : await this.fetchParse(origin, title);
+
+    return {
+      ...page,
+      links: extractArticleLinks(page.html, origin)
+    };
+  }
+
+  /**
+   * Send a GET request and throw an HttpError on non-success statuses
+   * @param {string} requestUrl - URL to request
+   * @returns {Response} - Fetch API response
+   */
+  async request(requestUrl) {
+    const response = await fetch(requestUrl, {
+      headers: { 'User-Agent': this.options.userAgent },
+      signal: AbortSignal.timeout(this.options.timeout)
+    });
+
+    if (!response.ok) {
+      const error = new HttpError(response.status, requestUrl);
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Fetch rendered article HTML with the Action API (redirects are followed)
+   * @param {string} origin - Wiki origin
+   * @param {string} title - Article title
+   * @returns {Object} - { url, status, headers, title, html }
+   */
+  async fetchParse(origin, title) {
+    const params = new URLSearchParams({
+      action: 'parse',
+      page: title,
+      prop: 'text',
+      redirects: '1',
+      format: 'json',
+      formatversion: '2'
+    });
+    const response = await this.request(`${origin}${this.options.apiPath}?${params}`);
+    const data = await response.json();
+
+    if (data.error) {
+      const pageUrl = titleToUrl(origin, title);
+      if (data.error.code === 'missingtitle') {
+        throw new HttpError(404, pageUrl, `Article not found: ${title}`);
+      }
+      throw new Error(`MediaWiki API error for ${pageUrl}: ${data.error.info || data.error.code}`);
+    }
+
+    return {
+      url: titleToUrl(origin, data.parse.title),
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      title: data.parse.title,
+      html: `<html><body>${data.parse.text}</body></html>`
+    };
+  }
+
+  /**
+   * Fetch Parsoid article HTML with the REST API (redirects are followed)
+   * @param {string} origin - Wiki origin
+   * @param {string} title - Article title
+   * @returns {Object} - { url, status, headers, title, html }
+   */
+  async fetchRest(origin, title) {
+    const encodedTitle = encodeURIComponent(title.replace(/ /g, '_'));
+    const response = await this.request(`${origin}${this.options.restPath}/page/html/${encodedTitle}`);
+    const html = await response.text();
+
+    // Parsoid puts the display title in <title>, possibly with inline markup
+    const titleMatch = html.match(/<title>([\s\S]*?)<\/title>/i);
+    const pageTitle = titleMatch
+      ? decodeEntities(titleMatch[1].replace(/<[^>]+>/g, '')).trim()
+      : title.replace(/_/g, ' ');
+
+    return {
+      url: titleToUrl(origin, pageTitle),
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      title: pageTitle,
+      html
+    };
+  }
+
+  /**
+   * Nothing to release for HTTP fetching; present for the fetcher interface
+   */
+  async close() {}
+}
+
+export default MediaWikiFetcher;
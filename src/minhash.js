@@ -0,0 +1,291 @@
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @param {number} offset - Initial hash value; different offsets give different hashes (default: FNV offset basis)
+ * @returns {number} - Unsigned 32-bit hash
+ */
+export function hash32(text, offset = 0x811c9dc5) {
+  let hash = offset;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer: scrambles a 32-bit value so that each seed gives an
+ * independent hash function
+ * @param {number} value - 32-bit value
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Split text into overlapping word shingles. Texts shorter than one shingle
+ * become a single shingle so that they still get a signature.
+ * @param {string} text - Text to split
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>} - Unique shingles
+ */
+export function shingles(text, size) {
+  const words = text.toLowerCase().split(/\s+/).filter(word => word.length > 0);
+  const result = new Set();
+
+  if (words.length > 0 && words.length < size) {
+    result.add(words.join(' '));
+  }
+  for (let i = 0; i <= words.length - size; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+/**
+ * MinHashIndex - Near-duplicate detection with MinHash signatures and LSH
+ * banding. Each document costs a fixed `numPermutations` 32-bit values plus
+ * one bucket entry per band, regardless of its length, and the index can be
+ * capped at `maxDocuments` (oldest documents are evicted first).
+ */
+class MinHashIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} options.numPermutations - Hash functions per signature (default: 128)
+   * @param {number} options.bands - LSH bands; must divide numPermutations (default: 16)
+   * @param {number} options.threshold - Estimated Jaccard similarity at which documents are duplicates (default: 0.8)
+   * @param {number} options.shingleSize - Words per shingle (default: 5)
+   * @param {number} options.maxDocuments - Maximum indexed documents, 0 for no limit (default: 0)
+   * @param {number} options.seed - Seed for the hash functions; indices are only comparable with the same seed (default: 1)
+   */
+  constructor(options = {}) {
+    this.numPermutations = options.numPermutations ?? 128;
+    this.bands = options.bands ?? 16;
+    this.threshold = options.threshold ?? 0.8;
+    this.shingleSize = options.shingleSize ?? 5;
+    this.maxDocuments = options.maxDocuments ?? 0;
+    this.seed = options.seed ?? 1;
+
+    if (this.numPermutations % this.bands !== 0) {
+      throw new Error(`numPermutations (${this.numPermutations}) must be a multiple of bands (${this.bands})`);
+    }
+    this.rows = this.numPermutations / this.bands;
+
+    // One seed per hash function, derived deterministically from `seed`
+    this.hashSeeds = new Uint32Array(this.numPermutations);
+    for (let i = 0; i < this.numPermutations; i++) {
+      this.hashSeeds[i] = mix32(this.seed + Math.imul(i + 1, 0x9e3779b9));
+    }
+
+    // id -> signature, in insertion order for eviction
+    this.signatures = new Map();
+    // One Map per band: band hash -> ids sharing that band
+    this.buckets = Array.from({ length: this.bands }, () => new Map());
+  }
+
+  /**
+   * Compute the MinHash signature of a text
+   * @param {string} text - Text to sign
+   * @returns {Uint32Array} - Signature of numPermutations minimum hashes
+   */
+  signature(text) {
+    const signature = new Uint32Array(this.numPermutations).fill(0xffffffff);
+
+    for (const shingle of shingles(text, this.shingleSize)) {
+      const base = hash32(shingle);
+      for (let i = 0; i < this.numPermutations; i++) {
+        const value = mix32(base ^ this.hashSeeds[i]);
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Hash the rows of every band of a signature
+   * @param {Uint32Array} signature - MinHash signature
+   * @returns {Array<number>} - One hash per band
+   */
+  bandHashes(signature) {
+    const hashes = [];
+    for (let band = 0; band < this.bands; band++) {
+      let hash = 0x811c9dc5;
+      for (let row = band * this.rows; row < (band + 1) * this.rows; row++) {
+        hash = Math.imul(hash ^ signature[row], 0x01000193);
+      }
+      hashes.push(hash >>> 0);
+    }
+    return hashes;
+  }
+
+  /**
+   * Estimate the Jaccard similarity of two documents from their signatures
+   * @param {Uint32Array} a - First signature
+   * @param {Uint32Array} b - Second signature
+   * @returns {number} - Fraction of matching signature positions
+   */
+  similarity(a, b) {
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) {
+        matches++;
+      }
+    }
+    return matches / a.length;
+  }
+
+  /**
+   * Find the most similar indexed document among the LSH candidates
+   * @param {Uint32Array} signature - Signature of the document to check
+   * @returns {Object} - { id, similarity, candidates }; id is null when nothing reaches the threshold
+   */
+  query(signature) {
+    const candidates = new Set();
+    this.bandHashes(signature).forEach((hash, band) => {
+      const ids = this.buckets[band].get(hash);
+      if (ids) {
+        ids.forEach(id => candidates.add(id));
+      }
+    });
+
+    let best = { id: null, similarity: 0, candidates: candidates.size };
+    for (const id of candidates) {
+      const similarity = this.similarity(signature, this.signatures.get(id));
+      if (similarity > best.similarity) {
+        best = { id, similarity, candidates: candidates.size };
+      }
+    }
+    if (best.similarity < this.threshold) {
+      best.id = null;
+    }
+    return best;
+  }
+
+  /**
+   * Add a document signature to the index, evicting the oldest documents
+   * when maxDocuments is reached
+   * @param {string} id - Document ID
+   * @param {Uint32Array} signature - MinHash signature
+   */
+  add(id, signature) {
+    if (this.signatures.has(id)) {
+      this.remove(id);
+    }
+    if (this.maxDocuments > 0) {
+      while (this.signatures.size >= this.maxDocuments) {
+        this.remove(this.signatures.keys().next().value);
+      }
+    }
+
+    this.signatures.set(id, signature);
+    this.bandHashes(signature).forEach((hash, band) => {
+      const ids = this.buckets[band].get(hash);
+      if (ids) {
+        ids.push(id);
+      } else {
+        this.buckets[band].set(hash, [id]);
+      }
+    });
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string} id - Document ID
+   */
+  remove(id) {
+    const signature = this.signatures.get(id);
+    if (!signature) {
+      return;
+    }
+    this.signatures.delete(id);
+    this.bandHashes(signature).forEach((hash, band) => {
+      const ids = this.buckets[band].get(hash);
+      const remaining = ids.filter(other => other !== id);
+      if (remaining.length > 0) {
+        this.buckets[band].set(hash, remaining);
+      } else {
+        this.buckets[band].delete(hash);
+      }
+    });
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number} - Document count
+   */
+  get size() {
+    return this.signatures.size;
+  }
+
+  /**
+   * Remove every document from the index
+   */
+  clear() {
+    this.signatures.clear();
+    this.buckets.forEach(bucket => bucket.clear());
+  }
+
+  /**
+   * Serialize the index. Signatures are stored as base64 so they survive a
+   * JSON round trip compactly; buckets are rebuilt on restore.
+   * @returns {Object} - { numPermutations, bands, shingleSize, seed, documents: [[id, signature], ...] }
+   */
+  toJSON() {
+    return {
+      numPermutations: this.numPermutations,
+      bands: this.bands,
+      shingleSize: this.shingleSize,
+      seed: this.seed,
+      documents: Array.from(this.signatures, ([id, signature]) => [
+        id,
+        Buffer.from(signature.buffer, signature.byteOffset, signature.byteLength).toString('base64')
+      ])
+    };
+  }
+
+  /**
+   * Add the documents of a serialized index to this one. Signatures are only
+   * comparable when they were computed with the same permutations, shingle
+   * size and seed; the number of bands may differ.
+   * @param {Object} state - Result of toJSON()
+   */
+  restore(state) {
+    for (const key of ['numPermutations', 'shingleSize', 'seed']) {
+      if (state[key] !== this[key]) {
+        throw new Error(`Incompatible MinHash index: ${key} is ${state[key]}, expected ${this[key]}`);
+      }
+    }
+
+    for (const [id, encoded] of state.documents) {
+      const bytes = Buffer.from(encoded, 'base64');
+      if (bytes.length !== this.numPermutations * 4) {
+        throw new Error(`Corrupt MinHash signature for ${id}`);
+      }
+      // Copy into a fresh, aligned buffer
+      const signature = new Uint32Array(this.numPermutations);
+      new Uint8Array(signature.buffer).set(bytes);
+      this.add(id, signature);
+    }
+  }
+
+  /**
+   * Estimate the memory used by the index: 4 bytes per signature value plus
+   * roughly 64 bytes of Map/array overhead per signature and bucket entry
+   * @returns {number} - Estimated size in megabytes
+   */
+  estimateMemoryMB() {
+    const bytes = this.signatures.size * (this.numPermutations * 4 + 64 + this.bands * 64);
+    return bytes / (1024 * 1024);
+  }
+}
+
+export default MinHashIndex;
@@ -0,0 +1,78 @@
+/**
+ * PagePool - Keeps a fixed number of Puppeteer pages open on a single browser
+ * and hands them out to crawl workers, so pages are reused between requests
+ * instead of being opened and closed for every URL
+ */
+class PagePool {
+  /**
+   * @param {Object} browser - Puppeteer browser instance
+   * @param {number} size - Maximum number of pages kept open (default: 1)
+   */
+  constructor(browser, size = 1) {
+    this.browser = browser;
+    this.size = Math.max(1, size);
+    this.pages = [];
+    // Pages being opened, counted towards the size until newPage() settles
+    this.opening = 0;
+    this.idle = [];
+    this.waiting = [];
+  }
+
+  /**
+   * Get a page from the pool, opening a new one while below the pool size
+   * and otherwise waiting until another worker releases one
+   * @returns {Object} - Puppeteer page
+   * @throws {Error} - When the browser fails to open a page
+   */
+  async acquire() {
+    if (this.idle.length > 0) {
+      return this.idle.pop();
+    }
+
+    if (this.pages.length + this.opening < this.size) {
+      // Count the page before awaiting so concurrent callers can't overshoot
+      this.opening++;
+      try {
+        const page = await this.browser.newPage();
+        this.opening--;
+        this.pages.push(page);
+        return page;
+      } catch (error) {
+        this.opening--;
+        // The slot is free again: let the next waiting worker try to open a page
+        const next = this.waiting.shift();
+        if (next) {
+          next(this.acquire());
+        }
+        throw error;
+      }
+    }
+
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Return a page to the pool, handing it directly to the next waiting worker
+   * @param {Object} page - Page previously obtained from acquire()
+   */
+  release(page) {
+    const next = this.waiting.shift();
+    if (next) {
+      next(page);
+    } else {
+      this.idle.push(page);
+    }
+  }
+
+  /**
+   * Close every page owned by the pool
+   */
+  async close() {
+    const pages = this.pages;
+    this.pages = [];
+    this.idle = [];
+    await Promise.all(pages.map(page => page.close().catch(() => {})));
+  }
+}
+
+export default PagePool;
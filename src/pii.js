@@ -0,0 +1,139 @@
+const IPV4_OCTET = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+
+/**
+ * Built-in PII patterns. They are applied in this order, and each match is
+ * replaced before the next pattern runs, so a card number is never also
+ * counted as a phone number. `validate` rejects matches the regex cannot rule out.
+ */
+export const PII_PATTERNS = {
+  email: {
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+    placeholder: '<EMAIL>'
+  },
+  // 13-19 digits, optionally grouped with spaces or dashes, passing the Luhn check
+  creditCard: {
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    placeholder: '<CREDIT_CARD>',
+    validate: match => luhn(match.replace(/\D/g, ''))
+  },
+  ipAddress: {
+    pattern: new RegExp(
+      `(?<![\\d.])(?:${IPV4_OCTET}\\.){3}${IPV4_OCTET}(?!\\.?\\d)` +
+      '|\\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\\b' +
+      '|\\b(?:[0-9a-f]{1,4}:){1,6}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,5})?(?![\\w:])',
+      'gi'
+    ),
+    placeholder: '<IP_ADDRESS>'
+  },
+  // International or national numbers in groups, e.g. +44 20 7946 0958 or (555) 123-4567
+  phone: {
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}(?![\w-])/g,
+    placeholder: '<PHONE>',
+    validate: match => {
+      const digits = match.replace(/\D/g, '').length;
+      if (/^[+(]/.test(match)) {
+        return digits >= 8 && digits <= 15;
+      }
+      // Without a country or area code, short groups and runs of years ("1914 1918 1939") are not phone numbers
+      return digits >= 10 && digits <= 15 && !match.split(/[ .-]/).every(group => /^(?:1[5-9]|20)\d\d$/.test(group));
+    }
+  }
+};
+
+export const PII_TYPES = Object.keys(PII_PATTERNS);
+
+/**
+ * Luhn checksum used by payment card numbers
+ * @param {string} digits - Digits only
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Build the placeholder for a custom PII type: `creditCard` -> `<CREDIT_CARD>`
+ * @param {string} type - PII type name
+ * @returns {string} - Placeholder token
+ */
+function defaultPlaceholder(type) {
+  return `<${type.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}>`;
+}
+
+/**
+ * Combine the enabled built-in patterns with custom ones. A custom pattern is
+ * a regex source string or { pattern, flags, placeholder }; using a built-in
+ * name replaces that built-in's regex.
+ * @param {Array<string>} types - Built-in types to enable
+ * @param {Object} custom - Custom patterns by type name
+ * @returns {Array<Object>} - { type, regex, placeholder, validate } in application order
+ * @throws {Error} - When a custom pattern is malformed or not a valid regular expression
+ */
+export function compilePiiPatterns(types = PII_TYPES, custom = {}) {
+  const names = [
+    ...PII_TYPES.filter(type => types.includes(type)),
+    ...Object.keys(custom).filter(type => !PII_TYPES.includes(type))
+  ];
+
+  return names.map(type => {
+    const builtin = PII_PATTERNS[type];
+    const definition = typeof custom[type] === 'string' ? { pattern: custom[type] } : custom[type];
+    if (!definition) {
+      return { type, regex: builtin.pattern, placeholder: builtin.placeholder, validate: builtin.validate };
+    }
+
+    if (typeof definition.pattern !== 'string') {
+      throw new Error(`PII pattern for '${type}' must be a regex string or { pattern, flags, placeholder }`);
+    }
+    let regex;
+    try {
+      const flags = new Set(`${definition.flags ?? ''}g`);
+      regex = new RegExp(definition.pattern, Array.from(flags).join(''));
+    } catch (error) {
+      throw new Error(`Invalid PII pattern for '${type}': ${error.message}`);
+    }
+    return {
+      type,
+      regex,
+      placeholder: definition.placeholder ?? builtin?.placeholder ?? defaultPlaceholder(type),
+      validate: null
+    };
+  });
+}
+
+/**
+ * Find and replace PII in a text
+ * @param {string} text - Text to scan
+ * @param {Array<Object>} patterns - Result of compilePiiPatterns()
+ * @returns {Object} - { text, counts, total } with the redacted text and matches per type
+ */
+export function redactPii(text, patterns) {
+  const counts = {};
+  let total = 0;
+  let redacted = text;
+
+  for (const { type, regex, placeholder, validate } of patterns) {
+    counts[type] = 0;
+    redacted = redacted.replace(regex, match => {
+      if (!match || (validate && !validate(match))) {
+        return match;
+      }
+      counts[type]++;
+      total++;
+      return placeholder;
+    });
+  }
+
+  return { text: redacted, counts, total };
+}
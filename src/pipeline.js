@@ -1,56 +1,185 @@
-import { francAll } from 'franc-min';
+import { francAll } from 'franc';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { toIso6393, DETECTABLE_LANGUAGES } from './languages.js';
+import { validateOptions, suggestKey, PIPELINE_SCHEMA } from './schema.js';
+import { ConfigError } from './errors.js';
+import MinHashIndex, { hash32 } from './minhash.js';
+import BpeTokenizer from './tokenizer.js';
+import { checkStage, getStage, listStages } from './stages.js';
+import { flattenMetrics, summarize } from './analysis.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const INDEX_VERSION = 1;
 
 /**
  * DataPipeline - A C4-like data processing pipeline for cleaning and filtering
  * raw content from the web crawler. Implements heuristics-based quality filtering,
- * language identification, and n-gram deduplication.
+ * language identification, and n-gram or MinHash/LSH deduplication as stages
+ * (see src/stages.js) that can be reordered, disabled or extended.
  */
 class DataPipeline {
+  /**
+   * @param {Object} options - Pipeline options, validated against PIPELINE_SCHEMA (see src/schema.js)
+   * @throws {ConfigError} - When an option is unknown, mistyped or out of range
+   */
   constructor(options = {}) {
-    this.options = {
-      // Language filtering
-      targetLanguages: options.targetLanguages || ['eng'], // ISO 639-3 codes
-      minLanguageConfidence: options.minLanguageConfidence || 0.5,
-      
-      // Quality filtering heuristics
-      minTextLength: options.minTextLength || 100,
-      maxTextLength: options.maxTextLength || 100000,
-      minWordCount: options.minWordCount || 20,
-      minAvgWordLength: options.minAvgWordLength || 3,
-      maxAvgWordLength: options.maxAvgWordLength || 15,
-      
-      // Line-based filtering (similar to C4)
-      minLinesEndingWithPunctuation: options.minLinesEndingWithPunctuation || 0.5,
-      maxBulletPointRatio: options.maxBulletPointRatio || 0.5,
-      maxEllipsisLineRatio: options.maxEllipsisLineRatio || 0.3,
-      
-      // Symbol and special character filtering
-      maxSymbolToWordRatio: options.maxSymbolToWordRatio || 0.1,
-      maxDigitRatio: options.maxDigitRatio || 0.15,
-      maxUppercaseRatio: options.maxUppercaseRatio || 0.2,
-      
-      // Content quality heuristics
-      minUniqueWordsRatio: options.minUniqueWordsRatio || 0.3,
-      maxRepetitiveNGramRatio: options.maxRepetitiveNGramRatio || 0.15,
-      
-      // N-gram settings for deduplication
-      ngramSize: options.ngramSize || 13,
-      ngramOverlapThreshold: options.ngramOverlapThreshold || 0.8,
-      
-      ...options
-    };
+    // Missing options get their defaults; explicit values such as 0 are kept
+    this.options = validateOptions(PIPELINE_SCHEMA, options, 'DataPipeline options');
     
-    // Store n-grams for deduplication across documents
+    if (!Array.isArray(this.options.targetLanguages)) {
+      throw new ConfigError(
+        [`targetLanguages: '${this.options.targetLanguages}' must be resolved to a list of languages first (see getTargetLanguages)`],
+        'DataPipeline options'
+      );
+    }
+    
+    // Accept wiki codes ('de') and stoplist names ('German') as well as ISO 639-3 codes
+    this.options.targetLanguages = this.options.targetLanguages.map(toIso6393);
+    
+    // Store n-gram hashes for deduplication across documents
     this.seenNGrams = new Set();
+    // Hashes of paragraphs from accepted documents
+    this.seenParagraphs = new Set();
     this.processedDocuments = 0;
+    
+    // MinHash signatures replace the n-gram set with the 'minhash' strategy
+    this.minhash = this.options.dedupStrategy === 'minhash'
+      ? new MinHashIndex({
+        numPermutations: this.options.minhashPermutations,
+        bands: this.options.minhashBands,
+        threshold: this.options.minhashThreshold,
+        shingleSize: this.options.minhashShingleSize,
+        maxDocuments: this.options.minhashMaxDocuments
+      })
+      : null;
+    
+    // Used by the tokens stage and to split long documents on export
+    this.tokenizer = null;
+    if (this.options.tokenizerFile) {
+      try {
+        this.tokenizer = BpeTokenizer.fromFile(this.options.tokenizerFile);
+      } catch (error) {
+        throw new ConfigError([`tokenizerFile: ${error.message}`], 'DataPipeline options');
+      }
+    }
+    
+    // [{ stage, options, state }] in the order they run
+    this.stages = this.resolveStages();
+    
+    // franc never returns some codes, and pages in those languages would all be rejected
+    const undetectable = this.options.targetLanguages.filter(language => !DETECTABLE_LANGUAGES.has(language));
+    if (undetectable.length > 0 && this.stages.some(({ stage }) => stage.name === 'language')) {
+      console.warn(`targetLanguages ${JSON.stringify(undetectable)} cannot be detected by franc; ` +
+        'the language stage will reject every page in them');
+    }
+  }
+
+  /**
+   * Look up the configured stages and resolve the options of each one
+   * @returns {Array<Object>} - { stage, options, state } per enabled stage, in order
+   * @throws {ConfigError} - When a stage is unknown, listed twice, has invalid options or fails to set up
+   */
+  resolveStages() {
+    const errors = [];
+    const unknownStage = name => {
+      const suggestion = suggestKey(name, listStages());
+      return `unknown stage '${name}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`;
+    };
+    
+    const stages = [];
+    this.options.stages.forEach((entry, index) => {
+      const stage = typeof entry === 'string' ? getStage(entry) : entry;
+      if (!stage) {
+        errors.push(`stages[${index}]: ${unknownStage(entry)}`);
+        return;
+      }
+      try {
+        checkStage(stage);
+      } catch (error) {
+        errors.push(`stages[${index}]: ${error.message}`);
+        return;
+      }
+      if (stages.some(other => other.name === stage.name)) {
+        errors.push(`stages[${index}]: stage '${stage.name}' is listed twice`);
+      } else {
+        stages.push(stage);
+      }
+    });
+    
+    const names = stages.map(stage => stage.name);
+    this.options.disabledStages
+      .filter(name => !names.includes(name))
+      .forEach(name => errors.push(`disabledStages: ${unknownStage(name)}`));
+    Object.keys(this.options.stageOptions)
+      .filter(name => !names.includes(name))
+      .forEach(name => errors.push(`stageOptions.${name}: ${unknownStage(name)}`));
+    
+    if (errors.length > 0) {
+      throw new ConfigError(errors, 'DataPipeline options');
+    }
+    
+    return stages
+      .filter(stage => !this.options.disabledStages.includes(stage.name))
+      .map(stage => {
+        const options = this.resolveStageOptions(stage);
+        if (!stage.setup) {
+          return { stage, options, state: null };
+        }
+        try {
+          return { stage, options, state: stage.setup(options, this) };
+        } catch (error) {
+          throw new ConfigError([`${stage.name}: ${error.message}`], 'DataPipeline options');
+        }
+      });
+  }
+
+  /**
+   * Resolve the options of a stage: keys of PIPELINE_SCHEMA are taken from
+   * the pipeline options, the others are validated from stageOptions.<name>
+   * @param {Object} stage - Stage definition
+   * @returns {Object} - Stage options with defaults applied
+   */
+  resolveStageOptions(stage) {
+    const schema = stage.options || {};
+    const shared = Object.keys(schema).filter(key => key in PIPELINE_SCHEMA);
+    const own = Object.fromEntries(Object.entries(schema).filter(([key]) => !shared.includes(key)));
+    
+    return {
+      ...Object.fromEntries(shared.map(key => [key, this.options[key]])),
+      ...validateOptions(own, this.options.stageOptions[stage.name], `options of pipeline stage '${stage.name}'`)
+    };
   }
 
   /**
-   * Process a single document through the pipeline
+   * Describe the enabled stages in the order they run
+   * @returns {Array<Object>} - { name, description, options, metrics, filters } per stage
+   */
+  describeStages() {
+    return this.stages.map(({ stage, options }) => ({
+      name: stage.name,
+      description: stage.description || '',
+      options,
+      metrics: stage.metrics || [],
+      filters: stage.filters || []
+    }));
+  }
+
+  /**
+   * Process a single document through the pipeline stages. A document fails
+   * at the first stage that reports a failed filter; stages only record it
+   * (e.g. in the dedup index) once it has passed all of them.
    * @param {Object} document - Document object with text content
+   * @param {Object} options - Processing options
+   * @param {boolean} options.evaluateAll - Keep running the remaining stages after a failure, so every
+   *   filter is evaluated; the stages that failed first are listed in `pipeline.firstFailure` (default: false)
    * @returns {Object} - Processed document with filtering metadata
    */
-  async processDocument(document) {
+  async processDocument(document, options = {}) {
     const result = {
       ...document,
       pipeline: {
@@ -61,49 +190,63 @@ class DataPipeline {
     };
 
     // Extract text content
-    const text = document.filteredText || document.text || '';
+    const textField = document.filteredText ? 'filteredText' : 'text';
+    let text = document[textField] || '';
     
     if (!text) {
       result.pipeline.passed = false;
       result.pipeline.filters.emptyText = true;
+      if (options.evaluateAll) {
+        result.pipeline.firstFailure = ['emptyText'];
+      }
       return result;
     }
-
-    // 1. Language identification
-    const languageCheck = this.identifyLanguage(text);
-    result.pipeline.metrics.language = languageCheck;
-    result.pipeline.filters.language = !languageCheck.passed;
     
-    if (!languageCheck.passed) {
-      result.pipeline.passed = false;
-      return result;
+    const commits = [];
+    for (const { stage, options: stageOptions, state } of this.stages) {
+      const output = await stage.process(text, { document, options: stageOptions, state, pipeline: this, result }) || {};
+      Object.assign(result.pipeline.metrics, output.metrics);
+      Object.assign(result.pipeline.filters, output.filters);
+      if (typeof output.text === 'string' && output.text !== text) {
+        text = output.text;
+        result[textField] = text;
+      }
+      
+      const failedFilters = Object.keys(output.filters || {}).filter(filter => output.filters[filter] === true);
+      if (failedFilters.length > 0) {
+        if (!options.evaluateAll) {
+          result.pipeline.passed = false;
+          return result;
+        }
+        if (result.pipeline.passed) {
+          result.pipeline.firstFailure = failedFilters;
+        }
+        result.pipeline.passed = false;
+      }
+      // Cleaning stages may remove everything; later stages cannot run on empty text
+      if (!text) {
+        if (failedFilters.length === 0) {
+          result.pipeline.filters.emptyText = true;
+          if (options.evaluateAll && result.pipeline.passed) {
+            result.pipeline.firstFailure = ['emptyText'];
+          }
+        }
+        result.pipeline.passed = false;
+        return result;
+      }
+      if (output.commit) {
+        commits.push(output.commit);
+      }
     }
-
-    // 2. Calculate quality metrics
-    const metrics = this.calculateMetrics(text);
-    result.pipeline.metrics = { ...result.pipeline.metrics, ...metrics };
-
-    // 3. Apply quality filters
-    const qualityFilters = this.applyQualityFilters(text, metrics);
-    result.pipeline.filters = { ...result.pipeline.filters, ...qualityFilters };
     
-    if (Object.values(qualityFilters).some(v => v === true)) {
-      result.pipeline.passed = false;
+    if (!result.pipeline.passed) {
       return result;
     }
-
-    // 4. Check for n-gram duplicates
-    const duplicateCheck = this.checkDuplicates(text);
-    result.pipeline.metrics.ngramDuplication = duplicateCheck;
-    result.pipeline.filters.duplicate = !duplicateCheck.passed;
     
-    if (!duplicateCheck.passed) {
-      result.pipeline.passed = false;
-      return result;
+    // The document passed every stage: let them record it
+    for (const commit of commits) {
+      await commit();
     }
-
-    // If all checks passed, add n-grams to seen set
-    this.addNGrams(text);
     this.processedDocuments++;
 
     return result;
@@ -148,6 +291,106 @@ class DataPipeline {
     };
   }
 
+  /**
+   * Dry run: evaluate every filter on every document and report what would be
+   * rejected and why, without changing the dedup state. Documents are still
+   * deduplicated against each other as in a real run.
+   * @param {Array<Object>} documents - Array of document objects
+   * @param {Object} options - Analysis options
+   * @param {Object} options.scenarios - Alternative pipeline options by scenario name, e.g.
+   *   { lenient: { minWordCount: 10 } }; each is run to preview its pass rate (default: {})
+   * @param {number} options.examples - Example rejected snippets kept per filter (default: 3)
+   * @param {number} options.snippetLength - Characters per example snippet (default: 200)
+   * @param {number} options.bins - Histogram bins per metric (default: 10)
+   * @returns {Object} - { total, passed, passRate, filters, metrics, scenarios }
+   */
+  async analyzeBatch(documents, options = {}) {
+    const { scenarios = {}, examples = 3, snippetLength = 200, bins = 10 } = options;
+    const snapshot = this.exportIndex();
+    const filters = {};
+    const metricValues = {};
+    let passed = 0;
+
+    try {
+      for (const [index, document] of documents.entries()) {
+        const result = await this.processDocument(document, { evaluateAll: true });
+        for (const [metric, value] of Object.entries(flattenMetrics(result.pipeline.metrics))) {
+          if (!metricValues[metric]) {
+            metricValues[metric] = [];
+          }
+          metricValues[metric].push(value);
+        }
+
+        if (result.pipeline.passed) {
+          passed++;
+          continue;
+        }
+        const failed = Object.keys(result.pipeline.filters).filter(filter => result.pipeline.filters[filter] === true);
+        for (const filter of failed) {
+          if (!filters[filter]) {
+            filters[filter] = { failed: 0, only: 0, first: 0, examples: [] };
+          }
+          const report = filters[filter];
+          report.failed++;
+          if (failed.length === 1) {
+            report.only++;
+          }
+          if (result.pipeline.firstFailure.includes(filter)) {
+            report.first++;
+          }
+          if (report.examples.length < examples) {
+            report.examples.push({
+              id: String(document.url ?? document.id ?? document.title ?? index),
+              snippet: (result.filteredText || result.text || '').slice(0, snippetLength),
+              failedFilters: failed
+            });
+          }
+        }
+      }
+    } finally {
+      // Forget the documents accepted during the dry run
+      this.reset();
+      this.importIndex(snapshot);
+    }
+
+    const total = documents.length;
+    const passRate = total > 0 ? passed / total : 0;
+    for (const report of Object.values(filters)) {
+      report.rate = total > 0 ? report.failed / total : 0;
+    }
+
+    const scenarioResults = {};
+    for (const [name, overrides] of Object.entries(scenarios)) {
+      const variant = new DataPipeline({ ...this.options, ...overrides });
+      let indexReused = true;
+      try {
+        variant.importIndex(snapshot);
+      } catch (error) {
+        // Different dedup settings: the scenario starts from an empty index
+        console.warn(`Scenario '${name}' cannot reuse the dedup index: ${error.message}`);
+        indexReused = false;
+      }
+      const { stats, passRate: scenarioPassRate } = await variant.processBatch(documents);
+      scenarioResults[name] = {
+        options: overrides,
+        passed: stats.passed,
+        passRate: scenarioPassRate,
+        change: scenarioPassRate - passRate,
+        failureReasons: stats.failureReasons,
+        indexReused
+      };
+    }
+
+    return {
+      total,
+      passed,
+      passRate,
+      filters,
+      metrics: Object.fromEntries(Object.entries(metricValues).map(([metric, values]) => [metric, summarize(values, bins)])),
+      scenarios: scenarioResults
+    };
+  }
+
   /**
    * Identify the language of the text
    * @param {string} text - Text to analyze
@@ -316,7 +559,7 @@ class DataPipeline {
     }
 
     // Count how many n-grams have been seen before
-    const seenCount = ngrams.filter(ngram => this.seenNGrams.has(ngram)).length;
+    const seenCount = ngrams.filter(ngram => this.seenNGrams.has(this.hashNGram(ngram))).length;
     const overlapRatio = seenCount / ngrams.length;
     
     const passed = overlapRatio < this.options.ngramOverlapThreshold;
@@ -330,52 +573,291 @@ class DataPipeline {
     };
   }
 
+  /**
+   * Check a MinHash signature against the LSH index of accepted documents
+   * @param {Uint32Array} signature - MinHash signature of the document
+   * @param {string} documentId - ID of the document being checked
+   * @returns {Object} - Near-duplicate check result with the matched representative's ID
+   */
+  checkNearDuplicates(signature, documentId) {
+    const match = this.minhash.query(signature);
+    const passed = match.id === null;
+
+    return {
+      passed,
+      similarity: match.similarity,
+      candidates: match.candidates,
+      representativeId: passed ? documentId : match.id,
+      reason: !passed
+        ? `Near-duplicate of ${match.id} (estimated Jaccard similarity ${(match.similarity * 100).toFixed(1)}%)`
+        : null
+    };
+  }
+
+  /**
+   * Get the ID used for a document in the dedup index: its `id`, then its
+   * URL, then a sequence number
+   * @param {Object} document - Document object
+   * @returns {string} - Document ID
+   */
+  getDocumentId(document) {
+    return String(document.id ?? document.url ?? `doc-${this.processedDocuments + 1}`);
+  }
+
+  /**
+   * Remove paragraphs (non-empty lines) whose normalized text was already
+   * seen, either earlier in the same text or in an accepted document.
+   * Paragraphs shorter than minParagraphLength are always kept. In Markdown
+   * a paragraph is a whole block between blank lines, so a list or a table
+   * is kept or removed as a unit, and headings are always kept.
+   * @param {string} text - Text to deduplicate
+   * @param {Object} options - Deduplication options
+   * @param {boolean} options.markdown - The text is Markdown (default: false)
+   * @returns {Object} - { text, hashes, stats } where hashes are the kept paragraphs' hashes
+   */
+  removeDuplicateParagraphs(text, options = {}) {
+    const hashes = new Set();
+    const stats = { paragraphs: 0, duplicateParagraphs: 0, removedChars: 0 };
+    const kept = [];
+    const separator = options.markdown ? '\n\n' : '\n';
+    
+    for (const block of text.split(options.markdown ? /\n\s*\n/ : '\n')) {
+      const paragraph = block.trim().replace(/\s+/g, ' ');
+      if (!paragraph) {
+        kept.push('');
+        continue;
+      }
+      stats.paragraphs++;
+      if (paragraph.length < this.options.minParagraphLength ||
+          (options.markdown && /^#{1,6}\s/.test(paragraph))) {
+        kept.push(block);
+        continue;
+      }
+      
+      const hash = this.hashNGram(paragraph.toLowerCase());
+      if (this.seenParagraphs.has(hash) || hashes.has(hash)) {
+        stats.duplicateParagraphs++;
+        stats.removedChars += block.length;
+      } else {
+        hashes.add(hash);
+        kept.push(block);
+      }
+    }
+    
+    return {
+      // Collapse the blank lines left behind by removed paragraphs
+      text: stats.duplicateParagraphs > 0 ? kept.join(separator).replace(/\n{3,}/g, '\n\n').trim() : text,
+      hashes: Array.from(hashes),
+      stats: {
+        ...stats,
+        duplicateRatio: stats.paragraphs > 0 ? stats.duplicateParagraphs / stats.paragraphs : 0
+      }
+    };
+  }
+
   /**
    * Add n-grams from text to the seen set
    * @param {string} text - Text to process
    */
   addNGrams(text) {
     const ngrams = this.generateNGrams(text);
-    ngrams.forEach(ngram => this.seenNGrams.add(ngram));
+    ngrams.forEach(ngram => this.seenNGrams.add(this.hashNGram(ngram)));
   }
 
   /**
-   * Reset the pipeline state (clear seen n-grams)
+   * Hash an n-gram (or paragraph) to a 52-bit integer, so the seen sets
+   * store numbers instead of strings and can be saved compactly
+   * @param {string} ngram - N-gram text
+   * @returns {number} - Hash, safe to store as a JSON number
+   */
+  hashNGram(ngram) {
+    return hash32(ngram) * 0x100000 + (hash32(ngram, 0x01000193) >>> 12);
+  }
+
+  /**
+   * Reset the pipeline state (clear seen n-grams, paragraphs and MinHash signatures)
    */
   reset() {
     this.seenNGrams.clear();
+    this.seenParagraphs.clear();
+    if (this.minhash) {
+      this.minhash.clear();
+    }
     this.processedDocuments = 0;
   }
 
+  /**
+   * Export the deduplication state (n-gram hashes or MinHash signatures,
+   * plus paragraph hashes when paragraph deduplication is enabled)
+   * @returns {Object} - Serializable index
+   */
+  exportIndex() {
+    const index = {
+      version: INDEX_VERSION,
+      strategy: this.minhash ? 'minhash' : 'ngram',
+      processedDocuments: this.processedDocuments
+    };
+    
+    if (this.minhash) {
+      index.minhash = this.minhash.toJSON();
+    } else {
+      index.ngramSize = this.options.ngramSize;
+      index.ngrams = Array.from(this.seenNGrams);
+    }
+    if (this.options.dedupParagraphs) {
+      index.paragraphs = Array.from(this.seenParagraphs);
+    }
+    return index;
+  }
+
+  /**
+   * Merge an exported deduplication index into the current state. Indices
+   * from several runs can be imported one after another.
+   * @param {Object} index - Result of exportIndex()
+   */
+  importIndex(index) {
+    if (index.version !== INDEX_VERSION) {
+      throw new Error(`Unsupported dedup index version: ${index.version}`);
+    }
+    const strategy = this.minhash ? 'minhash' : 'ngram';
+    if (index.strategy !== strategy) {
+      throw new Error(`Dedup index uses the '${index.strategy}' strategy, but the pipeline uses '${strategy}'`);
+    }
+    
+    if (this.minhash) {
+      this.minhash.restore(index.minhash);
+    } else {
+      if (index.ngramSize !== this.options.ngramSize) {
+        throw new Error(`Dedup index uses ngramSize ${index.ngramSize}, but the pipeline uses ${this.options.ngramSize}`);
+      }
+      index.ngrams.forEach(hash => this.seenNGrams.add(hash));
+    }
+    if (this.options.dedupParagraphs && index.paragraphs) {
+      index.paragraphs.forEach(hash => this.seenParagraphs.add(hash));
+    }
+    this.processedDocuments += index.processedDocuments || 0;
+  }
+
+  /**
+   * Save the deduplication index to disk (gzip-compressed for `.gz` paths).
+   * The file is written atomically (temp file + rename).
+   * @param {string} filepath - Index file path
+   * @returns {string} - Index file path
+   */
+  async saveIndex(filepath) {
+    try {
+      let content = Buffer.from(JSON.stringify(this.exportIndex()), 'utf-8');
+      if (filepath.endsWith('.gz')) {
+        content = await gzip(content);
+      }
+      
+      await fs.mkdir(path.dirname(filepath), { recursive: true });
+      const tempPath = `${filepath}.tmp`;
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, filepath);
+      return filepath;
+    } catch (error) {
+      console.error('Error saving dedup index:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a deduplication index from disk and merge it into the current state
+   * @param {string} filepath - Index file path
+   * @param {Object} options - Loading options
+   * @param {boolean} options.optional - Return false instead of throwing if the file does not exist (default: false)
+   * @returns {boolean} - Whether an index was loaded
+   */
+  async loadIndex(filepath, options = {}) {
+    let content;
+    try {
+      content = await fs.readFile(filepath);
+    } catch (error) {
+      if (error.code === 'ENOENT' && options.optional) {
+        return false;
+      }
+      throw error;
+    }
+    
+    if (filepath.endsWith('.gz')) {
+      content = await gunzip(content);
+    }
+    this.importIndex(JSON.parse(content.toString('utf-8')));
+    return true;
+  }
+
   /**
    * Get pipeline statistics
    * @returns {Object} - Pipeline statistics
    */
   getStats() {
-    return {
-      processedDocuments: this.processedDocuments,
-      uniqueNGrams: this.seenNGrams.size,
-      memoryUsage: {
-        ngramSetSize: this.seenNGrams.size,
-        estimatedMB: (this.seenNGrams.size * 100) / (1024 * 1024) // Rough estimate
+    const stats = this.minhash
+      ? {
+        processedDocuments: this.processedDocuments,
+        dedupStrategy: 'minhash',
+        indexedDocuments: this.minhash.size,
+        memoryUsage: {
+          signatureCount: this.minhash.size,
+          estimatedMB: this.minhash.estimateMemoryMB()
+        }
       }
-    };
+      : {
+        processedDocuments: this.processedDocuments,
+        dedupStrategy: 'ngram',
+        uniqueNGrams: this.seenNGrams.size,
+        memoryUsage: {
+          ngramSetSize: this.seenNGrams.size,
+          estimatedMB: (this.seenNGrams.size * 40) / (1024 * 1024) // Rough estimate (numeric Set entries)
+        }
+      };
+    stats.stages = this.stages.map(({ stage }) => stage.name);
+    
+    if (this.options.dedupParagraphs) {
+      stats.uniqueParagraphs = this.seenParagraphs.size;
+      stats.memoryUsage.paragraphSetSize = this.seenParagraphs.size;
+      stats.memoryUsage.estimatedMB += (this.seenParagraphs.size * 40) / (1024 * 1024);
+    }
+    return stats;
   }
 
   /**
-   * Export filtered documents only
+   * Export filtered documents only. With a tokenizer and chunkTokens set,
+   * documents longer than chunkTokens are split into several documents that
+   * carry `chunk: { index, count, tokens }`.
    * @param {Array<Object>} processedResults - Results from processBatch
    * @returns {Array<Object>} - Only documents that passed filters
    */
   exportFiltered(processedResults) {
     return processedResults
       .filter(doc => doc.pipeline.passed)
-      .map(doc => {
+      .flatMap(doc => {
         // Create a clean copy without pipeline metadata if desired
         const { pipeline, ...cleanDoc } = doc;
-        return cleanDoc;
+        return this.splitDocument(cleanDoc);
       });
   }
+
+  /**
+   * Split a document into token-bounded chunks (see exportFiltered)
+   * @param {Object} document - Document without pipeline metadata
+   * @returns {Array<Object>} - The document itself, or one document per chunk
+   */
+  splitDocument(document) {
+    if (!this.tokenizer || !this.options.chunkTokens) {
+      return [document];
+    }
+    const textField = document.filteredText ? 'filteredText' : 'text';
+    const chunks = this.tokenizer.chunk(document[textField] || '', this.options.chunkTokens, this.options.chunkOverlap);
+    if (chunks.length <= 1) {
+      return [document];
+    }
+    return chunks.map((chunk, index) => ({
+      ...document,
+      [textField]: chunk.text,
+      chunk: { index, count: chunks.length, tokens: chunk.tokens }
+    }));
+  }
 }
 
 export default DataPipeline;
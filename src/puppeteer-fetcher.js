@@ -0,0 +1,134 @@
+import puppeteer from 'puppeteer';
+import PagePool from './page-pool.js';
+import { HttpError } from './errors.js';
+import { wikiPageTitle } from './mediawiki-fetcher.js';
+
+/**
+ * PuppeteerFetcher - Fetches pages with headless Chrome. Pages are rendered
+ * with full JavaScript support and links are read from the live DOM.
+ */
+class PuppeteerFetcher {
+  /**
+   * @param {Object} options - Fetcher options
+   * @param {boolean} options.headless - Run browser in headless mode (default: true)
+   * @param {string} options.executablePath - Path to a Chrome/Chromium executable
+   * @param {number} options.concurrency - Number of pages kept open for parallel fetches (default: 1)
+   * @param {number} options.timeout - Navigation timeout in milliseconds (default: 30000)
+   */
+  constructor(options = {}) {
+    this.options = {
+      headless: options.headless !== false,
+      executablePath: options.executablePath || null,
+      concurrency: options.concurrency || 1,
+      timeout: options.timeout || 30000
+    };
+    this.browser = null;
+    this.pagePool = null;
+  }
+
+  /**
+   * Launch the browser
+   */
+  async init() {
+    try {
+      // Try to use system Chrome if Puppeteer's Chrome is not available
+      const launchOptions = {
+        headless: this.options.headless,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      };
+
+      // If executablePath is provided in options, use it
+      if (this.options.executablePath) {
+        launchOptions.executablePath = this.options.executablePath;
+      }
+
+      this.browser = await puppeteer.launch(launchOptions);
+      this.pagePool = new PagePool(this.browser, this.options.concurrency);
+      console.log('Browser initialized successfully');
+    } catch (error) {
+      console.error('Failed to initialize browser:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Navigate to a page and read its title, HTML and links
+   * @param {string} url - Page URL
+   * @returns {Object} - { url, status, headers, title, html, links }
+   */
+  async fetch(url) {
+    const page = await this.pagePool.acquire();
+
+    try {
+      // Navigate to the page
+      const response = await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: this.options.timeout
+      });
+
+      if (response && response.status() >= 400) {
+        const error = new HttpError(response.status(), url);
+        error.retryAfter = response.headers()['retry-after'] || null;
+        throw error;
+      }
+
+      // Get the HTML content
+      const html = await page.content();
+
+      // Wiki pages get the title the MediaWiki fetcher returns, without the site name
+      const title = wikiPageTitle(html) || await page.title();
+
+      // Extract the links of the article content (the whole page on sites
+      // other than wikis); the crawler keeps the ones in its scope
+      const links = await page.evaluate(() => {
+        const root = document.querySelector('#mw-content-text') || document.body;
+        // The lead section is everything before the first section heading
+        const firstHeading = root.querySelector('.mw-heading, h2');
+        const urls = new Map();
+
+        root.querySelectorAll('a[href]').forEach(link => {
+          // link.href is absolute, resolved by the browser
+          const url = link.href;
+          if (/^https?:/.test(url) && !urls.has(url)) {
+            urls.set(url, {
+              url,
+              inLead: !firstHeading ||
+                Boolean(firstHeading.compareDocumentPosition(link) & Node.DOCUMENT_POSITION_PRECEDING),
+              position: urls.size
+            });
+          }
+        });
+
+        return Array.from(urls.values());
+      });
+
+      return {
+        url: page.url(),
+        status: response ? response.status() : null,
+        headers: response ? response.headers() : {},
+        title,
+        html,
+        links
+      };
+    } finally {
+      this.pagePool.release(page);
+    }
+  }
+
+  /**
+   * Close all pages and the browser
+   */
+  async close() {
+    if (this.pagePool) {
+      await this.pagePool.close();
+      this.pagePool = null;
+    }
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      console.log('Browser closed');
+    }
+  }
+}
+
+export default PuppeteerFetcher;
@@ -0,0 +1,174 @@
+// Statuses a server sends when it wants clients to slow down
+const THROTTLE_STATUSES = [429, 503];
+
+// Multiplicative decrease on trouble, additive increase (a tenth of the target rate) when healthy
+const DECREASE_FACTOR = 0.5;
+const INCREASE_STEP = 0.1;
+
+// A host is slowed down at most once per interval, so a burst of concurrent
+// 429s or slow responses halves the rate once rather than once per response
+const DECREASE_INTERVAL = 1000;
+
+// Latency is tracked with a fast and a slow moving average; latency is
+// "rising" once the fast average exceeds `latencyThreshold` times the slow one
+const FAST_ALPHA = 0.5;
+const SLOW_ALPHA = 0.1;
+const LATENCY_WARMUP = 3;
+
+/**
+ * RateLimiter - Per-host token buckets. Each host may send `burst` requests at
+ * once and `requestsPerSecond` on average. With `adaptive`, a host's rate is
+ * halved on 429/503 responses or rising latency and grows back towards the
+ * configured rate while responses are healthy.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Rate limit options
+   * @param {number} options.requestsPerSecond - Target request rate per host (default: 1)
+   * @param {number} options.burst - Requests a host may receive back to back (default: 1)
+   * @param {boolean} options.adaptive - Slow down on throttling or rising latency (default: true)
+   * @param {number} options.minRequestsPerSecond - Lowest rate adaptive throttling goes down to (default: 0.05)
+   * @param {number} options.latencyThreshold - Slow down when recent latency exceeds this multiple of the usual latency (default: 2)
+   */
+  constructor(options = {}) {
+    this.options = {
+      requestsPerSecond: options.requestsPerSecond ?? 1,
+      burst: options.burst ?? 1,
+      adaptive: options.adaptive !== false,
+      minRequestsPerSecond: options.minRequestsPerSecond ?? 0.05,
+      latencyThreshold: options.latencyThreshold ?? 2
+    };
+    this.buckets = new Map();
+  }
+
+  /**
+   * Get (or create) the bucket of a URL's host
+   * @param {string} url - Request URL
+   * @returns {Object} - Bucket state
+   */
+  getBucket(url) {
+    const { host } = new URL(url);
+    let bucket = this.buckets.get(host);
+    if (!bucket) {
+      bucket = {
+        host,
+        targetRate: this.options.requestsPerSecond,
+        rate: this.options.requestsPerSecond,
+        tokens: this.options.burst,
+        updatedAt: Date.now(),
+        decreasedAt: 0,
+        fastLatency: null,
+        slowLatency: null,
+        samples: 0,
+        requests: 0,
+        throttled: 0,
+        slowdowns: 0
+      };
+      this.buckets.set(host, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Add the tokens earned since the last update, up to `burst`
+   * @param {Object} bucket - Bucket state
+   */
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(this.options.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.rate);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * Cap the rate of a host below the configured one, e.g. for a robots.txt Crawl-delay
+   * @param {string} url - Any URL on the host
+   * @param {number} requestsPerSecond - Highest rate for the host
+   */
+  limitHost(url, requestsPerSecond) {
+    const bucket = this.getBucket(url);
+    const targetRate = Math.min(this.options.requestsPerSecond, requestsPerSecond);
+    if (targetRate !== bucket.targetRate) {
+      this.refill(bucket);
+      bucket.targetRate = targetRate;
+      bucket.rate = Math.min(bucket.rate, targetRate);
+    }
+  }
+
+  /**
+   * Wait until the URL's host has a token and take it. Concurrent callers
+   * reserve tokens in turn, so each waits for its own slot.
+   * @param {string} url - Request URL
+   */
+  async acquire(url) {
+    const bucket = this.getBucket(url);
+    this.refill(bucket);
+    bucket.tokens -= 1;
+    bucket.requests++;
+
+    if (bucket.tokens < 0) {
+      await new Promise(resolve => setTimeout(resolve, -bucket.tokens / bucket.rate * 1000));
+    }
+  }
+
+  /**
+   * Record how a request went and adapt the host's rate
+   * @param {string} url - Request URL
+   * @param {Object} outcome - { ok, status, latency }: whether the request succeeded, the
+   *   HTTP status (null if unknown) and the response time in milliseconds
+   */
+  record(url, { ok = true, status = null, latency = null } = {}) {
+    const bucket = this.getBucket(url);
+    const throttled = THROTTLE_STATUSES.includes(status);
+    if (throttled) {
+      bucket.throttled++;
+    }
+
+    let slow = false;
+    if (latency !== null) {
+      bucket.samples++;
+      bucket.fastLatency = bucket.fastLatency === null ? latency : bucket.fastLatency + FAST_ALPHA * (latency - bucket.fastLatency);
+      slow = bucket.samples > LATENCY_WARMUP &&
+        bucket.fastLatency > this.options.latencyThreshold * bucket.slowLatency;
+      // The usual latency only learns from normal responses, so a slow spell does not become the norm at once
+      if (!slow || bucket.slowLatency === null) {
+        bucket.slowLatency = bucket.slowLatency === null ? latency : bucket.slowLatency + SLOW_ALPHA * (latency - bucket.slowLatency);
+      }
+    }
+
+    if (!this.options.adaptive) {
+      return;
+    }
+
+    this.refill(bucket);
+    if (throttled || slow) {
+      const now = Date.now();
+      if (now - bucket.decreasedAt >= DECREASE_INTERVAL) {
+        const floor = Math.min(this.options.minRequestsPerSecond, bucket.targetRate);
+        bucket.rate = Math.max(floor, bucket.rate * DECREASE_FACTOR);
+        bucket.decreasedAt = now;
+        bucket.slowdowns++;
+        // Drop any saved-up burst so the lower rate applies right away
+        bucket.tokens = Math.min(bucket.tokens, 0);
+      }
+    } else if (ok) {
+      bucket.rate = Math.min(bucket.targetRate, bucket.rate + INCREASE_STEP * bucket.targetRate);
+    }
+  }
+
+  /**
+   * Current state of every host
+   * @returns {Object} - Per host: { requestsPerSecond, targetRequestsPerSecond, requests, throttled, slowdowns, latency }
+   */
+  getStats() {
+    return Object.fromEntries(Array.from(this.buckets.values()).map(bucket => [bucket.host, {
+      requestsPerSecond: Number(bucket.rate.toFixed(3)),
+      targetRequestsPerSecond: Number(bucket.targetRate.toFixed(3)),
+      requests: bucket.requests,
+      throttled: bucket.throttled,
+      slowdowns: bucket.slowdowns,
+      latency: bucket.fastLatency === null ? null : Math.round(bucket.fastLatency)
+    }]));
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,93 @@
+import { isRetryableError } from './errors.js';
+
+/**
+ * Parse a Retry-After header value (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if missing/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * RetryPolicy - Retries transient failures (timeouts, 429, 5xx) with
+ * exponential backoff and jitter, waiting for Retry-After when the server sends one
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options - Retry options
+   * @param {number} options.maxAttempts - Total attempts including the first one (default: 3)
+   * @param {number} options.baseDelay - Delay before the first retry in milliseconds (default: 1000)
+   * @param {number} options.maxDelay - Upper bound for a single backoff delay in milliseconds (default: 30000)
+   * @param {number} options.factor - Backoff multiplier per attempt (default: 2)
+   * @param {boolean} options.jitter - Randomize delays to avoid synchronized retries (default: true)
+   * @param {Function} options.isRetryable - Predicate deciding which errors are retried
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxAttempts: options.maxAttempts ?? 3,
+      baseDelay: options.baseDelay ?? 1000,
+      maxDelay: options.maxDelay ?? 30000,
+      factor: options.factor ?? 2,
+      jitter: options.jitter !== false,
+      isRetryable: options.isRetryable || isRetryableError
+    };
+  }
+
+  /**
+   * Delay before the next attempt. A Retry-After delay is capped at maxDelay
+   * like the backoff, so a server cannot stall a worker for hours.
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @param {Error} error - The error it failed with
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(attempt, error) {
+    const retryAfter = parseRetryAfter(error && error.retryAfter);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.options.maxDelay);
+    }
+
+    const backoff = Math.min(
+      this.options.maxDelay,
+      this.options.baseDelay * Math.pow(this.options.factor, attempt - 1)
+    );
+    // "Equal jitter": keep half the delay, randomize the other half
+    return this.options.jitter ? backoff / 2 + Math.random() * (backoff / 2) : backoff;
+  }
+
+  /**
+   * Run an async operation, retrying transient failures. The error that is
+   * finally thrown carries the number of attempts made in `error.attempts`.
+   * @param {Function} operation - Async function receiving the attempt number
+   * @param {Function} onRetry - Optional callback (error, attempt, delay) before each retry
+   * @returns {*} - The operation's result
+   */
+  async run(operation, onRetry = null) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (attempt >= this.options.maxAttempts || !this.options.isRetryable(error)) {
+          error.attempts = attempt;
+          throw error;
+        }
+
+        const delay = this.getDelay(attempt, error);
+        if (onRetry) {
+          onRetry(error, attempt, delay);
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+export default RetryPolicy;
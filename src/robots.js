@@ -0,0 +1,204 @@
+/**
+ * Error thrown when robots.txt disallows fetching a URL
+ */
+export class RobotsBlockedError extends Error {
+  constructor(url) {
+    super(`Blocked by robots.txt: ${url}`);
+    this.name = 'RobotsBlockedError';
+    this.url = url;
+  }
+}
+
+/**
+ * Convert a robots.txt path pattern to a regular expression. Supports the `*`
+ * wildcard and the `$` end anchor.
+ * @param {string} pattern - Path pattern from an Allow/Disallow line
+ * @returns {RegExp} - Regular expression matching from the start of the path
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parse a robots.txt file and keep the rules that apply to a user agent.
+ * Groups naming the agent win over the `*` group, as in RFC 9309.
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Crawler product token (e.g. 'WikipediaCrawler')
+ * @returns {Object} - { rules: [{ allow, pattern, regex }], crawlDelay }
+ */
+export function parseRobotsTxt(text, userAgent = '*') {
+  const groups = [];
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || current.rules.length > 0 || current.crawlDelay !== null) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({
+          allow: field === 'allow',
+          pattern: value,
+          regex: patternToRegExp(value)
+        });
+      }
+    } else if (current && field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds;
+      }
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  let matching = groups.filter(group =>
+    group.agents.some(name => name !== '*' && agent.includes(name))
+  );
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Check a URL path against parsed rules: the longest matching pattern wins,
+ * and Allow wins a tie
+ * @param {Array<Object>} rules - Rules from parseRobotsTxt()
+ * @param {string} pathWithQuery - URL path and query string
+ * @returns {boolean} - Whether the path may be fetched
+ */
+export function isPathAllowed(rules, pathWithQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.regex.test(pathWithQuery)) {
+      continue;
+    }
+    if (!best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * RobotsPolicy - Fetches robots.txt once per host, caches the parsed rules and
+ * answers whether a URL may be crawled and how long to wait between requests
+ */
+class RobotsPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {string} options.userAgent - Product token matched against User-agent lines (default: 'WikipediaCrawler')
+   * @param {number} options.timeout - robots.txt request timeout in milliseconds (default: 10000)
+   */
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || 'WikipediaCrawler';
+    this.timeout = options.timeout || 10000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the parsed robots.txt for the URL's host, fetching it on first use
+   * @param {string} url - Any URL on the host
+   * @returns {Object} - { rules, crawlDelay }
+   */
+  async getRules(url) {
+    const origin = new URL(url).origin;
+    if (!this.cache.has(origin)) {
+      // Cache the promise so concurrent workers share a single request
+      const request = this.fetchRules(origin).then(rules => {
+        this.cache.set(origin, rules);
+        return rules;
+      });
+      this.cache.set(origin, request);
+    }
+    return this.cache.get(origin);
+  }
+
+  /**
+   * Download and parse robots.txt for an origin. A missing file (4xx) allows
+   * everything; an unreachable one (5xx or network error) disallows everything.
+   * @param {string} origin - Scheme, host and port
+   * @returns {Object} - { rules, crawlDelay }
+   */
+  async fetchRules(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const response = await fetch(robotsUrl, {
+        headers: { 'User-Agent': this.userAgent },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (response.status >= 400 && response.status < 500) {
+        return { rules: [], crawlDelay: null };
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const parsed = parseRobotsTxt(await response.text(), this.userAgent);
+      if (parsed.crawlDelay !== null) {
+        console.log(`robots.txt for ${origin} sets Crawl-delay: ${parsed.crawlDelay}s`);
+      }
+      return parsed;
+    } catch (error) {
+      console.error(`Could not fetch ${robotsUrl}, disallowing host:`, error.message);
+      return { rules: [{ allow: false, pattern: '/', regex: /^\// }], crawlDelay: null };
+    }
+  }
+
+  /**
+   * Check whether a URL may be crawled
+   * @param {string} url - URL to check
+   * @returns {boolean} - True if robots.txt allows the URL
+   */
+  async isAllowed(url) {
+    const parsed = new URL(url);
+    if (parsed.pathname === '/robots.txt') {
+      return true;
+    }
+    const { rules } = await this.getRules(url);
+    return isPathAllowed(rules, parsed.pathname + parsed.search);
+  }
+
+  /**
+   * Get the Crawl-delay for a URL's host if robots.txt has already been loaded
+   * @param {string} url - URL on the host
+   * @returns {number|null} - Delay in milliseconds, or null if none is set
+   */
+  getCrawlDelay(url) {
+    const cached = this.cache.get(new URL(url).origin);
+    if (!cached || cached instanceof Promise || cached.crawlDelay === null) {
+      return null;
+    }
+    return cached.crawlDelay * 1000;
+  }
+}
+
+export default RobotsPolicy;
@@ -0,0 +1,496 @@
+import { ConfigError } from './errors.js';
+import { LINE_CLEANING_RULE_NAMES } from './line-cleaning.js';
+import { PII_TYPES } from './pii.js';
+import { SCOPE_PRESET_NAMES } from './link-scope.js';
+
+/**
+ * Option schemas for every section of config.json. Each key maps to a rule:
+ *   type      - 'boolean', 'string', 'number', 'integer', 'array', 'object' or
+ *               'function', or an array of them
+ *   default   - Value used when the key is missing or undefined
+ *   min, max  - Inclusive range for numbers
+ *   enum      - Allowed values for strings
+ *   nullable  - Accept null (kept as null, not replaced by the default)
+ *   items     - Element type (or rule) for arrays
+ *   atMost    - Name of a key in the same section this value must not exceed
+ *   divides   - Name of a key in the same section this value must divide evenly
+ *   properties - Schema for the keys of a nested object (validated, no defaults)
+ *   deprecated - Key still accepted for old configs but ignored; the value is
+ *               the warning shown when it is set
+ */
+
+export const RETRY_SCHEMA = {
+  maxAttempts: { type: 'integer', min: 1, default: 3 },
+  baseDelay: { type: 'number', min: 0, default: 1000, atMost: 'maxDelay' },
+  maxDelay: { type: 'number', min: 0, default: 30000 },
+  factor: { type: 'number', min: 1, default: 2 },
+  jitter: { type: 'boolean', default: true },
+  isRetryable: { type: 'function' }
+};
+
+export const RATE_LIMIT_SCHEMA = {
+  requestsPerSecond: { type: 'number', min: 0.001, default: 1 },
+  burst: { type: 'integer', min: 1, default: 1 },
+  adaptive: { type: 'boolean', default: true },
+  minRequestsPerSecond: { type: 'number', min: 0.001, default: 0.05, atMost: 'requestsPerSecond' },
+  latencyThreshold: { type: 'number', min: 1, default: 2 }
+};
+
+export const STREAM_SCHEMA = {
+  prefix: { type: 'string', default: 'shard' },
+  maxBytes: { type: 'integer', min: 0, default: 0 },
+  gzip: { type: 'boolean', default: false }
+};
+
+// `dir` defaults to <outputDir>/archive
+export const ARCHIVE_SCHEMA = {
+  dir: { type: 'string' },
+  prefix: { type: 'string', default: 'crawl' },
+  maxBytes: { type: 'integer', min: 0, default: 0 },
+  gzip: { type: 'boolean', default: true }
+};
+
+export const MARKDOWN_SCHEMA = {
+  stripInfoboxes: { type: 'boolean', default: true },
+  stripReferences: { type: 'boolean', default: true },
+  tables: { type: 'boolean', default: true }
+};
+
+// Rules left out keep the value of the preset (see src/link-scope.js)
+export const SCOPE_SCHEMA = {
+  preset: { type: 'string', enum: SCOPE_PRESET_NAMES },
+  allowedDomains: { type: 'array', items: 'string' },
+  sameHost: { type: 'boolean' },
+  samePathPrefix: { type: 'boolean' },
+  include: { type: 'array', items: 'string' },
+  exclude: { type: 'array', items: 'string' },
+  stripParams: { type: 'array', items: 'string' }
+};
+
+export const CRAWLER_SCHEMA = {
+  headless: { type: 'boolean', default: true },
+  outputDir: { type: 'string', default: './output' },
+  executablePath: { type: 'string', nullable: true, default: null },
+  fetcher: { type: ['string', 'object'], enum: ['puppeteer', 'mediawiki', 'rest', 'http'], default: 'puppeteer' },
+  // Links followed by recursive crawls: a preset name or { preset, ...rules }
+  scope: { type: ['string', 'object'], enum: SCOPE_PRESET_NAMES, properties: SCOPE_SCHEMA, default: 'wikipedia' },
+  userAgent: { type: 'string', default: 'WikipediaCrawler' },
+  respectRobotsTxt: { type: 'boolean', default: true },
+  language: { type: 'string', nullable: true, default: null },
+  retry: { type: ['boolean', 'object'], properties: RETRY_SCHEMA, default: true },
+  stream: { type: ['boolean', 'object'], properties: STREAM_SCHEMA, default: false },
+  // Keep every fetched page in WARC files for `replay`: true or { dir, prefix, maxBytes, gzip }
+  archive: { type: ['boolean', 'object'], properties: ARCHIVE_SCHEMA, default: false },
+  // Extract Markdown (headings, lists, tables) instead of plain paragraphs
+  markdown: { type: ['boolean', 'object'], properties: MARKDOWN_SCHEMA, default: false }
+};
+
+export const CRAWLING_SCHEMA = {
+  delayBetweenRequests: { type: 'number', min: 0, default: 1000 },
+  timeout: { type: 'number', min: 1, default: 30000 },
+  concurrency: { type: 'integer', min: 1, default: 1 },
+  // Per-host token buckets instead of delayBetweenRequests: true or { requestsPerSecond, burst, ... }
+  rateLimit: { type: ['boolean', 'object'], properties: RATE_LIMIT_SCHEMA, default: false }
+};
+
+export const JUSTEXT_SCHEMA = {
+  language: { type: 'string', default: 'English' },
+  lengthLow: { type: 'integer', min: 0, default: 70, atMost: 'lengthHigh' },
+  lengthHigh: { type: 'integer', min: 0, default: 200 },
+  stopwordsLow: { type: 'number', min: 0, max: 1, default: 0.30, atMost: 'stopwordsHigh' },
+  stopwordsHigh: { type: 'number', min: 0, max: 1, default: 0.32 },
+  maxLinkDensity: { type: 'number', min: 0, max: 1, default: 0.2 },
+  maxHeadingDistance: { type: 'integer', min: 0, default: 200 }
+};
+
+export const RECURSIVE_SCHEMA = {
+  maxPages: { type: 'integer', min: 1, default: 100 },
+  maxDepth: { type: 'integer', min: 0, default: 3 },
+  maxLinksPerPage: { type: 'integer', min: 0, default: 5 },
+  scoreLink: { type: ['string', 'function'], enum: ['lead', 'inlinks'], nullable: true, default: null },
+  resume: { type: 'boolean', default: false },
+  checkpointInterval: { type: 'integer', min: 0, default: 10 },
+  checkpointFile: { type: 'string', default: 'crawl_checkpoint.json' },
+  retainResults: { type: 'boolean', default: true }
+};
+
+// Seed discovery from sitemaps, categories and title lists (see src/seeds.js)
+export const SEEDS_SCHEMA = {
+  wiki: { type: 'string', default: 'https://en.wikipedia.org' },
+  categoryDepth: { type: 'integer', min: 0, default: 1 },
+  maxUrls: { type: 'integer', min: 0, default: 0 },
+  include: { type: 'array', items: 'string', default: [] }
+};
+
+export const PIPELINE_SCHEMA = {
+  // Stages run in this order (built-in stages are defined in src/stages.js).
+  // Stages registered with registerStage, or by the modules in `plugins` when
+  // using the CLI, can be added by name; their options go in stageOptions.<name>.
+  // The 'gopher' stage is opt-in: add it after 'quality' to enable it.
+  stages: {
+    type: 'array',
+    items: { type: ['string', 'object'] },
+    default: ['lineCleaning', 'paragraphDedup', 'pii', 'language', 'quality', 'tokens', 'duplicate']
+  },
+  disabledStages: { type: 'array', items: 'string', default: [] },
+  stageOptions: { type: 'object', default: {} },
+  plugins: { type: 'array', items: 'string', default: [] },
+
+  // Language filtering ('auto' is resolved from the seed URLs by the CLI)
+  targetLanguages: { type: ['array', 'string'], items: 'string', enum: ['auto'], default: ['eng'] },
+  minLanguageConfidence: { type: 'number', min: 0, max: 1, default: 0.5 },
+
+  // C4 line cleaning, applied to the text before any filter runs
+  cleanLines: { type: 'boolean', default: false },
+  lineCleaningRules: {
+    type: 'array',
+    items: { type: 'string', enum: LINE_CLEANING_RULE_NAMES },
+    default: LINE_CLEANING_RULE_NAMES
+  },
+
+  // PII detection: 'detect' only counts matches, 'redact' replaces them with
+  // placeholder tokens and 'drop' rejects documents containing any.
+  // piiPatterns adds types or replaces built-in regexes (see src/pii.js).
+  piiAction: { type: 'string', enum: ['off', 'detect', 'redact', 'drop'], default: 'off' },
+  piiTypes: { type: 'array', items: { type: 'string', enum: PII_TYPES }, default: PII_TYPES },
+  piiPatterns: { type: 'object', default: {} },
+
+  // Quality filtering heuristics
+  minTextLength: { type: 'integer', min: 0, default: 100, atMost: 'maxTextLength' },
+  maxTextLength: { type: 'integer', min: 0, default: 100000 },
+  minWordCount: { type: 'integer', min: 0, default: 20 },
+  minAvgWordLength: { type: 'number', min: 0, default: 3, atMost: 'maxAvgWordLength' },
+  maxAvgWordLength: { type: 'number', min: 0, default: 15 },
+
+  // Line-based filtering (similar to C4)
+  minLinesEndingWithPunctuation: { type: 'number', min: 0, max: 1, default: 0.5 },
+  maxBulletPointRatio: { type: 'number', min: 0, max: 1, default: 0.5 },
+  maxEllipsisLineRatio: { type: 'number', min: 0, max: 1, default: 0.3 },
+
+  // Symbol and special character filtering
+  maxSymbolToWordRatio: { type: 'number', min: 0, default: 0.1 },
+  maxDigitRatio: { type: 'number', min: 0, max: 1, default: 0.15 },
+  maxUppercaseRatio: { type: 'number', min: 0, max: 1, default: 0.2 },
+
+  // Content quality heuristics
+  minUniqueWordsRatio: { type: 'number', min: 0, max: 1, default: 0.3 },
+  // Shipped in early config.json files but never applied
+  maxRepetitiveNGramRatio: {
+    type: 'number',
+    min: 0,
+    max: 1,
+    deprecated: 'no longer used; the gopher stage thresholds (maxTop2GramCharFraction ... maxDuplicate10GramCharFraction) replace it'
+  },
+
+  // Gopher / RefinedWeb repetition heuristics (defaults from Rae et al., 2021)
+  maxDuplicateLineFraction: { type: 'number', min: 0, max: 1, default: 0.3 },
+  maxDuplicateLineCharFraction: { type: 'number', min: 0, max: 1, default: 0.2 },
+  maxDuplicateParagraphFraction: { type: 'number', min: 0, max: 1, default: 0.3 },
+  maxDuplicateParagraphCharFraction: { type: 'number', min: 0, max: 1, default: 0.2 },
+  maxTop2GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.2 },
+  maxTop3GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.18 },
+  maxTop4GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.16 },
+  maxDuplicate5GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.15 },
+  maxDuplicate6GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.14 },
+  maxDuplicate7GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.13 },
+  maxDuplicate8GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.12 },
+  maxDuplicate9GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.11 },
+  maxDuplicate10GramCharFraction: { type: 'number', min: 0, max: 1, default: 0.1 },
+
+  // Gopher word heuristics. `stopwords` replaces the built-in list of the
+  // detected language; without either, the stopword check is skipped.
+  minStopwords: { type: 'integer', min: 0, default: 2 },
+  stopwords: { type: 'array', items: 'string', nullable: true, default: null },
+  minAlphabeticWordRatio: { type: 'number', min: 0, max: 1, default: 0.8 },
+
+  // Token counts from a local byte-level BPE vocabulary (a Hugging Face
+  // tokenizer.json, or a GPT-2 vocab.json with merges.txt next to it).
+  // Without tokenizerFile the token filters and chunking are skipped;
+  // maxTokens and chunkTokens of 0 mean no limit.
+  tokenizerFile: { type: 'string', nullable: true, default: null },
+  minTokens: { type: 'integer', min: 0, default: 0 },
+  maxTokens: { type: 'integer', min: 0, default: 0 },
+  // exportFiltered splits documents longer than chunkTokens into chunks that
+  // share chunkOverlap tokens with the previous one
+  chunkTokens: { type: 'integer', min: 0, default: 0 },
+  chunkOverlap: { type: 'integer', min: 0, default: 0, atMost: 'chunkTokens' },
+
+  // Exact paragraph deduplication: paragraphs (lines) already seen in an
+  // accepted document are dropped before the filters run
+  dedupParagraphs: { type: 'boolean', default: false },
+  minParagraphLength: { type: 'integer', min: 0, default: 0 },
+
+  // Deduplication: 'ngram' (exact n-gram overlap) or 'minhash' (MinHash + LSH).
+  // The CLI loads and saves the index in `indexFile` around each run.
+  dedupStrategy: { type: 'string', enum: ['ngram', 'minhash'], default: 'ngram' },
+  indexFile: { type: 'string', nullable: true, default: null },
+
+  // N-gram settings for deduplication
+  ngramSize: { type: 'integer', min: 1, default: 13 },
+  ngramOverlapThreshold: { type: 'number', min: 0, max: 1, default: 0.8 },
+
+  // MinHash settings for near-duplicate detection
+  minhashPermutations: { type: 'integer', min: 1, default: 128 },
+  minhashBands: { type: 'integer', min: 1, default: 16, divides: 'minhashPermutations' },
+  minhashThreshold: { type: 'number', min: 0, max: 1, default: 0.8 },
+  minhashShingleSize: { type: 'integer', min: 1, default: 5 },
+  minhashMaxDocuments: { type: 'integer', min: 0, default: 0 }
+};
+
+/**
+ * Sections of config.json and their schemas
+ */
+export const CONFIG_SCHEMA = {
+  crawler: CRAWLER_SCHEMA,
+  justext: JUSTEXT_SCHEMA,
+  crawling: CRAWLING_SCHEMA,
+  recursive: RECURSIVE_SCHEMA,
+  seeds: SEEDS_SCHEMA,
+  pipeline: PIPELINE_SCHEMA
+};
+
+/**
+ * Options accepted by the WikipediaCrawler constructor: the crawler and
+ * crawling sections, plus the justext section and a DataPipeline instance
+ */
+export const CRAWLER_OPTIONS_SCHEMA = {
+  ...CRAWLER_SCHEMA,
+  ...CRAWLING_SCHEMA,
+  justext: { type: 'object', properties: JUSTEXT_SCHEMA },
+  pipeline: { type: 'object' }
+};
+
+const TYPE_CHECKS = {
+  boolean: value => typeof value === 'boolean',
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+  function: value => typeof value === 'function'
+};
+
+/**
+ * Describe a value for error messages
+ * @param {*} value - Offending value
+ * @returns {string} - Short description
+ */
+function describe(value) {
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (typeof value === 'function') {
+    return 'a function';
+  }
+  if (typeof value === 'object' && value !== null) {
+    return 'an object';
+  }
+  return JSON.stringify(value) ?? String(value);
+}
+
+/**
+ * Levenshtein distance between two strings, for "did you mean" hints
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the known key closest to an unknown one
+ * @param {string} key - Unknown key
+ * @param {Array<string>} known - Known keys
+ * @returns {string|null} - Suggested key, or null if none is close
+ */
+export function suggestKey(key, known) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of known) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+/**
+ * Check a single value against its rule
+ * @param {Object} rule - Schema rule
+ * @param {*} value - Value to check (not undefined)
+ * @param {string} path - Dotted path for error messages
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateValue(rule, value, path, errors) {
+  if (value === null) {
+    if (!rule.nullable) {
+      errors.push(`${path}: must not be null`);
+    }
+    return;
+  }
+
+  const types = [].concat(rule.type);
+  const type = types.find(candidate => TYPE_CHECKS[candidate](value));
+  if (!type) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${describe(value)}`);
+    return;
+  }
+
+  if (type === 'number' || type === 'integer') {
+    const tooLow = rule.min !== undefined && value < rule.min;
+    const tooHigh = rule.max !== undefined && value > rule.max;
+    if (tooLow || tooHigh) {
+      const range = rule.max === undefined
+        ? `at least ${rule.min}`
+        : rule.min === undefined ? `at most ${rule.max}` : `between ${rule.min} and ${rule.max}`;
+      errors.push(`${path}: must be ${range}, got ${value}`);
+    }
+  } else if (type === 'string' && rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${rule.enum.map(option => `'${option}'`).join(', ')}, got '${value}'`);
+  } else if (type === 'array' && rule.items) {
+    const itemRule = typeof rule.items === 'string' ? { type: rule.items } : rule.items;
+    value.forEach((item, index) => validateValue(itemRule, item, `${path}[${index}]`, errors));
+  } else if (type === 'object' && rule.properties) {
+    validateSection(rule.properties, value, path, errors);
+  }
+}
+
+// Deprecated keys already warned about, so a config validated again (e.g.
+// by validateConfig and then by DataPipeline) only warns once
+const deprecationWarnings = new Set();
+
+/**
+ * Warn once that a deprecated option is set and ignored
+ * @param {string} path - Dotted path of the option
+ * @param {string} message - Why it is ignored and what replaces it
+ */
+function warnDeprecated(path, message) {
+  const key = path.split('.').pop();
+  if (!deprecationWarnings.has(key)) {
+    deprecationWarnings.add(key);
+    console.warn(`${path} is deprecated and ignored: ${message}`);
+  }
+}
+
+/**
+ * Check every key of an options object: unknown keys, types, ranges and
+ * `atMost` / `divides` relations (against the default when the other key is missing)
+ * @param {Object} schema - Section schema
+ * @param {Object} options - Options to check
+ * @param {string} path - Section path for error messages
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateSection(schema, options, path, errors) {
+  const prefix = path ? `${path}.` : '';
+
+  for (const [key, value] of Object.entries(options)) {
+    const rule = schema[key];
+    if (!rule) {
+      const known = Object.keys(schema).filter(candidate => !schema[candidate].deprecated);
+      const suggestion = suggestKey(key, known);
+      errors.push(`${prefix}${key}: unknown option${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+    } else if (value !== undefined) {
+      validateValue(rule, value, `${prefix}${key}`, errors);
+      if (rule.deprecated) {
+        warnDeprecated(`${prefix}${key}`, rule.deprecated);
+      }
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = options[key] ?? rule.default;
+    if (rule.atMost) {
+      const limit = options[rule.atMost] ?? schema[rule.atMost].default;
+      if (typeof value === 'number' && typeof limit === 'number' && value > limit) {
+        errors.push(`${prefix}${key}: must not exceed ${rule.atMost} (${value} > ${limit})`);
+      }
+    }
+    if (rule.divides) {
+      const total = options[rule.divides] ?? schema[rule.divides].default;
+      if (Number.isInteger(value) && Number.isInteger(total) && value > 0 && total % value !== 0) {
+        errors.push(`${prefix}${key}: must divide ${rule.divides} evenly (${total} % ${value} = ${total % value})`);
+      }
+    }
+  }
+}
+
+/**
+ * Fill in defaults for missing or undefined keys. Falsy values such as 0,
+ * false and '' are kept as given.
+ * @param {Object} schema - Section schema
+ * @param {Object} options - Options to complete
+ * @returns {Object} - New options object
+ */
+export function applyDefaults(schema, options = {}) {
+  const result = { ...options };
+  for (const [key, rule] of Object.entries(schema)) {
+    if (result[key] === undefined && rule.default !== undefined) {
+      result[key] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate an options object against a schema and apply its defaults
+ * @param {Object} schema - Section schema
+ * @param {Object} options - Options to validate
+ * @param {string} source - What is being validated, for the error message
+ * @returns {Object} - Options with defaults applied
+ * @throws {ConfigError} - When any option is unknown, mistyped or out of range
+ */
+export function validateOptions(schema, options = {}, source = 'options') {
+  const errors = [];
+  validateSection(schema, options, '', errors);
+  if (errors.length > 0) {
+    throw new ConfigError(errors, source);
+  }
+  return applyDefaults(schema, options);
+}
+
+/**
+ * Validate a whole configuration (all config.json sections) and apply the
+ * defaults of every section
+ * @param {Object} config - Configuration object
+ * @param {string} source - What is being validated, for the error message
+ * @returns {Object} - Configuration with every section present and completed
+ * @throws {ConfigError} - Listing every problem found
+ */
+export function validateConfig(config = {}, source = 'configuration') {
+  const errors = [];
+
+  for (const [section, options] of Object.entries(config)) {
+    const schema = CONFIG_SCHEMA[section];
+    if (!schema) {
+      const suggestion = suggestKey(section, Object.keys(CONFIG_SCHEMA));
+      errors.push(`${section}: unknown section${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+    } else if (!TYPE_CHECKS.object(options)) {
+      errors.push(`${section}: expected object, got ${describe(options)}`);
+    } else {
+      validateSection(schema, options, section, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors, source);
+  }
+
+  return Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(
+    ([section, schema]) => [section, applyDefaults(schema, config[section])]
+  ));
+}
@@ -0,0 +1,278 @@
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { HttpError } from './errors.js';
+import { titleToUrl, urlToTitle } from './mediawiki-fetcher.js';
+import { decodeEntities } from './markdown.js';
+
+// Sitemap indexes may point to further indexes; stop following them past this depth
+const MAX_SITEMAP_NESTING = 3;
+
+/**
+ * Parse a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} - { type: 'index' | 'urlset', urls } where urls are the <loc> values
+ * @throws {Error} - When the document is neither a <urlset> nor a <sitemapindex>
+ */
+export function parseSitemap(xml) {
+  const isIndex = /<(?:[\w-]+:)?sitemapindex[\s>]/.test(xml);
+  if (!isIndex && !/<(?:[\w-]+:)?urlset[\s>]/.test(xml)) {
+    throw new Error('Not a sitemap: expected <urlset> or <sitemapindex>');
+  }
+
+  const urls = [];
+  const locPattern = /<(?:[\w-]+:)?loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/(?:[\w-]+:)?loc>/g;
+  let match;
+  while ((match = locPattern.exec(xml)) !== null) {
+    urls.push(decodeEntities(match[1].trim()));
+  }
+  return { type: isIndex ? 'index' : 'urlset', urls };
+}
+
+/**
+ * Turn a list of article titles into URLs. Blank lines and '#' comments are
+ * skipped and lines that already are URLs are kept as they are.
+ * @param {string} text - One title per line
+ * @param {string} wiki - Wiki origin the titles belong to (e.g. 'https://en.wikipedia.org')
+ * @returns {Array<string>} - Article URLs
+ */
+export function parseTitleList(text, wiki) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => /^https?:\/\//i.test(line) ? line : titleToUrl(wiki, line));
+}
+
+/**
+ * SeedGenerator - Expands a sitemap, a wiki category or a list of titles into
+ * seed URLs for crawlMultiple or crawlRecursive
+ */
+class SeedGenerator {
+  /**
+   * @param {Object} options - Generator options (the `seeds` config section, plus request settings)
+   * @param {string} options.wiki - Wiki origin for bare titles and categories (default: 'https://en.wikipedia.org')
+   * @param {number} options.categoryDepth - Levels of subcategories to descend, 0 for direct members only (default: 1)
+   * @param {number} options.maxUrls - Stop after this many URLs, 0 for no limit (default: 0)
+   * @param {Array<string>} options.include - Regexes of which at least one must match a seed URL (default: all URLs)
+   * @param {string} options.apiPath - Action API path on the wiki host (default: '/w/api.php')
+   * @param {string} options.userAgent - User-Agent header sent with every request
+   * @param {number} options.timeout - Request timeout in milliseconds (default: 30000)
+   * @throws {Error} - When an include pattern is not a valid regular expression
+   */
+  constructor(options = {}) {
+    this.options = {
+      wiki: (options.wiki || 'https://en.wikipedia.org').replace(/\/+$/, ''),
+      categoryDepth: options.categoryDepth ?? 1,
+      maxUrls: options.maxUrls || 0,
+      include: options.include || [],
+      apiPath: options.apiPath || '/w/api.php',
+      userAgent: options.userAgent || 'WikipediaCrawler',
+      timeout: options.timeout || 30000
+    };
+    this.include = this.options.include.map((pattern, index) => {
+      try {
+        return new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`include[${index}]: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Send a GET request and throw an HttpError on non-success statuses
+   * @param {string} requestUrl - URL to request
+   * @returns {Response} - Fetch API response
+   */
+  async request(requestUrl) {
+    const response = await fetch(requestUrl, {
+      headers: { 'User-Agent': this.options.userAgent },
+      signal: AbortSignal.timeout(this.options.timeout)
+    });
+
+    if (!response.ok) {
+      const error = new HttpError(response.status, requestUrl);
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Add URLs that pass the include patterns to a seed set, up to maxUrls
+   * @param {Set<string>} seeds - Seeds collected so far
+   * @param {Array<string>} urls - Candidate URLs
+   * @returns {boolean} - False once the seed set is full
+   */
+  collect(seeds, urls) {
+    for (const url of urls) {
+      if (this.isFull(seeds)) {
+        return false;
+      }
+      if (this.include.length === 0 || this.include.some(pattern => pattern.test(url))) {
+        seeds.add(url);
+      }
+    }
+    return !this.isFull(seeds);
+  }
+
+  /**
+   * Check whether a seed set has reached maxUrls
+   * @param {Set<string>} seeds - Seeds collected so far
+   * @returns {boolean}
+   */
+  isFull(seeds) {
+    return this.options.maxUrls > 0 && seeds.size >= this.options.maxUrls;
+  }
+
+  /**
+   * Fetch a sitemap and decompress it when it is gzipped (sitemap.xml.gz)
+   * @param {string} url - Sitemap URL
+   * @returns {string} - Sitemap XML
+   */
+  async fetchSitemap(url) {
+    const response = await this.request(url);
+    let body = Buffer.from(await response.arrayBuffer());
+    // Check the gzip magic bytes rather than the name or Content-Type, which servers set inconsistently
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      body = zlib.gunzipSync(body);
+    }
+    return body.toString('utf-8');
+  }
+
+  /**
+   * Expand a sitemap into page URLs. Sitemap indexes are followed into the
+   * sitemaps they list.
+   * @param {string} url - URL of a sitemap or sitemap index (plain or gzipped)
+   * @returns {Array<string>} - Page URLs in sitemap order, without duplicates
+   */
+  async fromSitemap(url) {
+    const seeds = new Set();
+    const fetched = new Set();
+
+    const expand = async (sitemapUrl, nesting) => {
+      if (fetched.has(sitemapUrl) || nesting > MAX_SITEMAP_NESTING) {
+        return true;
+      }
+      fetched.add(sitemapUrl);
+
+      let sitemap;
+      try {
+        sitemap = parseSitemap(await this.fetchSitemap(sitemapUrl));
+      } catch (error) {
+        // A broken sitemap of an index is skipped; the top-level one must load
+        if (nesting === 0) {
+          throw new Error(`Cannot read sitemap ${sitemapUrl}: ${error.message}`);
+        }
+        console.warn(`Skipping sitemap ${sitemapUrl}: ${error.message}`);
+        return true;
+      }
+
+      if (sitemap.type === 'urlset') {
+        return this.collect(seeds, sitemap.urls);
+      }
+      for (const child of sitemap.urls) {
+        if (!(await expand(new URL(child, sitemapUrl).href, nesting + 1))) {
+          return false;
+        }
+      }
+      return true;
+    };
+
+    await expand(url, 0);
+    return Array.from(seeds);
+  }
+
+  /**
+   * Expand a wiki category into the URLs of its articles, descending
+   * breadth-first into subcategories up to `depth` levels
+   * @param {string} category - Category URL (https://en.wikipedia.org/wiki/Category:X) or title ('Category:X' or 'X')
+   * @param {number} depth - Levels of subcategories to descend (default: the categoryDepth option)
+   * @returns {Array<string>} - Article URLs, direct members first
+   */
+  async fromCategory(category, depth = this.options.categoryDepth) {
+    let origin = this.options.wiki;
+    let title = category;
+    if (/^https?:\/\//i.test(category)) {
+      origin = new URL(category).origin;
+      title = urlToTitle(category);
+    } else if (!category.includes(':')) {
+      title = `Category:${category}`;
+    }
+    title = title.replace(/_/g, ' ');
+
+    const seeds = new Set();
+    const visitedCategories = new Set([title]);
+    let level = [title];
+
+    for (let currentDepth = 0; level.length > 0 && currentDepth <= depth; currentDepth++) {
+      const subcategories = [];
+      for (const categoryTitle of level) {
+        const { pages, subcats } = await this.fetchCategoryMembers(origin, categoryTitle);
+        if (!this.collect(seeds, pages.map(page => titleToUrl(origin, page)))) {
+          return Array.from(seeds);
+        }
+        subcats.filter(subcat => !visitedCategories.has(subcat)).forEach(subcat => {
+          visitedCategories.add(subcat);
+          subcategories.push(subcat);
+        });
+      }
+      level = subcategories;
+    }
+    return Array.from(seeds);
+  }
+
+  /**
+   * List the articles and subcategories of a category with the Action API
+   * (list=categorymembers), following continuation
+   * @param {string} origin - Wiki origin
+   * @param {string} title - Category title including its namespace
+   * @returns {Object} - { pages, subcats } as arrays of titles
+   */
+  async fetchCategoryMembers(origin, title) {
+    const pages = [];
+    const subcats = [];
+    let cmcontinue = null;
+
+    do {
+      const params = new URLSearchParams({
+        action: 'query',
+        list: 'categorymembers',
+        cmtitle: title,
+        cmtype: 'page|subcat',
+        // Main (article) namespace and Category namespace
+        cmnamespace: '0|14',
+        cmlimit: 'max',
+        format: 'json',
+        formatversion: '2'
+      });
+      if (cmcontinue) {
+        params.set('cmcontinue', cmcontinue);
+      }
+      const response = await this.request(`${origin}${this.options.apiPath}?${params}`);
+      const data = await response.json();
+
+      if (data.error) {
+        throw new Error(`MediaWiki API error for ${title}: ${data.error.info || data.error.code}`);
+      }
+      for (const member of data.query.categorymembers) {
+        (member.ns === 14 ? subcats : pages).push(member.title);
+      }
+      cmcontinue = data.continue ? data.continue.cmcontinue : null;
+    } while (cmcontinue);
+
+    return { pages, subcats };
+  }
+
+  /**
+   * Read a text file of article titles (one per line) as URLs on the configured wiki
+   * @param {string} filepath - Path to the titles file
+   * @returns {Array<string>} - Article URLs, without duplicates
+   */
+  async fromTitleFile(filepath) {
+    const seeds = new Set();
+    this.collect(seeds, parseTitleList(await fs.readFile(filepath, 'utf-8'), this.options.wiki));
+    return Array.from(seeds);
+  }
+}
+
+export default SeedGenerator;
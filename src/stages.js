@@ -0,0 +1,301 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { cleanLines } from './line-cleaning.js';
+import { gopherMetrics, GOPHER_STOPWORDS } from './gopher.js';
+import { compilePiiPatterns, redactPii } from './pii.js';
+import { stripMarkdown } from './markdown.js';
+import { PIPELINE_SCHEMA } from './schema.js';
+
+/**
+ * Pipeline stages. DataPipeline runs the stages listed in its `stages` option
+ * in order; a stage is an object with:
+ *   name        - Unique name used in the `stages` and `disabledStages` options
+ *   description - One-line summary
+ *   options     - Schema (see src/schema.js) of the options the stage reads.
+ *                 Keys of PIPELINE_SCHEMA come from the top-level pipeline
+ *                 options, any other key from `stageOptions.<name>`.
+ *   metrics     - Keys the stage adds to `pipeline.metrics`
+ *   filters     - Filter names the stage reports in `pipeline.filters`
+ *   setup(options, pipeline) - Optional, called once when the pipeline is
+ *                 created; its return value is passed to process as `state`.
+ *                 Errors it throws are reported as invalid pipeline options.
+ *   process(text, context) - Check or rewrite the text (may be async).
+ *                 context is { document, options, state, pipeline, result }. Returns
+ *                 { text, metrics, filters, commit }, all optional: a new
+ *                 `text` replaces the document text for later stages, a filter
+ *                 set to true rejects the document, and `commit()` runs once
+ *                 the document has passed every stage.
+ */
+
+/**
+ * Text the quality heuristics are computed on: Markdown documents (crawled
+ * with the `markdown` option) without their markup
+ * @param {string} text - Current document text
+ * @param {Object} document - Document being processed
+ * @returns {string} - Text to measure
+ */
+function measuredText(text, document) {
+  return document.format === 'markdown' ? stripMarkdown(text) : text;
+}
+
+/**
+ * Pick rules from PIPELINE_SCHEMA for a built-in stage
+ * @param {Array<string>} keys - Option names
+ * @returns {Object} - Schema subset
+ */
+function pipelineOptions(keys) {
+  return Object.fromEntries(keys.map(key => [key, PIPELINE_SCHEMA[key]]));
+}
+
+export const BUILTIN_STAGES = [
+  {
+    name: 'lineCleaning',
+    description: 'C4 line cleaning: remove boilerplate lines and citation markers (when cleanLines is set)',
+    options: pipelineOptions(['cleanLines', 'lineCleaningRules']),
+    metrics: ['lineCleaning'],
+    filters: [],
+    process(text, { document, options }) {
+      if (!options.cleanLines) {
+        return {};
+      }
+      const cleaned = cleanLines(text, options.lineCleaningRules, { markdown: document.format === 'markdown' });
+      return { text: cleaned.text, metrics: { lineCleaning: cleaned.stats } };
+    }
+  },
+  {
+    name: 'paragraphDedup',
+    description: 'Drop paragraphs already seen in accepted documents (when dedupParagraphs is set)',
+    options: pipelineOptions(['dedupParagraphs', 'minParagraphLength']),
+    metrics: ['paragraphDuplication'],
+    filters: ['duplicate'],
+    process(text, { document, options, pipeline }) {
+      if (!options.dedupParagraphs) {
+        return {};
+      }
+      const deduplicated = pipeline.removeDuplicateParagraphs(text, { markdown: document.format === 'markdown' });
+      return {
+        text: deduplicated.text,
+        metrics: { paragraphDuplication: deduplicated.stats },
+        // A document made only of seen paragraphs is a duplicate, not an empty page
+        filters: deduplicated.text ? {} : { duplicate: true },
+        commit: () => deduplicated.hashes.forEach(hash => pipeline.seenParagraphs.add(hash))
+      };
+    }
+  },
+  {
+    name: 'pii',
+    description: 'Detect emails, phone numbers, IP addresses and card numbers; redact them or drop the document (piiAction)',
+    options: pipelineOptions(['piiAction', 'piiTypes', 'piiPatterns']),
+    metrics: ['pii'],
+    filters: ['pii'],
+    setup(options) {
+      return { patterns: compilePiiPatterns(options.piiTypes, options.piiPatterns) };
+    },
+    process(text, { options, state }) {
+      if (options.piiAction === 'off') {
+        return {};
+      }
+      const { text: redacted, counts, total } = redactPii(text, state.patterns);
+      return {
+        text: options.piiAction === 'redact' ? redacted : text,
+        metrics: { pii: { ...counts, total, action: options.piiAction } },
+        filters: { pii: options.piiAction === 'drop' && total > 0 }
+      };
+    }
+  },
+  {
+    name: 'language',
+    description: 'Language identification with franc',
+    options: pipelineOptions(['targetLanguages', 'minLanguageConfidence']),
+    metrics: ['language'],
+    filters: ['language'],
+    process(text, { pipeline }) {
+      const languageCheck = pipeline.identifyLanguage(text);
+      return { metrics: { language: languageCheck }, filters: { language: !languageCheck.passed } };
+    }
+  },
+  {
+    name: 'quality',
+    description: 'C4-style quality heuristics on length, words, lines and characters',
+    options: pipelineOptions([
+      'minTextLength', 'maxTextLength', 'minWordCount', 'minAvgWordLength', 'maxAvgWordLength',
+      'minLinesEndingWithPunctuation', 'maxBulletPointRatio', 'maxEllipsisLineRatio',
+      'maxSymbolToWordRatio', 'maxDigitRatio', 'maxUppercaseRatio', 'minUniqueWordsRatio'
+    ]),
+    metrics: [
+      'textLength', 'wordCount', 'uniqueWordCount', 'lineCount', 'avgWordLength', 'uniqueWordsRatio',
+      'digitRatio', 'uppercaseRatio', 'symbolToWordRatio', 'linesEndingWithPunctuationRatio',
+      'bulletPointRatio', 'ellipsisLineRatio'
+    ],
+    filters: [
+      'tooShort', 'tooLong', 'tooFewWords', 'wordsTooShort', 'wordsTooLong', 'insufficientPunctuation',
+      'tooManyBullets', 'tooManyEllipsis', 'tooManySymbols', 'tooManyDigits', 'tooManyUppercase',
+      'insufficientVariety'
+    ],
+    process(text, { document, pipeline }) {
+      const measured = measuredText(text, document);
+      const metrics = pipeline.calculateMetrics(measured);
+      return { metrics, filters: pipeline.applyQualityFilters(measured, metrics) };
+    }
+  },
+  {
+    name: 'gopher',
+    description: 'Gopher/RefinedWeb repetition, stopword and alphabetic-word heuristics',
+    options: pipelineOptions([
+      'maxDuplicateLineFraction', 'maxDuplicateLineCharFraction', 'maxDuplicateParagraphFraction',
+      'maxDuplicateParagraphCharFraction', 'maxTop2GramCharFraction', 'maxTop3GramCharFraction',
+      'maxTop4GramCharFraction', 'maxDuplicate5GramCharFraction', 'maxDuplicate6GramCharFraction',
+      'maxDuplicate7GramCharFraction', 'maxDuplicate8GramCharFraction', 'maxDuplicate9GramCharFraction',
+      'maxDuplicate10GramCharFraction', 'minStopwords', 'stopwords', 'minAlphabeticWordRatio', 'targetLanguages'
+    ]),
+    metrics: [
+      'duplicateLineFraction', 'duplicateLineCharFraction', 'duplicateParagraphFraction',
+      'duplicateParagraphCharFraction', 'top2GramCharFraction', 'top3GramCharFraction', 'top4GramCharFraction',
+      'duplicate5GramCharFraction', 'duplicate6GramCharFraction', 'duplicate7GramCharFraction',
+      'duplicate8GramCharFraction', 'duplicate9GramCharFraction', 'duplicate10GramCharFraction',
+      'stopwordCount', 'alphabeticWordRatio'
+    ],
+    filters: [
+      'duplicateLines', 'duplicateParagraphs', 'repetitiveTopNGrams', 'repetitiveNGrams',
+      'tooFewStopwords', 'tooFewAlphabeticWords'
+    ],
+    process(text, { document, options, result }) {
+      // Stopwords of the detected language, or of the first target language if
+      // the language stage has not run
+      const language = result.pipeline.metrics.language?.detected || options.targetLanguages[0];
+      const metrics = gopherMetrics(measuredText(text, document), options.stopwords || GOPHER_STOPWORDS[language] || null);
+      const exceeds = (metric, option) => metrics[metric] > options[option];
+      const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+      return {
+        metrics,
+        filters: {
+          duplicateLines: exceeds('duplicateLineFraction', 'maxDuplicateLineFraction') ||
+            exceeds('duplicateLineCharFraction', 'maxDuplicateLineCharFraction'),
+          duplicateParagraphs: exceeds('duplicateParagraphFraction', 'maxDuplicateParagraphFraction') ||
+            exceeds('duplicateParagraphCharFraction', 'maxDuplicateParagraphCharFraction'),
+          repetitiveTopNGrams: range(2, 4).some(n => exceeds(`top${n}GramCharFraction`, `maxTop${n}GramCharFraction`)),
+          repetitiveNGrams: range(5, 10).some(n => exceeds(`duplicate${n}GramCharFraction`, `maxDuplicate${n}GramCharFraction`)),
+          tooFewStopwords: metrics.stopwordCount !== null && metrics.stopwordCount < options.minStopwords,
+          tooFewAlphabeticWords: metrics.alphabeticWordRatio < options.minAlphabeticWordRatio
+        }
+      };
+    }
+  },
+  {
+    name: 'tokens',
+    description: 'Token counts from a local BPE vocabulary, with min/max token filters (when tokenizerFile is set)',
+    options: pipelineOptions(['tokenizerFile', 'minTokens', 'maxTokens']),
+    metrics: ['tokenCount', 'charsPerToken'],
+    filters: ['tooFewTokens', 'tooManyTokens'],
+    process(text, { options, pipeline }) {
+      if (!pipeline.tokenizer) {
+        return {};
+      }
+      const tokenCount = pipeline.tokenizer.count(text);
+      return {
+        metrics: { tokenCount, charsPerToken: tokenCount > 0 ? text.length / tokenCount : 0 },
+        filters: {
+          tooFewTokens: tokenCount < options.minTokens,
+          tooManyTokens: options.maxTokens > 0 && tokenCount > options.maxTokens
+        }
+      };
+    }
+  },
+  {
+    name: 'duplicate',
+    description: 'Document deduplication by n-gram overlap or MinHash/LSH (dedupStrategy)',
+    options: pipelineOptions([
+      'dedupStrategy', 'ngramSize', 'ngramOverlapThreshold', 'minhashPermutations', 'minhashBands',
+      'minhashThreshold', 'minhashShingleSize', 'minhashMaxDocuments'
+    ]),
+    metrics: ['ngramDuplication', 'minhashDuplication'],
+    filters: ['duplicate'],
+    process(text, { document, pipeline }) {
+      if (pipeline.minhash) {
+        const documentId = pipeline.getDocumentId(document);
+        const signature = pipeline.minhash.signature(text);
+        const duplicateCheck = pipeline.checkNearDuplicates(signature, documentId);
+        return {
+          metrics: { minhashDuplication: duplicateCheck },
+          filters: { duplicate: !duplicateCheck.passed },
+          // A passing document becomes the representative of its own cluster
+          commit: () => pipeline.minhash.add(documentId, signature)
+        };
+      }
+
+      const duplicateCheck = pipeline.checkDuplicates(text);
+      return {
+        metrics: { ngramDuplication: duplicateCheck },
+        filters: { duplicate: !duplicateCheck.passed },
+        commit: () => pipeline.addNGrams(text)
+      };
+    }
+  }
+];
+
+const registry = new Map(BUILTIN_STAGES.map(stage => [stage.name, stage]));
+
+/**
+ * Check that an object has the shape of a pipeline stage
+ * @param {Object} stage - Stage to check
+ * @throws {Error} - When the name or process function is missing
+ */
+export function checkStage(stage) {
+  if (!stage || typeof stage.name !== 'string' || !stage.name) {
+    throw new Error('Pipeline stage must have a name');
+  }
+  if (typeof stage.process !== 'function') {
+    throw new Error(`Pipeline stage '${stage.name}' must have a process(text, context) function`);
+  }
+}
+
+/**
+ * Register a stage so it can be listed by name in the `stages` option
+ * @param {Object} stage - Stage definition (see the top of this file)
+ * @returns {Object} - The registered stage
+ * @throws {Error} - When the stage is malformed or another stage has the same name
+ */
+export function registerStage(stage) {
+  checkStage(stage);
+  const existing = registry.get(stage.name);
+  if (existing && existing !== stage) {
+    throw new Error(`A pipeline stage named '${stage.name}' is already registered`);
+  }
+  registry.set(stage.name, stage);
+  return stage;
+}
+
+/**
+ * Look up a registered stage
+ * @param {string} name - Stage name
+ * @returns {Object|undefined} - Stage definition
+ */
+export function getStage(name) {
+  return registry.get(name);
+}
+
+/**
+ * Names of all registered stages, built-in ones first
+ * @returns {Array<string>} - Stage names
+ */
+export function listStages() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Import stage modules (the `plugins` pipeline option). A module may call
+ * registerStage itself or default-export a stage or an array of stages.
+ * @param {Array<string>} modules - Module paths, relative to the working directory
+ * @returns {Array<string>} - Names of the stages the modules default-export
+ */
+export async function loadStagePlugins(modules = []) {
+  const names = [];
+  for (const modulePath of modules) {
+    const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+    for (const stage of [].concat(module.default ?? [])) {
+      names.push(registerStage(stage).name);
+    }
+  }
+  return names;
+}
@@ -0,0 +1,200 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// GPT-2 pre-tokenization: contractions, words, numbers, punctuation runs and
+// whitespace, each optionally led by one space
+const PRETOKENIZE = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+const MAX_CACHE_SIZE = 10000;
+
+/**
+ * Byte-level BPE maps every byte to a printable character so merges never
+ * contain whitespace or control characters (e.g. a space becomes 'Ġ')
+ * @returns {Array<string>} - Character for each byte value
+ */
+function byteEncoder() {
+  const printable = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  const bytes = [...printable(33, 126), ...printable(161, 172), ...printable(174, 255)];
+  const encoder = new Array(256);
+  bytes.forEach(byte => {
+    encoder[byte] = String.fromCharCode(byte);
+  });
+  let next = 256;
+  for (let byte = 0; byte < 256; byte++) {
+    if (!encoder[byte]) {
+      encoder[byte] = String.fromCharCode(next++);
+    }
+  }
+  return encoder;
+}
+
+const BYTE_ENCODER = byteEncoder();
+const utf8 = new TextEncoder();
+
+/**
+ * BpeTokenizer - Byte-level BPE tokenizer (GPT-2 style) loaded from a local
+ * vocabulary, used to count tokens and to split documents into token-bounded
+ * chunks. Counts match the original tokenizer for GPT-2 style vocabularies;
+ * others with a different pre-tokenizer give close estimates.
+ */
+class BpeTokenizer {
+  /**
+   * @param {Object} options - Tokenizer data
+   * @param {Object} options.vocab - Token -> id
+   * @param {Array<string|Array<string>>} options.merges - Merge rules by priority, as 'a b' or ['a', 'b']
+   * @param {string} options.unknownToken - Token used for symbols missing from the vocabulary
+   */
+  constructor({ vocab, merges, unknownToken = null }) {
+    this.vocab = new Map(Object.entries(vocab));
+    this.ranks = new Map(merges.map((merge, rank) => [Array.isArray(merge) ? merge.join(' ') : merge, rank]));
+    this.unknownId = unknownToken !== null ? this.vocab.get(unknownToken) ?? null : null;
+    // Pre-token -> BPE symbols; words repeat a lot within and across documents
+    this.cache = new Map();
+  }
+
+  /**
+   * Load a Hugging Face tokenizer.json, or a GPT-2 vocab.json with the
+   * merges.txt next to it
+   * @param {string} filepath - Path to tokenizer.json or vocab.json
+   * @returns {BpeTokenizer} - Loaded tokenizer
+   * @throws {Error} - When the files cannot be read or are not a byte-level BPE vocabulary
+   */
+  static fromFile(filepath) {
+    const data = JSON.parse(readFileSync(filepath, 'utf-8'));
+
+    if (data.model) {
+      if (data.model.type !== 'BPE') {
+        throw new Error(`${filepath}: unsupported tokenizer model '${data.model.type}' (only BPE is supported)`);
+      }
+      if (!JSON.stringify(data.pre_tokenizer || {}).includes('"ByteLevel"')) {
+        throw new Error(`${filepath}: only byte-level BPE tokenizers are supported`);
+      }
+      return new BpeTokenizer({
+        vocab: data.model.vocab,
+        merges: data.model.merges,
+        unknownToken: data.model.unk_token ?? null
+      });
+    }
+
+    const mergesFile = path.join(path.dirname(filepath), 'merges.txt');
+    const merges = readFileSync(mergesFile, 'utf-8')
+      .split('\n')
+      .filter(line => line.trim() && !line.startsWith('#version'));
+    return new BpeTokenizer({ vocab: data, merges });
+  }
+
+  /**
+   * Apply the merge rules to one pre-token
+   * @param {string} word - Pre-token
+   * @returns {Array<string>} - BPE symbols
+   */
+  bpe(word) {
+    const cached = this.cache.get(word);
+    if (cached) {
+      return cached;
+    }
+
+    let symbols = Array.from(utf8.encode(word), byte => BYTE_ENCODER[byte]);
+    while (symbols.length > 1) {
+      // Merge the highest-priority adjacent pair, leftmost first
+      let best = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.ranks.get(`${symbols[i]} ${symbols[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          best = i;
+          bestRank = rank;
+        }
+      }
+      if (best === -1) {
+        break;
+      }
+      symbols = [...symbols.slice(0, best), symbols[best] + symbols[best + 1], ...symbols.slice(best + 2)];
+    }
+
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.clear();
+    }
+    this.cache.set(word, symbols);
+    return symbols;
+  }
+
+  /**
+   * Split a text into pre-tokens with their token counts
+   * @param {string} text - Text to tokenize
+   * @returns {Array<Object>} - { start, end, tokens } per pre-token; together they cover the text
+   */
+  pieces(text) {
+    return Array.from(text.matchAll(PRETOKENIZE), match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      tokens: this.bpe(match[0]).length
+    }));
+  }
+
+  /**
+   * Encode a text to token ids
+   * @param {string} text - Text to encode
+   * @returns {Array<number|null>} - Token ids; symbols missing from the vocabulary get the unknown token's id (or null)
+   */
+  encode(text) {
+    const ids = [];
+    for (const match of text.matchAll(PRETOKENIZE)) {
+      for (const symbol of this.bpe(match[0])) {
+        ids.push(this.vocab.get(symbol) ?? this.unknownId);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Count the tokens of a text
+   * @param {string} text - Text to count
+   * @returns {number} - Number of tokens
+   */
+  count(text) {
+    return this.pieces(text).reduce((sum, piece) => sum + piece.tokens, 0);
+  }
+
+  /**
+   * Split a text into chunks of at most maxTokens tokens. Chunks break between
+   * pre-tokens (so words stay whole; a single pre-token longer than maxTokens
+   * becomes its own chunk), and each chunk repeats up to `overlap` tokens from
+   * the end of the previous one.
+   * @param {string} text - Text to split
+   * @param {number} maxTokens - Maximum tokens per chunk
+   * @param {number} overlap - Tokens shared with the previous chunk
+   * @returns {Array<Object>} - { text, tokens } per chunk, in order
+   */
+  chunk(text, maxTokens, overlap = 0) {
+    const pieces = this.pieces(text);
+    const chunks = [];
+
+    let start = 0;
+    while (start < pieces.length) {
+      let end = start;
+      let tokens = 0;
+      while (end < pieces.length && (end === start || tokens + pieces[end].tokens <= maxTokens)) {
+        tokens += pieces[end].tokens;
+        end++;
+      }
+      chunks.push({ text: text.slice(pieces[start].start, pieces[end - 1].end).trim(), tokens });
+      if (end >= pieces.length) {
+        break;
+      }
+
+      // Step back over the last pieces for the overlap, always moving forward
+      let next = end;
+      let repeated = 0;
+      while (next - 1 > start && repeated + pieces[next - 1].tokens <= overlap) {
+        repeated += pieces[next - 1].tokens;
+        next--;
+      }
+      start = next;
+    }
+
+    return chunks.filter(chunk => chunk.text);
+  }
+}
+
+export default BpeTokenizer;
@@ -0,0 +1,431 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import zlib from 'zlib';
+import { randomUUID } from 'crypto';
+import { once } from 'events';
+import { decodeEntities } from './markdown.js';
+
+const WARC_VERSION = 'WARC/1.1';
+
+// Archived bodies are the decoded HTML the fetcher returned, so the original
+// headers describing how the body was encoded and transferred no longer apply
+const REPLACED_HEADERS = ['content-type', 'content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Serialize a WARC record: version line, header fields, a blank line, the
+ * content block and two CRLFs
+ * @param {Object} fields - WARC header fields (Content-Length is added)
+ * @param {Buffer} block - Content block
+ * @returns {Buffer} - Record bytes
+ */
+export function formatWarcRecord(fields, block) {
+  const lines = [WARC_VERSION];
+  for (const [name, value] of Object.entries({ ...fields, 'Content-Length': block.length })) {
+    lines.push(`${name}: ${value}`);
+  }
+  return Buffer.concat([Buffer.from(`${lines.join('\r\n')}\r\n\r\n`), block, Buffer.from('\r\n\r\n')]);
+}
+
+/**
+ * Parse `Name: value` lines (WARC headers, HTTP headers or application/warc-fields)
+ * @param {string} text - Field lines
+ * @returns {Object} - Values by lowercased field name
+ */
+export function parseFields(text) {
+  const fields = {};
+  for (const line of text.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      fields[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+  return fields;
+}
+
+/**
+ * Serialize the HTTP response block of a response record
+ * @param {number} status - HTTP status (200 when unknown)
+ * @param {Object} headers - Original response headers
+ * @param {string} html - Decoded page HTML
+ * @returns {Buffer} - Status line, headers and UTF-8 body
+ */
+export function formatHttpResponse(status, headers, html) {
+  const body = Buffer.from(html, 'utf-8');
+  const code = status || 200;
+  const lines = [`HTTP/1.1 ${code} ${http.STATUS_CODES[code] || ''}`.trim()];
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (!REPLACED_HEADERS.includes(name.toLowerCase())) {
+      lines.push(`${name}: ${String(value).replace(/\r?\n/g, ' ')}`);
+    }
+  }
+  lines.push('Content-Type: text/html; charset=utf-8', `Content-Length: ${body.length}`);
+  return Buffer.concat([Buffer.from(`${lines.join('\r\n')}\r\n\r\n`), body]);
+}
+
+/**
+ * Parse the HTTP response block of a response record, decoding gzip,
+ * deflate or brotli bodies (as stored by other archiving tools)
+ * @param {Buffer} block - Record content
+ * @returns {Object} - { status, headers, body } with body as a Buffer
+ */
+export function parseHttpResponse(block) {
+  const end = block.indexOf('\r\n\r\n');
+  const head = block.subarray(0, end === -1 ? block.length : end).toString('latin1');
+  const [statusLine, ...headerLines] = head.split('\r\n');
+  const statusMatch = statusLine.match(/^HTTP\/[\d.]+\s+(\d{3})/);
+  if (!statusMatch) {
+    throw new Error(`Invalid HTTP status line: ${statusLine.slice(0, 80)}`);
+  }
+
+  const headers = parseFields(headerLines.join('\n'));
+  let body = end === -1 ? Buffer.alloc(0) : block.subarray(end + 4);
+  const encoding = (headers['content-encoding'] || '').toLowerCase();
+  if (encoding === 'gzip' || encoding === 'x-gzip') {
+    body = zlib.gunzipSync(body);
+  } else if (encoding === 'deflate') {
+    body = zlib.inflateSync(body);
+  } else if (encoding === 'br') {
+    body = zlib.brotliDecompressSync(body);
+  }
+  return { status: parseInt(statusMatch[1], 10), headers, body };
+}
+
+/**
+ * Read the records of a WARC file one at a time (.warc.gz files may hold one
+ * gzip member per record or be compressed as a whole)
+ * @param {string} filepath - Path to a .warc or .warc.gz file
+ * @yields {Object} - { fields, content } with lowercased WARC header names and the content block
+ * @throws {Error} - When the file is not a WARC file or ends inside a record
+ */
+export async function* readWarcRecords(filepath) {
+  let stream = fs.createReadStream(filepath);
+  if (filepath.endsWith('.gz')) {
+    stream = stream.pipe(zlib.createGunzip());
+  }
+
+  let buffer = Buffer.alloc(0);
+  let fields = null;
+  for await (const chunk of stream) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (true) {
+      if (!fields) {
+        // Skip blank lines left between records
+        let start = 0;
+        while (buffer[start] === 0x0d || buffer[start] === 0x0a) {
+          start++;
+        }
+        const end = buffer.indexOf('\r\n\r\n', start);
+        if (end === -1) {
+          buffer = buffer.subarray(start);
+          break;
+        }
+        const head = buffer.subarray(start, end).toString('utf-8');
+        if (!head.startsWith('WARC/')) {
+          throw new Error(`Not a WARC record in ${filepath}: ${head.slice(0, 40)}`);
+        }
+        fields = parseFields(head.slice(head.indexOf('\n') + 1));
+        fields['content-length'] = parseInt(fields['content-length'], 10) || 0;
+        buffer = buffer.subarray(end + 4);
+      }
+
+      const length = fields['content-length'];
+      if (buffer.length < length) {
+        break;
+      }
+      yield { fields, content: buffer.subarray(0, length) };
+      buffer = buffer.subarray(length);
+      fields = null;
+    }
+  }
+
+  if (fields || buffer.toString('latin1').trim()) {
+    throw new Error(`Truncated WARC record at the end of ${filepath}`);
+  }
+}
+
+/**
+ * Expand files and directories into the WARC files they name, in name order
+ * within each directory
+ * @param {Array<string>} paths - .warc / .warc.gz files or directories holding them
+ * @returns {Array<string>} - WARC file paths
+ */
+export async function listWarcFiles(paths) {
+  const files = [];
+  for (const target of paths) {
+    const stat = await fs.promises.stat(target);
+    if (!stat.isDirectory()) {
+      files.push(target);
+      continue;
+    }
+    const names = (await fs.promises.readdir(target)).filter(name => /\.warc(\.gz)?$/.test(name)).sort();
+    files.push(...names.map(name => path.join(target, name)));
+  }
+  return files;
+}
+
+/**
+ * Turn a response record (and its metadata record, if any) into the shape
+ * of a fetcher response
+ * @param {Object} record - Response record
+ * @param {Object} metadata - Fields of the matching metadata record (may be empty)
+ * @returns {Object|null} - { url, requestedUrl, status, headers, title, html, date }, or null for non-HTML responses
+ */
+function toArchivedResponse(record, metadata) {
+  const { status, headers, body } = parseHttpResponse(record.content);
+  const contentType = headers['content-type'] || '';
+  if (contentType && !/\b(?:text\/html|application\/xhtml\+xml)\b/i.test(contentType)) {
+    return null;
+  }
+
+  const url = record.fields['warc-target-uri'];
+  const html = body.toString('utf-8');
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return {
+    url,
+    requestedUrl: metadata['requested-url'] || url,
+    status,
+    headers,
+    title: metadata.title || (titleMatch ? decodeEntities(titleMatch[1].replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim() : url),
+    html,
+    date: record.fields['warc-date'] || null
+  };
+}
+
+/**
+ * Read the archived HTML responses of WARC files in archive order, with the
+ * title and requested URL from the metadata record written alongside each one
+ * @param {Array<string>} paths - .warc / .warc.gz files or directories holding them
+ * @yields {Object} - { url, requestedUrl, status, headers, title, html, date }
+ */
+export async function* readArchive(paths) {
+  for (const filepath of await listWarcFiles(paths)) {
+    let pending = null;
+    for await (const record of readWarcRecords(filepath)) {
+      const type = record.fields['warc-type'];
+      if (pending && type === 'metadata' && record.fields['warc-concurrent-to'] === pending.fields['warc-record-id']) {
+        const response = toArchivedResponse(pending, parseFields(record.content.toString('utf-8')));
+        pending = null;
+        if (response) {
+          yield response;
+        }
+        continue;
+      }
+
+      if (pending) {
+        const response = toArchivedResponse(pending, {});
+        if (response) {
+          yield response;
+        }
+      }
+      pending = type === 'response' ? record : null;
+    }
+
+    if (pending) {
+      const response = toArchivedResponse(pending, {});
+      if (response) {
+        yield response;
+      }
+    }
+  }
+}
+
+/**
+ * WarcWriter - Archives fetched pages as WARC/1.1 files: a response record
+ * with the status, headers and HTML of each page, followed by a metadata
+ * record with its title and requested URL. With gzip, every record is its
+ * own gzip member, as usual for .warc.gz. Files are named
+ * `<prefix>-00001.warc[.gz]` and rotate once a size limit is reached.
+ */
+class WarcWriter {
+  /**
+   * @param {string} outputDir - Directory for WARC files
+   * @param {Object} options - Writer options
+   * @param {string} options.prefix - Filename prefix (default: 'crawl')
+   * @param {number} options.maxBytes - Rotate after this many bytes on disk, 0 to never rotate (default: 0)
+   * @param {boolean} options.gzip - Gzip-compress records (default: true)
+   */
+  constructor(outputDir, options = {}) {
+    this.outputDir = outputDir;
+    this.options = {
+      prefix: options.prefix || 'crawl',
+      maxBytes: options.maxBytes || 0,
+      gzip: options.gzip !== false
+    };
+
+    this.fileIndex = 0;
+    this.file = null;
+    this.files = [];
+    this.responsesWritten = 0;
+    this.ready = null;
+    this.closing = [];
+    // First error of a file stream, rethrown by writeResponse() and close()
+    this.error = null;
+  }
+
+  /**
+   * Create the output directory and continue numbering after any existing
+   * WARC files, so a resumed crawl never overwrites an earlier archive
+   */
+  async prepare() {
+    await fs.promises.mkdir(this.outputDir, { recursive: true });
+
+    const prefix = this.options.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${prefix}-(\\d{5})\\.warc(\\.gz)?$`);
+    const existing = await fs.promises.readdir(this.outputDir);
+    for (const name of existing) {
+      const match = name.match(pattern);
+      if (match) {
+        this.fileIndex = Math.max(this.fileIndex, parseInt(match[1], 10));
+      }
+    }
+  }
+
+  /**
+   * Path of the WARC file with the given index
+   * @param {number} index - File index (1-based)
+   * @returns {string} - WARC file path
+   */
+  filePath(index) {
+    const extension = this.options.gzip ? '.warc.gz' : '.warc';
+    const name = `${this.options.prefix}-${String(index).padStart(5, '0')}${extension}`;
+    return path.join(this.outputDir, name);
+  }
+
+  /**
+   * Encode a record for the file, compressing it when gzip is on
+   * @param {Buffer} record - Serialized WARC record
+   * @returns {Buffer} - Bytes to write
+   */
+  encode(record) {
+    return this.options.gzip ? zlib.gzipSync(record) : record;
+  }
+
+  /**
+   * Open the next WARC file and start it with a warcinfo record
+   */
+  openFile() {
+    this.fileIndex++;
+    const filepath = this.filePath(this.fileIndex);
+    const stream = fs.createWriteStream(filepath, { flags: 'wx' });
+    // Reported by the next writeResponse() or close() instead of crashing the process
+    stream.on('error', error => {
+      this.error = this.error || error;
+    });
+    this.file = { filepath, stream, bytes: 0 };
+    this.files.push(filepath);
+
+    const info = formatWarcRecord({
+      'WARC-Type': 'warcinfo',
+      'WARC-Record-ID': `<urn:uuid:${randomUUID()}>`,
+      'WARC-Date': new Date().toISOString(),
+      'WARC-Filename': path.basename(filepath),
+      'Content-Type': 'application/warc-fields'
+    }, Buffer.from('software: web-crawler-for-ai-training\r\nformat: WARC File Format 1.1\r\n'));
+    const bytes = this.encode(info);
+    this.file.bytes += bytes.length;
+    stream.write(bytes);
+  }
+
+  /**
+   * End a WARC file and wait until it is flushed and closed
+   * @param {Object} file - File to finish
+   */
+  async endFile(file) {
+    try {
+      if (file.stream.writableNeedDrain) {
+        await once(file.stream, 'drain');
+      }
+      file.stream.end();
+      if (!file.stream.closed) {
+        await once(file.stream, 'close');
+      }
+    } catch (error) {
+      this.error = this.error || error;
+    }
+  }
+
+  /**
+   * Archive a fetched page
+   * @param {string} requestedUrl - URL that was requested (the response URL may differ after redirects)
+   * @param {Object} response - Fetcher response ({ url, status, headers, title, html })
+   * @throws {Error} - When a WARC file could not be opened or written
+   */
+  async writeResponse(requestedUrl, response) {
+    if (!this.ready) {
+      this.ready = this.prepare();
+    }
+    await this.ready;
+    if (this.error) {
+      throw this.error;
+    }
+
+    const date = new Date().toISOString();
+    const recordId = `<urn:uuid:${randomUUID()}>`;
+    const responseRecord = this.encode(formatWarcRecord({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': recordId,
+      'WARC-Date': date,
+      'WARC-Target-URI': response.url,
+      'Content-Type': 'application/http; msgtype=response'
+    }, formatHttpResponse(response.status, response.headers, response.html)));
+
+    const metadataFields = [`requested-url: ${requestedUrl}`];
+    if (response.title) {
+      metadataFields.unshift(`title: ${response.title.replace(/\s+/g, ' ')}`);
+    }
+    const metadataRecord = this.encode(formatWarcRecord({
+      'WARC-Type': 'metadata',
+      'WARC-Record-ID': `<urn:uuid:${randomUUID()}>`,
+      'WARC-Date': date,
+      'WARC-Target-URI': response.url,
+      'WARC-Concurrent-To': recordId,
+      'Content-Type': 'application/warc-fields'
+    }, Buffer.from(`${metadataFields.join('\r\n')}\r\n`)));
+
+    // Rotate before writing so a page's two records always share a file
+    const bytes = Buffer.concat([responseRecord, metadataRecord]);
+    if (this.file && this.options.maxBytes > 0 &&
+        this.file.bytes + bytes.length > this.options.maxBytes) {
+      this.closing.push(this.endFile(this.file));
+      this.file = null;
+    }
+
+    if (!this.file) {
+      this.openFile();
+    }
+
+    const { stream } = this.file;
+    this.file.bytes += bytes.length;
+    this.responsesWritten++;
+
+    if (!stream.write(bytes)) {
+      await once(stream, 'drain').catch(() => {});
+    }
+    if (this.error) {
+      throw this.error;
+    }
+  }
+
+  /**
+   * Flush and close the writer
+   * @returns {Array<string>} - Paths of all WARC files written
+   * @throws {Error} - When a WARC file could not be opened or written
+   */
+  async close() {
+    await this.ready;
+    if (this.file) {
+      this.closing.push(this.endFile(this.file));
+      this.file = null;
+    }
+    await Promise.all(this.closing);
+    this.closing = [];
+    if (this.error) {
+      throw this.error;
+    }
+    return this.files;
+  }
+}
+
+export default WarcWriter;
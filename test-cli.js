@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import { parseArgs, parseSeedList, readSeeds, main } from './src/cli.js';
+import { loadConfig, applyOverrides } from './src/config.js';
+import { validateConfig } from './src/schema.js';
+
+/**
+ * Expect a function to throw and return the error message
+ * @param {Function} fn - Function expected to throw
+ * @returns {string} - Error message
+ */
+function expectError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.message;
+  }
+  throw new Error('Expected an error');
+}
+
+/**
+ * Run the CLI and collect what it prints
+ * @param {Array<string>} argv - CLI arguments
+ * @returns {string} - Printed output
+ */
+async function runCli(argv) {
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await main(argv);
+  } finally {
+    console.log = originalLog;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Test script to verify command-line parsing, seed lists and CLI commands
+ */
+async function test() {
+  console.log('=== Testing Command Line ===\n');
+
+  try {
+    console.log('1. Testing argument parsing...');
+    const args = parseArgs([
+      'crawl', 'https://en.wikipedia.org/wiki/Volcano', '--raw', '--out', 'volcano.json',
+      '--crawling.concurrency=4', '--no-crawler.headless', '--pipeline.targetLanguages', '["eng","deu"]',
+      '--recursive.resume', '--help=false'
+    ]);
+    if (args.command !== 'crawl' || args.positionals.join(',') !== 'https://en.wikipedia.org/wiki/Volcano' ||
+        args.flags.raw !== true || args.flags.help !== false || args.flags.out !== 'volcano.json') {
+      throw new Error(`Unexpected arguments: ${JSON.stringify(args)}`);
+    }
+    const expectedOverrides = {
+      'crawling.concurrency': '4',
+      'crawler.headless': 'false',
+      'pipeline.targetLanguages': '["eng","deu"]',
+      'recursive.resume': 'true'
+    };
+    if (JSON.stringify(args.overrides) !== JSON.stringify(expectedOverrides)) {
+      throw new Error(`Unexpected overrides: ${JSON.stringify(args.overrides)}`);
+    }
+    if (parseArgs([]).command !== null) {
+      throw new Error('No arguments should mean no command');
+    }
+    console.log('✓ Commands, positionals, flags and overrides separated');
+    console.log(`   Overrides: ${Object.keys(args.overrides).join(', ')}\n`);
+
+    console.log('2. Testing override values...');
+    const config = validateConfig(applyOverrides(await loadConfig('./config.json'), {
+      ...args.overrides,
+      'recursive.scoreLink': 'lead'
+    }));
+    if (config.crawling.concurrency !== 4 || config.crawler.headless !== false ||
+        config.pipeline.targetLanguages.join(',') !== 'eng,deu' || config.recursive.resume !== true ||
+        config.recursive.scoreLink !== 'lead') {
+      throw new Error('Override values not parsed');
+    }
+    console.log('✓ Numbers, booleans and JSON arrays parsed, other values kept as strings\n');
+
+    console.log('3. Testing invalid arguments...');
+    const unknown = expectError(() => parseArgs(['crawl', '--verbose']));
+    const missing = expectError(() => parseArgs(['crawl', '--out', '--raw']));
+    if (unknown !== 'Unknown option: --verbose' || missing !== 'Missing value for --out') {
+      throw new Error(`Unexpected errors: ${unknown}, ${missing}`);
+    }
+    console.log('✓ Unknown options and missing values rejected');
+    console.log(`   ${unknown}`);
+    console.log(`   ${missing}\n`);
+
+    console.log('4. Testing seed lists...');
+    const seedFile = './output/test_seeds.txt';
+    await fs.mkdir('./output', { recursive: true });
+    await fs.writeFile(seedFile, [
+      '# Volcanoes',
+      'https://en.wikipedia.org/wiki/Etna',
+      '',
+      '   https://en.wikipedia.org/wiki/Vesuvius   ',
+      '  # indented comment',
+      'https://en.wikipedia.org/wiki/Stromboli\r',
+      ''
+    ].join('\n'));
+    let seeds;
+    try {
+      seeds = await readSeeds(['https://en.wikipedia.org/wiki/Volcano'], { seeds: seedFile }, config);
+    } finally {
+      await fs.unlink(seedFile);
+    }
+    const expectedSeeds = ['Volcano', 'Etna', 'Vesuvius', 'Stromboli'].map(title => `https://en.wikipedia.org/wiki/${title}`);
+    if (seeds.join(',') !== expectedSeeds.join(',')) {
+      throw new Error(`Unexpected seeds: ${JSON.stringify(seeds)}`);
+    }
+    if (parseSeedList('\n# only comments\n\n').length !== 0) {
+      throw new Error('Comment-only seed list should be empty');
+    }
+    console.log('✓ Blank lines, comments and whitespace skipped, command-line URLs first');
+    console.log(`   Seeds: ${seeds.length}\n`);
+
+    console.log('5. Testing --help and stages...');
+    const help = await runCli(['--help']);
+    if (!help.startsWith('Usage: wiki-crawler') || help !== await runCli([])) {
+      throw new Error('Usage not printed');
+    }
+    const stages = await runCli(['stages', '--pipeline.stages=["language","quality","gopher"]']);
+    const stageNames = stages.split('\n').filter(line => /^\d+\. /.test(line)).map(line => line.split(' ')[1]);
+    if (stageNames.join(',') !== 'language,quality,gopher' || !stages.includes('tooFewStopwords')) {
+      throw new Error(`Unexpected stages output:\n${stages}`);
+    }
+    const unknownCommand = await main(['frobnicate']).then(() => null, error => error.message);
+    if (!unknownCommand || !unknownCommand.startsWith('Unknown command: frobnicate')) {
+      throw new Error('Unknown command accepted');
+    }
+    console.log('✓ Usage and stage list printed, unknown commands rejected');
+    console.log(`   Stages: ${stageNames.join(', ')}\n`);
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+test();
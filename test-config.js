@@ -0,0 +1,166 @@
+import fs from 'fs/promises';
+import DataPipeline from './src/pipeline.js';
+import { validateConfig, validateOptions, PIPELINE_SCHEMA } from './src/schema.js';
+import { loadConfig, applyOverrides, getCrawlerOptions } from './src/config.js';
+import { ConfigError } from './src/errors.js';
+
+/**
+ * Expect a function to throw a ConfigError and return its messages
+ * @param {Function} fn - Function expected to throw
+ * @returns {Array<string>} - Validation messages
+ */
+function expectConfigError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return error.errors;
+    }
+    throw error;
+  }
+  throw new Error('Expected a ConfigError');
+}
+
+/**
+ * Test script to verify config loading, overrides and schema validation
+ */
+async function test() {
+  console.log('=== Testing Configuration ===\n');
+
+  try {
+    console.log('1. Testing config.json against the schema...');
+    const config = validateConfig(await loadConfig('./config.json'));
+    if (config.crawling.concurrency !== 1 || config.recursive.maxPages !== 100) {
+      throw new Error('Unexpected values in validated config.json');
+    }
+    console.log('✓ config.json is valid');
+    console.log(`   Sections: ${Object.keys(config).join(', ')}\n`);
+
+    console.log('2. Testing falsy values are preserved...');
+    const pipeline = new DataPipeline({ maxDigitRatio: 0, minWordCount: 0, minTextLength: undefined });
+    if (pipeline.options.maxDigitRatio !== 0 || pipeline.options.minWordCount !== 0) {
+      throw new Error('Falsy option replaced by default');
+    }
+    if (pipeline.options.minTextLength !== 100) {
+      throw new Error('Undefined option did not get its default');
+    }
+    console.log('✓ 0 kept, undefined replaced by the default\n');
+
+    console.log('3. Testing unknown keys, types and ranges...');
+    const errors = expectConfigError(() => new DataPipeline({
+      maxDigitRatoi: 0.1,
+      minWordCount: 'twenty',
+      maxUppercaseRatio: 1.5,
+      targetLanguages: ['eng', 3]
+    }));
+    const expected = [
+      "maxDigitRatoi: unknown option (did you mean 'maxDigitRatio'?)",
+      'minWordCount: expected integer, got "twenty"',
+      'maxUppercaseRatio: must be between 0 and 1, got 1.5',
+      'targetLanguages[1]: expected string, got 3'
+    ];
+    for (const message of expected) {
+      if (!errors.includes(message)) {
+        throw new Error(`Missing error "${message}" in ${JSON.stringify(errors)}`);
+      }
+    }
+    console.log('✓ All problems reported at once');
+    errors.forEach(message => console.log(`   ${message}`));
+    console.log();
+
+    console.log('4. Testing cross-field and section checks...');
+    const rangeErrors = expectConfigError(() => validateOptions(PIPELINE_SCHEMA, { minTextLength: 500, maxTextLength: 200 }));
+    if (rangeErrors[0] !== 'minTextLength: must not exceed maxTextLength (500 > 200)') {
+      throw new Error(`Unexpected error: ${rangeErrors[0]}`);
+    }
+    const sectionErrors = expectConfigError(() => validateConfig({
+      crawlng: {},
+      crawler: { fetcher: 'wget', retry: { maxAttempts: 0 } }
+    }));
+    if (sectionErrors.length !== 3 || !sectionErrors[0].includes("did you mean 'crawling'")) {
+      throw new Error(`Unexpected errors: ${JSON.stringify(sectionErrors)}`);
+    }
+    const scopeErrors = expectConfigError(() => validateConfig({
+      crawler: { scope: { preset: 'blog', include: '^https://' } }
+    }));
+    if (scopeErrors.length !== 2 || !scopeErrors[0].startsWith('crawler.scope.preset')) {
+      throw new Error(`Unexpected scope errors: ${JSON.stringify(scopeErrors)}`);
+    }
+    console.log('✓ Ranges between keys, unknown sections and nested options checked');
+    sectionErrors.forEach(message => console.log(`   ${message}`));
+    console.log();
+
+    console.log('5. Testing command-line overrides...');
+    const overridden = validateConfig(applyOverrides(config, {
+      'crawling.concurrency': '4',
+      'crawler.headless': 'false',
+      'crawler.outputDir': './other',
+      'crawler.scope': 'site',
+      'crawler.archive.gzip': 'false',
+      'pipeline.targetLanguages': '["deu"]'
+    }));
+    const crawlerOptions = getCrawlerOptions(overridden);
+    if (crawlerOptions.concurrency !== 4 || crawlerOptions.headless !== false ||
+        crawlerOptions.outputDir !== './other' || crawlerOptions.scope !== 'site' ||
+        crawlerOptions.archive.gzip !== false || overridden.pipeline.targetLanguages[0] !== 'deu') {
+      throw new Error('Overrides not applied');
+    }
+    if (config.crawling.concurrency !== 1) {
+      throw new Error('Overrides modified the original config');
+    }
+    const overrideErrors = expectConfigError(() => validateConfig(applyOverrides(config, { 'crawling.concurrency': '0' })));
+    console.log('✓ Overrides parsed and validated');
+    console.log(`   ${overrideErrors[0]}\n`);
+
+    console.log('6. Testing config file errors...');
+    const badFile = './output/bad_config.json';
+    await fs.mkdir('./output', { recursive: true });
+    await fs.writeFile(badFile, '{ "crawler": ', 'utf-8');
+    try {
+      await loadConfig(badFile);
+      throw new Error('Invalid JSON was accepted');
+    } catch (error) {
+      if (!error.message.startsWith(`Invalid JSON in config file ${badFile}`)) {
+        throw error;
+      }
+    } finally {
+      await fs.unlink(badFile);
+    }
+    const missing = await loadConfig('./output/missing_config.json', { optional: true });
+    if (Object.keys(missing).length !== 0) {
+      throw new Error('Optional missing config should be empty');
+    }
+    console.log('✓ Invalid JSON reported, optional missing file tolerated\n');
+
+    console.log('7. Testing deprecated options...');
+    // Configs copied from early versions of config.json still set this
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+      validateConfig({ ...config, pipeline: { ...config.pipeline, maxRepetitiveNGramRatio: 0.15 } });
+      new DataPipeline({ maxRepetitiveNGramRatio: 0.15 });
+    } finally {
+      console.warn = originalWarn;
+    }
+    if (warnings.length !== 1 || !warnings[0].startsWith('pipeline.maxRepetitiveNGramRatio is deprecated and ignored')) {
+      throw new Error(`Unexpected warnings: ${JSON.stringify(warnings)}`);
+    }
+    const deprecatedErrors = expectConfigError(() => new DataPipeline({ maxRepetitiveNGramRatio: 2, maxRepetitiveRatio: 0.1 }));
+    if (!deprecatedErrors.includes('maxRepetitiveNGramRatio: must be between 0 and 1, got 2') ||
+        !deprecatedErrors.includes('maxRepetitiveRatio: unknown option')) {
+      throw new Error(`Unexpected errors: ${JSON.stringify(deprecatedErrors)}`);
+    }
+    console.log('✓ Deprecated option accepted with one warning and never suggested');
+    console.log(`   ${warnings[0]}\n`);
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+test();
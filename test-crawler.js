@@ -0,0 +1,272 @@
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import WikipediaCrawler from './src/crawler.js';
+
+/**
+ * Test script to verify crawler scheduling against a local stub site,
+ * fetched with the 'http' backend
+ */
+
+// Links of every page on the stub site
+const SITE = {
+  '/wiki/Start': ['/wiki/A', '/wiki/B', '/wiki/C'],
+  '/wiki/A': ['/wiki/A1', '/wiki/A2'],
+  '/wiki/B': ['/wiki/B1'],
+  '/wiki/C': [],
+  '/wiki/A1': [],
+  '/wiki/A2': [],
+  '/wiki/B1': []
+};
+
+// Pages of the redirect test, linked through aliases that redirect to them
+const TOPICS = {
+  '/wiki/Topics': ['/wiki/AI', '/wiki/Artificial_intelligence', '/wiki/ML', '/wiki/Robotics'],
+  '/wiki/Artificial_intelligence': [],
+  '/wiki/Machine_learning': [],
+  '/wiki/Robotics': []
+};
+
+const REDIRECTS = {
+  '/wiki/AI': '/wiki/Artificial_intelligence',
+  '/wiki/ML': '/wiki/Machine_learning'
+};
+
+/**
+ * Read the URL of every line in the JSONL shards of a directory
+ * @param {string} dir - Streaming output directory
+ * @returns {Array<string>} - URLs in shard order
+ */
+async function readShardUrls(dir) {
+  const names = (await fs.readdir(dir)).filter(name => name.endsWith('.jsonl')).sort();
+  const urls = [];
+  for (const name of names) {
+    const content = await fs.readFile(path.join(dir, name), 'utf-8');
+    content.split('\n').filter(Boolean).forEach(line => urls.push(JSON.parse(line).url));
+  }
+  return urls;
+}
+
+function startStubServer(state) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/robots.txt') {
+      res.setHeader('Content-Type', 'text/plain');
+      res.end(state.robots);
+      return;
+    }
+
+    if (REDIRECTS[pathname]) {
+      state.requests.push({ path: pathname, time: Date.now() });
+      res.writeHead(301, { Location: REDIRECTS[pathname] });
+      res.end();
+      return;
+    }
+
+    const pageLinks = SITE[pathname] || TOPICS[pathname];
+    if (!pageLinks) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    state.requests.push({ path: pathname, time: Date.now() });
+    const title = pathname.split('/').pop();
+    const links = [...pageLinks, ...(state.extraLinks[pathname] || [])]
+      .map(link => `<li><a href="${link}">${link.split('/').pop()}</a></li>`).join('');
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    // Delay responses a little so concurrent workers overlap
+    setTimeout(() => res.end(`<html><head><title>${title}</title></head><body>
+<p>The article ${title} is a page of the stub site used to test the crawler, with enough words to be kept.</p>
+<ul>${links}</ul>
+</body></html>`), 20);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function test() {
+  console.log('=== Testing Crawler Scheduling ===\n');
+
+  const state = { robots: '', requests: [], extraLinks: {} };
+  const server = await startStubServer(state);
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const options = { fetcher: 'http', scope: 'site', delayBetweenRequests: 0, outputDir: './output/crawler_test' };
+
+  try {
+    console.log('1. Testing per-host delays with concurrent workers...');
+    state.robots = 'User-agent: *\nCrawl-delay: 0.2\n';
+    state.requests = [];
+    const politeCrawler = new WikipediaCrawler({ ...options, concurrency: 3 });
+    const urls = ['/wiki/A', '/wiki/B', '/wiki/C', '/wiki/A1'].map(page => `${origin}${page}`);
+    const pages = await politeCrawler.crawlMultiple(urls);
+    await politeCrawler.close();
+    if (pages.some(page => page.error)) {
+      throw new Error(`Crawl failed: ${JSON.stringify(pages.filter(page => page.error))}`);
+    }
+    const times = state.requests.map(request => request.time).sort((a, b) => a - b);
+    const gaps = times.slice(1).map((time, index) => time - times[index]);
+    // Allow for timer granularity
+    if (gaps.length !== 3 || gaps.some(gap => gap < 190)) {
+      throw new Error(`Requests closer than the Crawl-delay: ${gaps.join(', ')}ms`);
+    }
+    state.robots = '';
+    console.log('✓ Workers share the Crawl-delay of the host');
+    console.log(`   Gaps between requests: ${gaps.join(', ')}ms\n`);
+
+    console.log('2. Testing a crawl resumed with a higher maxPages...');
+    const resumeDir = './output/crawler_test/resume';
+    await fs.rm(resumeDir, { recursive: true, force: true });
+    const resumeOptions = { ...options, outputDir: resumeDir };
+    state.requests = [];
+    const firstCrawler = new WikipediaCrawler(resumeOptions);
+    const first = await firstCrawler.crawlRecursive(`${origin}/wiki/Start`, { maxPages: 3, maxLinksPerPage: 0 });
+    await firstCrawler.close();
+    const firstPaths = state.requests.map(request => request.path);
+    const saved = JSON.parse(await fs.readFile(path.join(resumeDir, 'crawl_checkpoint.json'), 'utf-8'));
+    const queued = saved.frontier.pending.map(entry => new URL(entry.url).pathname).sort();
+    // B1 is only linked from B, the last page crawled before maxPages was reached
+    if (first.totalPages !== 3 || queued.join(',') !== '/wiki/A1,/wiki/A2,/wiki/B1,/wiki/C') {
+      throw new Error(`Unexpected checkpoint: ${first.totalPages} pages, queued ${queued.join(', ')}`);
+    }
+    state.requests = [];
+    const secondCrawler = new WikipediaCrawler(resumeOptions);
+    const second = await secondCrawler.crawlRecursive(`${origin}/wiki/Start`, { maxPages: 10, maxLinksPerPage: 0, resume: true });
+    await secondCrawler.close();
+    const secondPaths = state.requests.map(request => request.path);
+    const refetched = secondPaths.filter(page => firstPaths.includes(page));
+    if (refetched.length > 0) {
+      throw new Error(`Pages fetched again after resuming: ${refetched.join(', ')}`);
+    }
+    if (second.totalPages !== Object.keys(SITE).length || secondPaths.sort().join(',') !== queued.join(',')) {
+      throw new Error(`Unexpected resumed crawl: ${second.totalPages} pages, fetched ${secondPaths.join(', ')}`);
+    }
+    console.log('✓ Crawled pages not fetched again, the frontier restored with the links of the last page');
+    console.log(`   Fetched after resuming: ${secondPaths.join(', ')}\n`);
+
+    console.log('3. Testing a streamed crawl resumed from an older checkpoint...');
+    const streamDir = './output/crawler_test/stream';
+    await fs.rm(streamDir, { recursive: true, force: true });
+    const startUrl = `${origin}/wiki/Start`;
+    const streamOptions = { ...options, outputDir: streamDir, stream: true };
+    const recursiveOptions = { maxLinksPerPage: 0, checkpointInterval: 1 };
+    const runCrawl = async (maxPages, resume) => {
+      const crawler = new WikipediaCrawler(streamOptions);
+      const result = await crawler.crawlRecursive(startUrl, { ...recursiveOptions, maxPages, resume });
+      await crawler.close();
+      return result;
+    };
+    await runCrawl(3, false);
+    const checkpointFile = path.join(streamDir, 'crawl_checkpoint.json');
+    const olderCheckpoint = await fs.readFile(checkpointFile, 'utf-8');
+    await runCrawl(5, true);
+    // As if the process died after streaming two more pages but before saving their checkpoint
+    await fs.writeFile(checkpointFile, olderCheckpoint);
+    state.requests = [];
+    const resumed = await runCrawl(10, true);
+    const streamedUrls = await readShardUrls(streamDir);
+    const duplicates = streamedUrls.filter((url, index) => streamedUrls.indexOf(url) !== index);
+    if (duplicates.length > 0) {
+      throw new Error(`Pages written twice: ${duplicates.join(', ')}`);
+    }
+    if (streamedUrls.length !== resumed.totalPages) {
+      throw new Error(`Expected ${resumed.totalPages} streamed pages, got ${streamedUrls.length}`);
+    }
+    if (state.requests.length !== resumed.totalPages - 3) {
+      throw new Error(`Expected the pages after the older checkpoint to be crawled again: ${state.requests.length} requests`);
+    }
+    console.log('✓ Pages crawled again after the older checkpoint are not written twice');
+    console.log(`   Streamed pages: ${streamedUrls.length}, requests after resuming: ${state.requests.length}\n`);
+
+    console.log('4. Testing link extraction errors...');
+    const linkCrawler = new WikipediaCrawler(options);
+    const startLinks = await linkCrawler.getLinks(`${origin}/wiki/Start`);
+    const missingLinks = await linkCrawler.getLinks(`${origin}/wiki/Missing`).then(() => null, error => error);
+    await linkCrawler.close();
+    if (startLinks.length !== 3 || !missingLinks || missingLinks.status !== 404) {
+      throw new Error(`Unexpected links: ${startLinks.join(', ')}, error: ${missingLinks && missingLinks.message}`);
+    }
+    console.log('✓ Links returned, a failed fetch rejected instead of returning no links');
+    console.log(`   ${missingLinks.message}\n`);
+
+    console.log('5. Testing pages linked through redirects...');
+    state.requests = [];
+    const redirectCrawler = new WikipediaCrawler({ ...options, concurrency: 3, outputDir: './output/crawler_test/redirects' });
+    const topics = await redirectCrawler.crawlRecursive(`${origin}/wiki/Topics`, { maxPages: 4, maxDepth: 1 });
+    await redirectCrawler.close();
+    const requested = state.requests.map(request => request.path);
+    const refetchedTopics = requested.filter((page, index) => requested.indexOf(page) !== index);
+    if (refetchedTopics.length > 0) {
+      throw new Error(`Pages requested twice: ${refetchedTopics.join(', ')}`);
+    }
+    const expectedRedirects = Object.fromEntries(Object.entries(REDIRECTS).map(([alias, target]) => [origin + alias, origin + target]));
+    if (JSON.stringify(topics.redirects) !== JSON.stringify(expectedRedirects)) {
+      throw new Error(`Unexpected redirects: ${JSON.stringify(topics.redirects)}`);
+    }
+    // The two aliases do not use up maxPages, so Robotics is crawled too
+    const crawledPaths = topics.crawledData.map(page => new URL(page.url).pathname).sort();
+    if (topics.totalPages !== 4 || crawledPaths.join(',') !== Object.keys(TOPICS).sort().join(',')) {
+      throw new Error(`Unexpected pages: ${topics.totalPages}, crawled ${crawledPaths.join(', ')}`);
+    }
+    const tree = redirectCrawler.generateMarkdownTree(topics.linkTree);
+    if (!tree.includes('Artificial_intelligence (redirected from AI)') || !tree.includes('Machine_learning (redirected from ML)')) {
+      throw new Error(`Redirects missing from the link tree:\n${tree}`);
+    }
+    console.log('✓ Each article requested once, aliases recorded as redirects and not counted towards maxPages');
+    console.log(`   Requests: ${requested.join(', ')}\n`);
+
+    console.log('6. Testing checkpoints saved while a page checks its links against robots.txt...');
+    // A second host whose robots.txt is held back until the checkpoint has been read
+    let releaseRobots = null;
+    const robotsRequested = new Promise(resolve => {
+      releaseRobots = resolve;
+    });
+    const heldResponses = [];
+    const otherHost = http.createServer((req, res) => {
+      heldResponses.push(res);
+      releaseRobots();
+    });
+    await new Promise(resolve => otherHost.listen(0, '127.0.0.1', resolve));
+    const otherOrigin = `http://127.0.0.1:${otherHost.address().port}`;
+    state.extraLinks['/wiki/A'] = [`${otherOrigin}/wiki/Elsewhere`];
+    const raceDir = './output/crawler_test/race';
+    await fs.rm(raceDir, { recursive: true, force: true });
+    try {
+      const raceCrawler = new WikipediaCrawler({
+        ...options, concurrency: 3, respectRobotsTxt: true, outputDir: raceDir, scope: { allowedDomains: ['127.0.0.1'] }
+      });
+      const crawl = raceCrawler.crawlRecursive(`${origin}/wiki/Start`, { maxPages: 4, maxLinksPerPage: 0, checkpointInterval: 1 });
+      await robotsRequested;
+      // Let B and C finish and save their checkpoints while A waits for the robots.txt
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const raceCheckpoint = JSON.parse(await fs.readFile(path.join(raceDir, 'crawl_checkpoint.json'), 'utf-8'));
+      heldResponses.forEach(res => res.end());
+      await crawl;
+      await raceCrawler.close();
+      const crawledUrls = raceCheckpoint.crawledData.map(page => page.url);
+      const requeued = raceCheckpoint.frontier.pending.map(entry => entry.url).filter(url => crawledUrls.includes(url));
+      if (requeued.length > 0 || !raceCheckpoint.frontier.pending.some(entry => entry.url === `${origin}/wiki/A`)) {
+        throw new Error(`Pages saved as crawled and queued again: ${requeued.join(', ')}`);
+      }
+      console.log('✓ A page still in flight is queued again by the checkpoint, not saved as crawled');
+      console.log(`   Crawled in checkpoint: ${crawledUrls.map(url => new URL(url).pathname).join(', ')}\n`);
+    } finally {
+      state.extraLinks = {};
+      otherHost.close();
+    }
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+test();
@@ -0,0 +1,248 @@
+import http from 'http';
+import MediaWikiFetcher from './src/mediawiki-fetcher.js';
+import HttpFetcher from './src/http-fetcher.js';
+import LinkScope from './src/link-scope.js';
+import RetryPolicy from './src/retry.js';
+import { classifyError, toFailureRecord } from './src/errors.js';
+
+/**
+ * Test script to verify the MediaWiki API and plain HTTP fetchers against a local stub server
+ */
+const ARTICLE_HTML = `<div class="mw-parser-output">
+<p><b>Web scraping</b> is <a href="/wiki/Data_extraction" title="Data extraction">data extraction</a>
+from <a href="/wiki/Website" title="Website">websites</a>. See also <a href="/wiki/Help:Contents">help</a>.</p>
+<div class="mw-heading mw-heading2"><h2 id="History">History</h2></div>
+<p>Early tools used <a href="/wiki/Website">websites</a> and <a href="/wiki/HTML#Forms">forms</a>,
+like the <a href="/wiki/World_Wide_Web_Wanderer" title="World Wide Web Wanderer">Wanderer</a>.</p>
+</div>`;
+
+const PARSOID_HTML = `<!DOCTYPE html><html><head><title>Web <i>scraping</i></title></head><body>
+<section><p><a rel="mw:WikiLink" href="./Data_extraction">data extraction</a></p></section>
+<section><h2>History</h2><p><a rel="mw:WikiLink" href="./World_Wide_Web_Wanderer">Wanderer</a></p></section>
+</body></html>`;
+
+const DOCS_HTML = `<html><head><title>Install &amp; setup</title></head><body>
+<p>See <a href="config.html?utm_source=docs">configuration</a> and <a href="/blog/">the blog</a>.</p>
+<h2>Next</h2><p><a href="../api/">API</a> <a href="#top">top</a></p>
+</body></html>`;
+
+// A wiki page as served to browsers: the title element carries the site name
+const WIKI_PAGE_HTML = `<!DOCTYPE html><html><head><title>Web scraping - Wikipedia</title>
+<link rel="canonical" href="/wiki/Web_scraping">
+<script>RLCONF={"wgCanonicalNamespace":"","wgPageName":"Web_scraping","wgTitle":"Web scraping"};</script></head>
+<body><div id="mw-content-text">${ARTICLE_HTML}</div></body></html>`;
+
+function startStubServer() {
+  let flakyRequests = 0;
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/w/api.php') {
+      const page = url.searchParams.get('page');
+      res.setHeader('Content-Type', 'application/json');
+      if (page === 'Missing_page') {
+        res.end(JSON.stringify({ error: { code: 'missingtitle', info: 'The page does not exist.' } }));
+        return;
+      }
+      // 'Scraping' is a redirect to 'Web scraping'
+      res.end(JSON.stringify({ parse: { title: 'Web scraping', text: ARTICLE_HTML } }));
+      return;
+    }
+
+    if (url.pathname === '/api/rest_v1/page/html/Web_scraping') {
+      res.setHeader('Content-Type', 'text/html');
+      res.end(PARSOID_HTML);
+      return;
+    }
+
+    // Fails twice with 503 before succeeding
+    if (url.pathname === '/api/rest_v1/page/html/Flaky') {
+      flakyRequests++;
+      if (flakyRequests <= 2) {
+        res.writeHead(503, { 'Retry-After': '0' });
+        res.end();
+        return;
+      }
+      res.setHeader('Content-Type', 'text/html');
+      res.end(PARSOID_HTML);
+      return;
+    }
+
+    // '/docs/' redirects to the install page
+    if (url.pathname === '/docs/') {
+      res.writeHead(301, { Location: '/docs/guide/install.html' });
+      res.end();
+      return;
+    }
+
+    if (url.pathname === '/docs/guide/install.html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(DOCS_HTML);
+      return;
+    }
+
+    // '/wiki/Scraping' is a wiki redirect page, served at the alias URL
+    if (url.pathname === '/wiki/Web_scraping' || url.pathname === '/wiki/Scraping') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(WIKI_PAGE_HTML);
+      return;
+    }
+
+    if (url.pathname === '/docs/data.json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+      return;
+    }
+
+    if (url.pathname === '/api/rest_v1/page/html/Overloaded') {
+      res.writeHead(503, { 'Retry-After': '5' });
+      res.end();
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function test() {
+  console.log('=== Testing MediaWiki Fetcher ===\n');
+
+  const server = await startStubServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log('1. Testing action=parse fetch...');
+    const parseFetcher = new MediaWikiFetcher({ api: 'parse' });
+    const page = await parseFetcher.fetch(`${origin}/wiki/Scraping`);
+    if (page.title !== 'Web scraping' || page.url !== `${origin}/wiki/Web_scraping`) {
+      throw new Error(`Unexpected page: ${page.title} (${page.url})`);
+    }
+    console.log('✓ Article fetched and redirect resolved');
+    console.log(`   Title: ${page.title}`);
+    console.log(`   URL: ${page.url}\n`);
+
+    console.log('2. Testing link extraction...');
+    const linkUrls = page.links.map(link => link.url.replace(origin, ''));
+    const expected = ['/wiki/Data_extraction', '/wiki/Website', '/wiki/World_Wide_Web_Wanderer'];
+    if (linkUrls.join(',') !== expected.join(',')) {
+      throw new Error(`Unexpected links: ${linkUrls.join(', ')}`);
+    }
+    const leadLinks = page.links.filter(link => link.inLead).length;
+    if (leadLinks !== 2) {
+      throw new Error(`Expected 2 lead links, got ${leadLinks}`);
+    }
+    console.log('✓ Article links extracted, namespaces and anchors skipped');
+    console.log(`   Links: ${linkUrls.join(', ')}`);
+    console.log(`   In lead section: ${leadLinks}\n`);
+
+    console.log('3. Testing REST page/html fetch...');
+    const restFetcher = new MediaWikiFetcher({ api: 'rest' });
+    const restPage = await restFetcher.fetch(`${origin}/wiki/Web_scraping`);
+    if (restPage.title !== 'Web scraping' || restPage.links.length !== 2 || !restPage.links[0].inLead) {
+      throw new Error('Unexpected REST result');
+    }
+    console.log('✓ Parsoid HTML fetched');
+    console.log(`   Title: ${restPage.title}, links: ${restPage.links.length}\n`);
+
+    console.log('4. Testing error handling...');
+    const errors = [];
+    for (const [fetcher, title] of [[parseFetcher, 'Missing_page'], [restFetcher, 'Overloaded']]) {
+      try {
+        await fetcher.fetch(`${origin}/wiki/${title}`);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    if (errors.length !== 2 || errors[0].status !== 404 || errors[1].status !== 503 || errors[1].retryAfter !== '5') {
+      throw new Error('HTTP errors were not reported with their status');
+    }
+    console.log('✓ Missing articles and server errors raise HttpError');
+    console.log(`   Statuses: ${errors.map(error => error.status).join(', ')}\n`);
+
+    console.log('5. Testing retry with backoff...');
+    const retryPolicy = new RetryPolicy({ maxAttempts: 3, baseDelay: 10 });
+    const retries = [];
+    const flakyPage = await retryPolicy.run(
+      () => restFetcher.fetch(`${origin}/wiki/Flaky`),
+      (error, attempt) => retries.push(`${attempt}:${error.status}`)
+    );
+    if (flakyPage.title !== 'Web scraping' || retries.length !== 2) {
+      throw new Error(`Expected success after two retries, got: ${retries.join(', ')}`);
+    }
+    const cappedPolicy = new RetryPolicy({ maxDelay: 2000 });
+    const hourDelay = cappedPolicy.getDelay(1, { retryAfter: '3600' });
+    const secondDelay = cappedPolicy.getDelay(1, { retryAfter: '1' });
+    if (hourDelay !== 2000 || secondDelay !== 1000) {
+      throw new Error(`Retry-After not capped at maxDelay: ${hourDelay}, ${secondDelay}`);
+    }
+    console.log('✓ Transient 503 responses retried, Retry-After capped at maxDelay');
+    console.log(`   Retries: ${retries.join(', ')}\n`);
+
+    console.log('6. Testing error classification...');
+    let notFound;
+    try {
+      await retryPolicy.run(() => parseFetcher.fetch(`${origin}/wiki/Missing_page`));
+    } catch (error) {
+      notFound = toFailureRecord(`${origin}/wiki/Missing_page`, error);
+    }
+    if (!notFound || notFound.errorCategory !== 'http' || notFound.status !== 404 || notFound.attempts !== 1) {
+      throw new Error('404 should fail immediately with an http category');
+    }
+    const timeout = new Error('Navigation timeout of 30000 ms exceeded');
+    timeout.name = 'TimeoutError';
+    if (classifyError(timeout) !== 'timeout') {
+      throw new Error('Navigation timeouts should be classified as timeout');
+    }
+    console.log('✓ Failures classified and permanent errors not retried');
+    console.log(`   404 record: ${notFound.errorCategory} (${notFound.attempts} attempt)\n`);
+
+    console.log('7. Testing plain HTTP fetch...');
+    const httpFetcher = new HttpFetcher();
+    const redirectTargets = [];
+    const docsPage = await httpFetcher.fetch(`${origin}/docs/`, { onRedirect: target => redirectTargets.push(target) });
+    if (docsPage.url !== `${origin}/docs/guide/install.html` || redirectTargets[0] !== docsPage.url || docsPage.title !== 'Install & setup' ||
+        docsPage.links.length !== 4 || docsPage.headers['content-type'] !== 'text/html; charset=utf-8') {
+      throw new Error(`Unexpected HTTP result: ${JSON.stringify({ ...docsPage, html: undefined })}`);
+    }
+    const scoped = new LinkScope('section').filter(docsPage.links, docsPage.url);
+    if (scoped.length !== 1 || scoped[0].url !== `${origin}/docs/guide/config.html` || !scoped[0].inLead) {
+      throw new Error(`Unexpected scoped links: ${scoped.map(link => link.url).join(', ')}`);
+    }
+    let notHtml = null;
+    try {
+      await httpFetcher.fetch(`${origin}/docs/data.json`);
+    } catch (error) {
+      notHtml = error;
+    }
+    if (!notHtml || !notHtml.message.startsWith('Not an HTML page')) {
+      throw new Error('Non-HTML responses should be rejected');
+    }
+    const wikiPage = await httpFetcher.fetch(`${origin}/wiki/Web_scraping`);
+    if (wikiPage.title !== page.title) {
+      throw new Error(`Wiki page title differs from the MediaWiki fetcher: ${wikiPage.title}`);
+    }
+    const aliasPage = await httpFetcher.fetch(`${origin}/wiki/Scraping`);
+    if (aliasPage.url !== page.url || aliasPage.status !== 200) {
+      throw new Error(`Wiki redirect page not resolved to its article: ${aliasPage.url}`);
+    }
+    console.log('✓ Redirects followed, links read from the HTML and scoped, wiki titles without the site name');
+    console.log(`   Wiki redirect page: ${aliasPage.url.replace(origin, '')} for /wiki/Scraping`);
+    console.log(`   Links: ${docsPage.links.length}, in section scope: ${scoped.map(link => link.url.replace(origin, '')).join(', ')}\n`);
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+test();
@@ -0,0 +1,77 @@
+import Frontier from './src/frontier.js';
+
+/**
+ * Test script to verify the crawl frontier ordering and fan-out
+ */
+function test() {
+  console.log('=== Testing Crawl Frontier ===\n');
+
+  try {
+    console.log('1. Testing breadth-first order...');
+    const bfs = new Frontier({ maxLinksPerPage: 2 });
+    bfs.add({ url: 'root', depth: 0 });
+    const root = bfs.next();
+    bfs.addLinks(['a', 'b', 'c'], { depth: root.depth + 1, parentUrl: root.url });
+    const a = bfs.next();
+    bfs.addLinks(['a1', 'a2'], { depth: a.depth + 1, parentUrl: a.url });
+    const order = [a.url];
+    let entry;
+    while ((entry = bfs.next())) {
+      order.push(entry.url);
+    }
+    if (order.join(',') !== 'a,b,a1,a2') {
+      throw new Error(`Unexpected breadth-first order: ${order.join(',')}`);
+    }
+    console.log('✓ Breadth-first order respected');
+    console.log(`   Order: ${order.join(' → ')}\n`);
+
+    console.log('2. Testing lead-section scoring...');
+    const lead = new Frontier({ scoreLink: 'lead', maxLinksPerPage: 2 });
+    const enqueued = lead.addLinks([
+      { url: 'body1', inLead: false, position: 0 },
+      { url: 'lead1', inLead: true, position: 1 },
+      { url: 'body2', inLead: false, position: 2 },
+      { url: 'lead2', inLead: true, position: 3 }
+    ], { depth: 1 });
+    const picked = enqueued.map(e => e.url).join(',');
+    if (picked !== 'lead1,lead2') {
+      throw new Error(`Expected lead links to be followed, got: ${picked}`);
+    }
+    console.log('✓ Lead links preferred over body links');
+    console.log(`   Followed: ${picked}\n`);
+
+    console.log('3. Testing inlink scoring...');
+    const inlinks = new Frontier({ scoreLink: 'inlinks', maxLinksPerPage: 0 });
+    inlinks.addLinks(['x', 'y'], { depth: 1 });
+    inlinks.addLinks(['y', 'z'], { depth: 1 });
+    const first = inlinks.next();
+    if (first.url !== 'y' || first.inlinks !== 2) {
+      throw new Error(`Expected most-linked URL first, got: ${first.url}`);
+    }
+    console.log('✓ Most-linked URL crawled first');
+    console.log(`   Next: ${first.url} (${first.inlinks} inlinks)\n`);
+
+    console.log('4. Testing duplicate suppression...');
+    const dedup = new Frontier();
+    dedup.add({ url: 'p', depth: 0 });
+    const addedAgain = dedup.add({ url: 'p', depth: 0 });
+    if (addedAgain || dedup.size !== 1) {
+      throw new Error('Duplicate URL was enqueued twice');
+    }
+    // A redirect target crawled through an alias is known without being queued
+    dedup.markSeen('q');
+    if (dedup.addLinks(['q', 'r']).length !== 1 || dedup.size !== 2) {
+      throw new Error('Redirect target was enqueued');
+    }
+    console.log('✓ Known URLs and redirect targets are not enqueued again\n');
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+test();
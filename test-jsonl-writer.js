@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import JsonlWriter from './src/jsonl-writer.js';
+
+/**
+ * Test script to verify the JSONL shards written when streaming crawl output
+ */
+async function test() {
+  console.log('=== Testing JSONL Writer ===\n');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsonl-'));
+
+  try {
+    console.log('1. Testing rotation and resumed numbering...');
+    // A prefix with regular expression characters must still match its own shards
+    const options = { prefix: 'wiki.en+', maxBytes: 60, gzip: true };
+    const writer = new JsonlWriter(dir, options);
+    await writer.writeAll([1, 2, 3].map(i => ({ url: `https://en.wikipedia.org/wiki/Page_${i}`, text: 'x' })));
+    const files = await writer.close();
+    const resumed = new JsonlWriter(dir, options);
+    await resumed.write({ url: 'https://en.wikipedia.org/wiki/Page_4', text: 'x' });
+    const resumedFiles = await resumed.close();
+    if (files.length !== 3 || path.basename(resumedFiles[0]) !== 'wiki.en+-00004.jsonl.gz') {
+      throw new Error(`Unexpected shards: ${[...files, ...resumedFiles].map(file => path.basename(file)).join(', ')}`);
+    }
+    const lines = zlib.gunzipSync(await fs.readFile(files[0])).toString('utf-8').trim().split('\n');
+    const urls = await new JsonlWriter(dir, options).readWrittenUrls();
+    if (lines.length !== 1 || urls.size !== 4 || !urls.has('https://en.wikipedia.org/wiki/Page_4')) {
+      throw new Error(`Unexpected content: ${lines.length} lines, URLs ${Array.from(urls).join(', ')}`);
+    }
+    console.log('✓ Shards rotated, numbering continued, written URLs read back');
+    console.log(`   Shards: ${[...files, ...resumedFiles].map(file => path.basename(file)).join(', ')}\n`);
+
+    console.log('2. Testing shards that cannot be written...');
+    for (const gzip of [false, true]) {
+      // The prefix names a directory that does not exist
+      const broken = new JsonlWriter(dir, { prefix: 'missing/shard', gzip });
+      let writeError = null;
+      try {
+        for (let i = 0; i < 3; i++) {
+          await broken.write({ url: `https://example.com/${i}` });
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+      } catch (error) {
+        writeError = error;
+      }
+      const closeError = await broken.close().then(() => null, error => error);
+      if (!writeError || writeError.code !== 'ENOENT' || !closeError || closeError.code !== 'ENOENT') {
+        throw new Error(`Expected ENOENT from write and close (gzip: ${gzip}): ${writeError}, ${closeError}`);
+      }
+    }
+    console.log('✓ Open errors rejected by write() and close() instead of crashing the process\n');
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test();
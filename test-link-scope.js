@@ -0,0 +1,126 @@
+import LinkScope, { canonicalizeUrl, extractLinks, resolveScope } from './src/link-scope.js';
+
+/**
+ * Test script to verify link extraction, URL canonicalization and crawl scopes
+ */
+function test() {
+  console.log('=== Testing Link Scope ===\n');
+
+  const docsHtml = `<html><head><title>Guide</title></head><body>
+<nav><a href="/">Home</a> <a href="https://blog.example.com/post">Blog</a></nav>
+<p>Read the <a href="install.html#requirements">install guide</a> and the
+<a href='./config.html?utm_source=nav&amp;page=2'>configuration</a>.</p>
+<h2>More</h2>
+<p><a href="../api/index.html">API</a>, <a href="mailto:docs@example.com">mail us</a>,
+<a href="https://other.org/x">elsewhere</a>, <a href="#top">top</a>.</p>
+</body></html>`;
+  const pageUrl = 'https://docs.example.com/guide/intro.html';
+
+  try {
+    console.log('1. Testing URL canonicalization...');
+    const cases = [
+      ['HTTPS://Docs.Example.com:443/guide/a.html#part', 'https://docs.example.com/guide/a.html'],
+      ['b.html?utm_source=x&id=3', 'https://docs.example.com/guide/b.html?id=3'],
+      ['//user:pw@docs.example.com/c', 'https://docs.example.com/c'],
+      ['/wiki/%41I?', 'https://docs.example.com/wiki/AI'],
+      ['/wiki/Caf%c3%a9', 'https://docs.example.com/wiki/Caf%C3%A9'],
+      ['/wiki/Café', 'https://docs.example.com/wiki/Caf%C3%A9'],
+      ['javascript:void(0)', null],
+      ['http://[bad', null]
+    ];
+    for (const [href, expected] of cases) {
+      const canonical = canonicalizeUrl(href, pageUrl, ['utm_*']);
+      if (canonical !== expected) {
+        throw new Error(`canonicalizeUrl('${href}') = ${canonical}, expected ${expected}`);
+      }
+    }
+    // Queries without stripped parameters are left as written
+    if (canonicalizeUrl('/search?q=a%20b', pageUrl, ['utm_*']) !== 'https://docs.example.com/search?q=a%20b') {
+      throw new Error('Query re-encoded');
+    }
+    console.log('✓ Fragments, credentials, default ports and tracking parameters removed, percent-encoding normalized\n');
+
+    console.log('2. Testing link extraction...');
+    const links = extractLinks(docsHtml, pageUrl);
+    if (links.length !== 8 || links[2].url !== 'https://docs.example.com/guide/install.html#requirements' ||
+        links[3].url !== 'https://docs.example.com/guide/config.html?utm_source=nav&page=2') {
+      throw new Error(`Unexpected links: ${links.map(link => link.url).join(', ')}`);
+    }
+    if (!links[3].inLead || links[4].inLead) {
+      throw new Error('Lead section not detected');
+    }
+    const based = extractLinks('<base href="https://mirror.example.net/docs/"><a href="page.html">x</a>', pageUrl);
+    if (based[0].url !== 'https://mirror.example.net/docs/page.html') {
+      throw new Error('<base href> ignored');
+    }
+    console.log('✓ Links resolved against the page URL or <base href>');
+    console.log(`   Links: ${links.length}, in lead: ${links.filter(link => link.inLead).length}\n`);
+
+    console.log('3. Testing scope rules...');
+    const site = new LinkScope('site').filter(links, pageUrl);
+    const siteUrls = site.map(link => link.url.replace('https://docs.example.com', ''));
+    if (siteUrls.join(',') !== '/,/guide/install.html,/guide/config.html?page=2,/api/index.html') {
+      throw new Error(`Unexpected site links: ${siteUrls.join(', ')}`);
+    }
+    if (site.map(link => link.position).join(',') !== '0,1,2,3') {
+      throw new Error('Positions not renumbered');
+    }
+    const section = new LinkScope('section').filter(links, pageUrl);
+    if (section.map(link => link.url).join(',') !==
+        'https://docs.example.com/guide/install.html,https://docs.example.com/guide/config.html?page=2') {
+      throw new Error(`Unexpected section links: ${section.map(link => link.url).join(', ')}`);
+    }
+    const domains = new LinkScope({ allowedDomains: ['example.com'], exclude: ['/api/'] }).filter(links, pageUrl);
+    // Without a preset no tracking parameters are stripped
+    if (domains.length !== 4 || domains[1].url !== 'https://blog.example.com/post' || !domains[3].url.includes('utm_source')) {
+      throw new Error(`Unexpected domain links: ${domains.map(link => link.url).join(', ')}`);
+    }
+    // Rules are relative to the start URL, not to the page the links are on
+    const fromBlog = new LinkScope('site').filter(links, pageUrl, 'https://blog.example.com/');
+    if (fromBlog.length !== 1 || fromBlog[0].url !== 'https://blog.example.com/post') {
+      throw new Error('Scope not relative to the start URL');
+    }
+    console.log('✓ site, section, allowedDomains and exclude rules applied');
+    console.log(`   site: ${site.length}, section: ${section.length}, example.com without /api/: ${domains.length}\n`);
+
+    console.log('4. Testing the Wikipedia preset...');
+    const wikiPage = 'https://en.wikipedia.org/wiki/Web_scraping';
+    const wikiLinks = [
+      '/wiki/Data_extraction', '/wiki/HTML#Forms', '/wiki/Help:Contents', '/wiki/Main_Page',
+      '/w/index.php?title=Web_scraping&action=edit', 'https://de.wikipedia.org/wiki/Screen_Scraping',
+      '/wiki/Data_extraction', '/wiki/Web_scraping#History'
+    ].map(href => ({ url: new URL(href, wikiPage).href }));
+    const articles = new LinkScope('wikipedia').filter(wikiLinks, wikiPage).map(link => link.url.replace('https://en.wikipedia.org', ''));
+    if (articles.join(',') !== '/wiki/Data_extraction,/wiki/HTML') {
+      throw new Error(`Unexpected article links: ${articles.join(', ')}`);
+    }
+    console.log('✓ Namespaces, Main_Page, other editions and self-links skipped');
+    console.log(`   Articles: ${articles.join(', ')}\n`);
+
+    console.log('5. Testing presets and overrides...');
+    const overridden = resolveScope({ preset: 'wikipedia', sameHost: false });
+    if (overridden.sameHost || overridden.include.length !== 1 || resolveScope({}).include.length !== 0) {
+      throw new Error(`Unexpected resolved scope: ${JSON.stringify(overridden)}`);
+    }
+    for (const [scope, message] of [['blog', "Unknown scope preset 'blog'"], [{ include: ['('] }, 'include[0]:']]) {
+      try {
+        new LinkScope(scope);
+        throw new Error(`Invalid scope accepted: ${JSON.stringify(scope)}`);
+      } catch (error) {
+        if (!error.message.startsWith(message)) {
+          throw error;
+        }
+      }
+    }
+    console.log('✓ Object scopes override their preset, invalid scopes rejected\n');
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+test();
@@ -0,0 +1,127 @@
+import { stripElements, htmlToBlocks, renderMarkdown, stripMarkdown } from './src/markdown.js';
+
+/**
+ * Test script to verify Markdown extraction. jusText is not run here: the
+ * paragraphs it would return are built from the blocks, with the classes given.
+ */
+function test() {
+  console.log('=== Testing Markdown Extraction ===\n');
+
+  const html = `<!DOCTYPE html><html><head><title>Printing press</title><style>p { color: red; }</style></head><body>
+<table class="infobox vcard"><tr><th>Inventor</th><td>Johannes Gutenberg</td></tr></table>
+<p>A <b>printing press</b> is a device for applying pressure<sup class="reference"><a href="#cite-1">[1]</a></sup> to an inked surface&nbsp;resting upon paper.</p>
+<div class="mw-heading mw-heading2"><h2 id="History">History</h2><span class="mw-editsection">[<a href="/w/index.php">edit</a>]</span></div>
+<p>Gutenberg built his press around 1440 &amp; printed the Bible with it.</p>
+<ul><li>Movable metal type</li><li>Oil-based ink<ul><li>Made with linseed oil</li></ul></li></ul>
+<ol><li>Set the type</li><li>Ink the forme</li></ol>
+<table class="wikitable"><caption>Output in Europe</caption>
+<tr><th>Century</th><th>Books</th></tr>
+<tr><td>15th</td><td>20 million | estimated</td></tr>
+</table>
+<h2>Gallery</h2><p>Click to enlarge</p>
+<h2>References</h2><div class="reflist"><ol class="references"><li>Eisenstein, The Printing Press.</li></ol></div>
+</body></html>`;
+
+  // Paragraphs jusText would keep on this page
+  const good = [
+    'A printing press is a device for applying pressure to an inked surface resting upon paper.',
+    'History',
+    'Gutenberg built his press around 1440 & printed the Bible with it.',
+    'Movable metal type', 'Oil-based ink', 'Made with linseed oil', 'Set the type', 'Ink the forme',
+    '15th', 'Gallery', 'References'
+  ];
+  const justext = blocks => blocks
+    .flatMap(block => block.type === 'table' ? [block.caption, ...block.rows.flat()] : [block.text])
+    .map(text => ({ text, classType: good.includes(text) ? 'good' : 'bad' }));
+
+  try {
+    console.log('1. Testing infobox and reference stripping...');
+    const stripped = stripElements(html);
+    if (/infobox|Gutenberg<\/td>|cite-1|Eisenstein|\[edit\]|mw-editsection/.test(stripped)) {
+      throw new Error(`Elements not stripped: ${stripped}`);
+    }
+    const kept = stripElements(html, { stripInfoboxes: false, stripReferences: false });
+    if (!kept.includes('Johannes Gutenberg') || !kept.includes('Eisenstein') || kept.includes('mw-editsection')) {
+      throw new Error('Infobox or references removed although disabled');
+    }
+    console.log('✓ Infoboxes, citation markers, reference lists and edit links removed\n');
+
+    console.log('2. Testing block extraction...');
+    const blocks = htmlToBlocks(stripped);
+    const types = blocks.map(block => block.type).join(',');
+    if (types !== 'paragraph,heading,paragraph,listItem,listItem,listItem,listItem,listItem,table,heading,paragraph,heading') {
+      throw new Error(`Unexpected blocks: ${types}`);
+    }
+    const nested = blocks.find(block => block.text === 'Made with linseed oil');
+    const table = blocks.find(block => block.type === 'table');
+    if (nested.depth !== 2 || table.caption !== 'Output in Europe' || table.rows.length !== 2 || table.rows[1][1] !== '20 million | estimated') {
+      throw new Error(`Unexpected list or table: ${JSON.stringify([nested, table])}`);
+    }
+    if (blocks.some(block => /color: red|Printing press$/.test(block.text || ''))) {
+      throw new Error('Head or style content extracted');
+    }
+    console.log('✓ Headings, nested lists and tables extracted');
+    console.log(`   Blocks: ${types}\n`);
+
+    console.log('3. Testing Markdown rendering...');
+    const markdown = renderMarkdown(blocks, justext(blocks));
+    const expected = [
+      'A printing press is a device for applying pressure to an inked surface resting upon paper.',
+      '## History',
+      'Gutenberg built his press around 1440 & printed the Bible with it.',
+      '- Movable metal type\n- Oil-based ink\n  - Made with linseed oil',
+      '1. Set the type\n2. Ink the forme',
+      'Output in Europe',
+      '| Century | Books |\n| --- | --- |\n| 15th | 20 million \\| estimated |'
+    ].join('\n\n');
+    if (markdown !== expected) {
+      throw new Error(`Unexpected Markdown:\n${markdown}`);
+    }
+    console.log('✓ Blocks rejected by jusText and headings of empty sections dropped');
+    console.log(`   ${markdown.split('\n').slice(2, 9).join('\n   ')}\n`);
+
+    console.log('4. Testing block matching and table options...');
+    // jusText may split a block in two; the block is kept when kept paragraphs cover most of it
+    const split = [{ type: 'paragraph', text: 'First half of a long sentence. Second half of it.' }];
+    const splitParagraphs = [
+      { text: 'First half of a long sentence.', classType: 'good' },
+      { text: 'Second half of it.', classType: 'neargood' }
+    ];
+    if (renderMarkdown(split, splitParagraphs) !== split[0].text) {
+      throw new Error('Block split by jusText was dropped');
+    }
+    if (renderMarkdown(blocks, justext(blocks), { tables: false }).includes('| Century')) {
+      throw new Error('Table rendered with tables: false');
+    }
+    if (renderMarkdown(blocks, justext(blocks).map(paragraph => ({ ...paragraph, classType: 'bad' }))) !== '') {
+      throw new Error('Blocks kept although jusText rejected every paragraph');
+    }
+    console.log('✓ Partially matched blocks kept, tables optional\n');
+
+    console.log('5. Testing markup stripping for the quality metrics...');
+    const prose = stripMarkdown([
+      '## History',
+      '',
+      'See [the press](https://en.wikipedia.org/wiki/Press_(printing)) and **movable** `type`, 3 * 4 \\| 5.',
+      '',
+      '1. Set the type',
+      '  - Ink the forme',
+      '',
+      '| Century | Books |',
+      '| --- | --- |'
+    ].join('\n'));
+    if (prose !== 'See the press and movable type, 3 * 4 | 5.\n\nSet the type\nInk the forme') {
+      throw new Error(`Unexpected prose: ${JSON.stringify(prose)}`);
+    }
+    console.log('✓ Headings and tables dropped, list markers and inline markup removed\n');
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+test();
@@ -1,5 +1,7 @@
 import WikipediaCrawler from './src/crawler.js';
+import JsonlWriter from './src/jsonl-writer.js';
 import fs from 'fs/promises';
+import zlib from 'zlib';
 
 /**
  * Mock test to verify crawler functionality without network calls
@@ -80,7 +82,27 @@ async function mockTest() {
     console.error('✗ File save failed:', error.message);
   }
 
-  console.log('5. Testing browser cleanup...');
+  console.log('5. Testing streaming JSONL output...');
+  try {
+    const writer = new JsonlWriter('./output/mock_shards', { maxBytes: 200, gzip: true });
+    for (let i = 0; i < 5; i++) {
+      await writer.write({ ...mockData, title: `Test Article ${i}` });
+    }
+    const files = await writer.close();
+    
+    let lines = 0;
+    for (const file of files) {
+      const content = zlib.gunzipSync(await fs.readFile(file)).toString('utf-8');
+      lines += content.trim().split('\n').map(line => JSON.parse(line)).length;
+    }
+    console.log('✓ Streaming output written');
+    console.log(`   Shards: ${files.length}, documents: ${lines}\n`);
+    await fs.rm('./output/mock_shards', { recursive: true, force: true });
+  } catch (error) {
+    console.error('✗ Streaming output failed:', error.message);
+  }
+
+  console.log('6. Testing browser cleanup...');
   await crawler.close();
   console.log('✓ Browser closed successfully\n');
 
@@ -0,0 +1,97 @@
+import PagePool from './src/page-pool.js';
+
+/**
+ * Test script to verify the Puppeteer page pool with a stub browser
+ */
+
+/**
+ * Stub browser whose newPage() fails for the calls listed in `failures`
+ * @param {Array<number>} failures - 1-based numbers of the newPage() calls that fail
+ * @returns {Object} - Browser with newPage() and the pages it opened
+ */
+function createBrowser(failures = []) {
+  const browser = {
+    calls: 0,
+    opened: [],
+    async newPage() {
+      const call = ++browser.calls;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      if (failures.includes(call)) {
+        throw new Error(`newPage ${call} failed`);
+      }
+      const page = { id: call, closed: false, close: async () => { page.closed = true; } };
+      browser.opened.push(page);
+      return page;
+    }
+  };
+  return browser;
+}
+
+/**
+ * Reject when a promise does not settle in time, so a worker left waiting
+ * fails the test instead of ending the process silently
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds (default: 1000)
+ * @returns {Promise} - The promise's result
+ */
+function withTimeout(promise, ms = 1000) {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Still waiting after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function test() {
+  console.log('=== Testing Page Pool ===\n');
+
+  try {
+    console.log('1. Testing page reuse up to the pool size...');
+    const browser = createBrowser();
+    const pool = new PagePool(browser, 2);
+    const [first, second] = await Promise.all([pool.acquire(), pool.acquire()]);
+    const waiting = pool.acquire();
+    pool.release(first);
+    const third = await waiting;
+    if (browser.calls !== 2 || third !== first || second === first) {
+      throw new Error(`Unexpected pages: ${browser.calls} opened, reused page ${third.id}`);
+    }
+    await pool.close();
+    if (!browser.opened.every(page => page.closed)) {
+      throw new Error('Pages left open after close()');
+    }
+    console.log('✓ Pages opened up to the pool size, then handed over on release');
+    console.log(`   Pages opened: ${browser.calls}\n`);
+
+    console.log('2. Testing a page that fails to open...');
+    const failingBrowser = createBrowser([1]);
+    const failingPool = new PagePool(failingBrowser, 2);
+    const results = await withTimeout(
+      Promise.allSettled([failingPool.acquire(), failingPool.acquire(), failingPool.acquire()])
+    );
+    const opened = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    if (results[0].status !== 'rejected' || opened.length !== 2 || opened[0] === opened[1] ||
+        failingPool.pages.length !== 2 || failingPool.pages.includes(null)) {
+      throw new Error(`Unexpected pool after a failure: ${results.map(result => result.status).join(', ')}, ` +
+        `${failingPool.pages.length} pages`);
+    }
+    // The failed slot is not lost: both pages can be in use at once again
+    opened.forEach(page => failingPool.release(page));
+    const again = await withTimeout(Promise.all([failingPool.acquire(), failingPool.acquire()]));
+    if (failingBrowser.calls !== 3 || again[0] === again[1]) {
+      throw new Error(`Pool capacity changed after a failure: ${failingBrowser.calls} newPage calls`);
+    }
+    await failingPool.close();
+    console.log('✓ A failed newPage() frees its slot for a waiting worker and keeps the pool size');
+    console.log(`   ${results[0].reason.message}, pages opened: ${failingBrowser.opened.length}\n`);
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+test();
@@ -1,4 +1,38 @@
+import fs from 'fs/promises';
 import DataPipeline from './src/pipeline.js';
+import BpeTokenizer from './src/tokenizer.js';
+import { registerStage } from './src/stages.js';
+import { gopherMetrics } from './src/gopher.js';
+import { summarize } from './src/analysis.js';
+import { WIKI_LANGUAGES, DETECTABLE_LANGUAGES } from './src/languages.js';
+import { htmlToBlocks, renderMarkdown } from './src/markdown.js';
+
+// One encyclopedic paragraph per language of WIKI_LANGUAGES, keyed by wiki code
+const LANGUAGE_SAMPLES = {
+  en: 'The river flows through the old town and was an important trade route for many centuries. Today the city is known for its university, its museums and the large market that is held every week in the main square.',
+  de: 'Der Fluss fließt durch die Altstadt und war über viele Jahrhunderte ein wichtiger Handelsweg. Heute ist die Stadt für ihre Universität, ihre Museen und den großen Markt bekannt, der jede Woche auf dem Hauptplatz stattfindet.',
+  fr: 'La rivière traverse la vieille ville et fut pendant des siècles une route commerciale importante. Aujourd’hui, la ville est connue pour son université, ses musées et le grand marché qui se tient chaque semaine sur la place principale.',
+  es: 'El río atraviesa el casco antiguo y fue durante muchos siglos una importante ruta comercial. Hoy la ciudad es conocida por su universidad, sus museos y el gran mercado que se celebra cada semana en la plaza mayor.',
+  it: 'Il fiume attraversa il centro storico ed è stato per molti secoli un’importante via commerciale. Oggi la città è nota per la sua università, i suoi musei e il grande mercato che si tiene ogni settimana nella piazza principale.',
+  pt: 'O rio atravessa a cidade velha e foi durante muitos séculos uma importante rota comercial. Hoje a cidade é conhecida pela sua universidade, pelos seus museus e pela grande feira que se realiza todas as semanas na praça principal.',
+  nl: 'De rivier stroomt door de oude binnenstad en was eeuwenlang een belangrijke handelsroute. Tegenwoordig staat de stad bekend om haar universiteit, haar musea en de grote markt die elke week op het centrale plein wordt gehouden.',
+  pl: 'Rzeka przepływa przez stare miasto i przez wiele stuleci była ważnym szlakiem handlowym. Dziś miasto jest znane ze swojego uniwersytetu, muzeów oraz dużego targu, który co tydzień odbywa się na głównym placu.',
+  ru: 'Река протекает через старый город и на протяжении многих веков была важным торговым путём. Сегодня город известен своим университетом, музеями и большим рынком, который каждую неделю проходит на главной площади.',
+  uk: 'Річка протікає через старе місто і протягом багатьох століть була важливим торговельним шляхом. Сьогодні місто відоме своїм університетом, музеями та великим ринком, який щотижня відбувається на головній площі.',
+  cs: 'Řeka protéká starým městem a po mnoho staletí byla důležitou obchodní cestou. Dnes je město známé svou univerzitou, svými muzei a velkým trhem, který se každý týden koná na hlavním náměstí.',
+  sk: 'Rieka preteká cez staré mesto a po mnoho storočí bola dôležitou obchodnou cestou. Dnes je mesto známe svojou univerzitou, svojimi múzeami a veľkým trhom, ktorý sa každý týždeň koná na hlavnom námestí.',
+  sv: 'Floden rinner genom den gamla staden och var under många århundraden en viktig handelsväg. I dag är staden känd för sitt universitet, sina museer och den stora marknaden som hålls varje vecka på torget.',
+  da: 'Floden løber gennem den gamle bydel og var i mange århundreder en vigtig handelsvej. I dag er byen kendt for sit universitet, sine museer og det store marked, som bliver holdt hver uge på torvet.',
+  no: 'Elva renner gjennom den gamle bydelen og var i mange hundre år en viktig handelsvei. I dag er byen kjent for universitetet sitt, museene sine og det store markedet som blir holdt hver uke på torget.',
+  fi: 'Joki virtaa vanhan kaupungin läpi, ja se oli vuosisatojen ajan tärkeä kauppareitti. Nykyään kaupunki tunnetaan yliopistostaan, museoistaan ja suuresta torista, jolla järjestetään markkinat joka viikko.',
+  hu: 'A folyó átszeli az óvárost, és évszázadokon át fontos kereskedelmi útvonal volt. Ma a város az egyeteméről, a múzeumairól és a nagy piacról ismert, amelyet minden héten a főtéren tartanak.',
+  ro: 'Râul traversează orașul vechi și a fost timp de multe secole o rută comercială importantă. Astăzi orașul este cunoscut pentru universitatea sa, pentru muzeele sale și pentru marele târg care se ține în fiecare săptămână în piața centrală.',
+  tr: 'Nehir eski şehrin içinden akar ve yüzyıllar boyunca önemli bir ticaret yolu olmuştur. Bugün şehir, üniversitesi, müzeleri ve her hafta ana meydanda kurulan büyük pazarıyla tanınmaktadır.',
+  el: 'Ο ποταμός διασχίζει την παλιά πόλη και για πολλούς αιώνες ήταν ένας σημαντικός εμπορικός δρόμος. Σήμερα η πόλη είναι γνωστή για το πανεπιστήμιό της, τα μουσεία της και τη μεγάλη αγορά που γίνεται κάθε εβδομάδα στην κεντρική πλατεία.',
+  ca: 'El riu travessa el nucli antic i durant molts segles va ser una ruta comercial important. Avui la ciutat és coneguda per la seva universitat, pels seus museus i pel gran mercat que se celebra cada setmana a la plaça major.',
+  id: 'Sungai itu mengalir melalui kota tua dan selama berabad-abad menjadi jalur perdagangan yang penting. Saat ini kota tersebut dikenal karena universitasnya, museum-museumnya, dan pasar besar yang diadakan setiap minggu di alun-alun utama.',
+  vi: 'Con sông chảy qua khu phố cổ và trong nhiều thế kỷ là một tuyến đường thương mại quan trọng. Ngày nay thành phố được biết đến với trường đại học, các bảo tàng và khu chợ lớn được tổ chức hằng tuần tại quảng trường chính.'
+};
 
 /**
  * Test script to verify the data pipeline works correctly
@@ -80,6 +114,466 @@ async function test() {
     console.log('✓ Export filtered working');
     console.log(`   Filtered count: ${filtered.length}\n`);
 
+    console.log('9. Testing target language normalization...');
+    const germanPipeline = new DataPipeline({ targetLanguages: ['de', 'French', 'eng'] });
+    if (germanPipeline.options.targetLanguages.join(',') !== 'deu,fra,eng') {
+      throw new Error('Target languages were not converted to ISO 639-3');
+    }
+    console.log('✓ Target languages normalized');
+    console.log(`   Target languages: ${germanPipeline.options.targetLanguages.join(', ')}\n`);
+
+    console.log('10. Testing MinHash near-duplicate detection...');
+    const minhashPipeline = new DataPipeline({
+      minTextLength: 50,
+      minWordCount: 10,
+      maxSymbolToWordRatio: 1.0,
+      dedupStrategy: 'minhash',
+      minhashThreshold: 0.7
+    });
+    const original = 'The history of the printing press begins in the fifteenth century. ' +
+      'Johannes Gutenberg developed a movable type system that made books far cheaper to produce. ' +
+      'Within a few decades printing workshops had spread to more than two hundred cities across Europe. ' +
+      'The new technology changed how knowledge was shared, stored and debated for centuries to come.';
+    const edited = original.replace('far cheaper', 'much cheaper').replace('two hundred', '200');
+    const different = 'Volcanoes form where magma from the mantle reaches the surface of the planet. ' +
+      'Eruptions can be explosive or effusive depending on the gas content and viscosity of the magma. ' +
+      'Scientists monitor ground deformation, gas emissions and small earthquakes to forecast activity. ' +
+      'Some volcanic islands, like Hawaii, grow slowly over millions of years above a hotspot.';
+    const minhashResults = await minhashPipeline.processBatch([
+      { url: 'http://test.com/original', filteredText: original },
+      { url: 'http://test.com/edited', filteredText: edited },
+      { url: 'http://test.com/different', filteredText: different }
+    ]);
+    const [first, copy, other] = minhashResults.results;
+    if (!first.pipeline.passed || copy.pipeline.passed || !other.pipeline.passed) {
+      throw new Error('Near-duplicate was not detected by MinHash');
+    }
+    if (copy.pipeline.metrics.minhashDuplication.representativeId !== 'http://test.com/original') {
+      throw new Error('Wrong cluster representative reported');
+    }
+    const minhashStats = minhashPipeline.getStats();
+    if (minhashStats.indexedDocuments !== 2 || minhashStats.uniqueNGrams !== undefined) {
+      throw new Error('Unexpected MinHash stats');
+    }
+    console.log('✓ Edited copy rejected as near-duplicate');
+    console.log(`   Similarity: ${(copy.pipeline.metrics.minhashDuplication.similarity * 100).toFixed(1)}%`);
+    console.log(`   Representative: ${copy.pipeline.metrics.minhashDuplication.representativeId}`);
+    console.log(`   Index memory: ${minhashStats.memoryUsage.estimatedMB.toFixed(4)} MB\n`);
+
+    console.log('11. Testing persistent dedup index...');
+    const ngramIndexFile = './output/test_ngram_index.json.gz';
+    const minhashIndexFile = './output/test_minhash_index.json';
+    await pipeline.saveIndex(ngramIndexFile);
+    await minhashPipeline.saveIndex(minhashIndexFile);
+
+    // A new run rejects documents accepted by the previous one
+    const nextRun = new DataPipeline({ minTextLength: 50, minWordCount: 10, ngramSize: 5, maxSymbolToWordRatio: 1.0 });
+    await nextRun.loadIndex(ngramIndexFile);
+    const repeated = await nextRun.processDocument(testDocuments[0]);
+    if (repeated.pipeline.passed || !repeated.pipeline.filters.duplicate) {
+      throw new Error('Document from a previous run was not rejected');
+    }
+
+    const nextMinhashRun = new DataPipeline({ minTextLength: 50, minWordCount: 10, maxSymbolToWordRatio: 1.0, dedupStrategy: 'minhash' });
+    await nextMinhashRun.loadIndex(minhashIndexFile);
+    await nextMinhashRun.loadIndex(minhashIndexFile); // merging the same index again is harmless
+    const repeatedMinhash = await nextMinhashRun.processDocument({ url: 'http://test.com/again', filteredText: different });
+    if (repeatedMinhash.pipeline.passed ||
+        repeatedMinhash.pipeline.metrics.minhashDuplication.representativeId !== 'http://test.com/different' ||
+        nextMinhashRun.minhash.size !== 2) {
+      throw new Error('MinHash index was not restored');
+    }
+
+    try {
+      await new DataPipeline({ ngramSize: 13 }).loadIndex(ngramIndexFile);
+      throw new Error('Incompatible index was accepted');
+    } catch (error) {
+      if (!error.message.includes('ngramSize')) {
+        throw error;
+      }
+    }
+    console.log('✓ N-gram and MinHash indices saved, loaded and merged');
+    console.log(`   Restored n-gram hashes: ${nextRun.getStats().uniqueNGrams}`);
+    console.log(`   Restored signatures: ${nextMinhashRun.getStats().indexedDocuments}\n`);
+
+    console.log('12. Testing C4 line cleaning...');
+    const cleaningPipeline = new DataPipeline({
+      minTextLength: 50,
+      minWordCount: 10,
+      maxSymbolToWordRatio: 1.0,
+      cleanLines: true
+    });
+    const noisyText = [
+      'The printing press was invented by Johannes Gutenberg around 1440.[1] It spread quickly across Europe.[2][citation needed]',
+      'Main page',
+      'Please enable JavaScript to view the comments.',
+      'This website uses cookies to improve your experience.',
+      'function init() { return true; }',
+      '',
+      'Printed books became cheaper, and literacy rose steadily in the following centuries as a result.'
+    ].join('\n');
+    const cleanedDoc = await cleaningPipeline.processDocument({ url: 'http://test.com/noisy', filteredText: noisyText });
+    const cleaning = cleanedDoc.pipeline.metrics.lineCleaning;
+    if (cleanedDoc.filteredText.includes('[1]') || cleanedDoc.filteredText.split('\n').length !== 3) {
+      throw new Error(`Unexpected cleaned text: ${JSON.stringify(cleanedDoc.filteredText)}`);
+    }
+    if (cleaning.removed.citations.chars !== 23 || cleaning.removed.javascript.lines !== 1 ||
+        cleaning.removed.policy.lines !== 1 || cleaning.removed.curlyBraces.lines !== 1 ||
+        cleaning.removed.terminalPunctuation.lines !== 1 || cleaning.linesAfter !== 2) {
+      throw new Error(`Unexpected line cleaning stats: ${JSON.stringify(cleaning.removed)}`);
+    }
+    console.log('✓ Offending lines and citation markers removed');
+    console.log(`   Lines: ${cleaning.linesBefore} → ${cleaning.linesAfter}, chars: ${cleaning.charsBefore} → ${cleaning.charsAfter}`);
+    for (const [rule, removed] of Object.entries(cleaning.removed)) {
+      console.log(`   ${rule}: ${removed.lines} lines, ${removed.chars} chars`);
+    }
+    console.log();
+
+    console.log('13. Testing paragraph deduplication...');
+    const paragraphPipeline = new DataPipeline({
+      minTextLength: 50,
+      minWordCount: 10,
+      maxSymbolToWordRatio: 1.0,
+      dedupParagraphs: true
+    });
+    const disclaimer = 'This article is licensed under the Creative Commons Attribution-ShareAlike License.';
+    const firstPage = await paragraphPipeline.processDocument({
+      url: 'http://test.com/rivers',
+      filteredText: [
+        'Rivers carry water from high ground towards the sea, shaping valleys along the way.',
+        'Large rivers support agriculture, transport and many of the oldest cities in the world.',
+        disclaimer
+      ].join('\n\n')
+    });
+    const secondPage = await paragraphPipeline.processDocument({
+      url: 'http://test.com/lakes',
+      filteredText: [
+        'Lakes are large bodies of water surrounded by land, usually fed by rivers and streams.',
+        '  this article is licensed under the Creative Commons  Attribution-ShareAlike License.',
+        'Many lakes formed at the end of the last ice age when glaciers retreated.',
+        'Many lakes formed at the end of the last ice age when glaciers retreated.'
+      ].join('\n\n')
+    });
+    const rejectedPage = await paragraphPipeline.processDocument({ url: 'http://test.com/copy', filteredText: disclaimer });
+    const paragraphStats = secondPage.pipeline.metrics.paragraphDuplication;
+    if (!firstPage.pipeline.passed || !secondPage.pipeline.passed) {
+      throw new Error('Documents with unique paragraphs were rejected');
+    }
+    if (paragraphStats.paragraphs !== 4 || paragraphStats.duplicateParagraphs !== 2 ||
+        secondPage.filteredText.includes('Creative Commons') || secondPage.filteredText.split('\n\n').length !== 2) {
+      throw new Error(`Unexpected paragraph deduplication: ${JSON.stringify(paragraphStats)}`);
+    }
+    if (rejectedPage.pipeline.passed || !rejectedPage.pipeline.filters.duplicate) {
+      throw new Error('Document made only of seen paragraphs was not rejected');
+    }
+    if (paragraphPipeline.getStats().uniqueParagraphs !== 5 || !paragraphPipeline.exportIndex().paragraphs) {
+      throw new Error('Paragraph hashes not tracked');
+    }
+    console.log('✓ Repeated paragraphs dropped, rest of the document kept');
+    console.log(`   Paragraphs: ${paragraphStats.paragraphs}, duplicates: ${paragraphStats.duplicateParagraphs}, removed chars: ${paragraphStats.removedChars}`);
+    console.log(`   Unique paragraphs: ${paragraphPipeline.getStats().uniqueParagraphs}\n`);
+
+    console.log('14. Testing the stage registry...');
+    registerStage({
+      name: 'wordList',
+      description: 'Reject documents containing blocked words',
+      options: {
+        words: { type: 'array', items: 'string', default: [] },
+        maxMatches: { type: 'integer', min: 0, default: 0 }
+      },
+      metrics: ['blockedWords'],
+      filters: ['blockedWords'],
+      process(text, { options }) {
+        const matches = text.toLowerCase().split(/\W+/).filter(word => options.words.includes(word)).length;
+        return { metrics: { blockedWords: matches }, filters: { blockedWords: matches > options.maxMatches } };
+      }
+    });
+    const stagedPipeline = new DataPipeline({
+      minTextLength: 50,
+      minWordCount: 10,
+      maxSymbolToWordRatio: 1.0,
+      stages: ['wordList', 'quality', 'language', 'duplicate'],
+      disabledStages: ['language'],
+      stageOptions: { wordList: { words: ['volcanoes', 'eruptions'] } }
+    });
+    const stageNames = stagedPipeline.describeStages().map(stage => stage.name);
+    if (stageNames.join(',') !== 'wordList,quality,duplicate') {
+      throw new Error(`Unexpected stages: ${stageNames.join(',')}`);
+    }
+    const blocked = await stagedPipeline.processDocument({ filteredText: different });
+    const allowed = await stagedPipeline.processDocument({ filteredText: 'Dies ist ein deutscher Text über Flüsse und Seen in Europa, geschrieben für einen kurzen Test.' });
+    if (blocked.pipeline.passed || !blocked.pipeline.filters.blockedWords || blocked.pipeline.metrics.blockedWords !== 2) {
+      throw new Error('Registered stage did not reject the document');
+    }
+    if (blocked.pipeline.metrics.textLength !== undefined) {
+      throw new Error('Stages after a failed stage should not run');
+    }
+    if (!allowed.pipeline.passed || allowed.pipeline.metrics.language) {
+      throw new Error('Disabled language stage still ran');
+    }
+    const stageErrors = [];
+    for (const options of [{ stages: ['quallity'] }, { stageOptions: { wordList: { maxMatch: 1 } }, stages: ['wordList'] }]) {
+      try {
+        new DataPipeline(options);
+      } catch (error) {
+        stageErrors.push(error.errors[0]);
+      }
+    }
+    if (!stageErrors[0]?.includes("did you mean 'quality'") || !stageErrors[1]?.includes("did you mean 'maxMatches'")) {
+      throw new Error(`Unexpected stage errors: ${JSON.stringify(stageErrors)}`);
+    }
+    console.log('✓ Third-party stage registered, stages reordered and disabled');
+    console.log(`   Stages: ${stageNames.join(' → ')}`);
+    stageErrors.forEach(message => console.log(`   ${message}`));
+    console.log();
+
+    console.log('15. Testing Gopher repetition heuristics...');
+    const repeatedLine = 'Click here to read the full story and to share it with your friends.';
+    const gopher = gopherMetrics([repeatedLine, repeatedLine, 'A different line.', repeatedLine].join('\n'), ['the', 'and', 'to']);
+    if (gopher.duplicateLineFraction !== 0.5 || gopher.duplicate5GramCharFraction <= 0.5 || gopher.stopwordCount !== 12) {
+      throw new Error(`Unexpected Gopher metrics: ${JSON.stringify(gopher)}`);
+    }
+    if (gopherMetrics('one two one two three', null).top2GramCharFraction !== 12 / 17) {
+      throw new Error('Unexpected top 2-gram character fraction');
+    }
+    // The Gopher stage is opt-in; it uses stopwords of the first target language
+    const gopherPipeline = new DataPipeline({ stages: ['lineCleaning', 'paragraphDedup', 'pii', 'gopher', 'tokens', 'duplicate'] });
+    const spam = await gopherPipeline.processDocument({
+      filteredText: Array(6).fill('Buy cheap watches online today, the best watches with free shipping.').join('\n\n')
+    });
+    const noStopwords = await gopherPipeline.processDocument({
+      filteredText: 'Gutenberg printing press: movable metal type, oil-based ink, wooden screw press. ' +
+        'Fifteenth century Mainz workshop. Rapid European spread; hundreds cities, millions volumes printed.'
+    });
+    const numbers = await gopherPipeline.processDocument({
+      filteredText: 'The totals were 12 14 16 18 20 22 24 26 28 30 32 34 and 36 with the sum 300 noted in 1999 by the clerk.'
+    });
+    if (spam.pipeline.passed || !spam.pipeline.filters.duplicateLines || !spam.pipeline.filters.duplicateParagraphs ||
+        !spam.pipeline.filters.repetitiveNGrams) {
+      throw new Error(`Repetitive document not rejected: ${JSON.stringify(spam.pipeline.filters)}`);
+    }
+    if (noStopwords.pipeline.passed || !noStopwords.pipeline.filters.tooFewStopwords) {
+      throw new Error('Document without stopwords not rejected');
+    }
+    if (numbers.pipeline.passed || !numbers.pipeline.filters.tooFewAlphabeticWords) {
+      throw new Error('Document with mostly non-alphabetic words not rejected');
+    }
+    console.log('✓ Repetitive, stopword-free and non-alphabetic documents rejected');
+    console.log(`   Duplicate line fraction: ${spam.pipeline.metrics.duplicateLineFraction.toFixed(2)}`);
+    console.log(`   Duplicated 5-gram char fraction: ${spam.pipeline.metrics.duplicate5GramCharFraction.toFixed(2)}`);
+    console.log(`   Stopwords: ${noStopwords.pipeline.metrics.stopwordCount}, alphabetic words: ${numbers.pipeline.metrics.alphabeticWordRatio.toFixed(2)}\n`);
+
+    console.log('16. Testing PII detection and redaction...');
+    const contactText = 'The museum archive answers questions by email at archive@museum.example.org or by phone on +44 20 7946 0958. ' +
+      'Its catalogue server at 192.168.10.20 was replaced in 2019, and donations with card 4111 1111 1111 1111 are no longer accepted. ' +
+      'Staff ID numbers such as EMP-20417 are kept private as well.';
+    const piiOptions = { minTextLength: 50, minWordCount: 10, maxSymbolToWordRatio: 1.0, maxDigitRatio: 1.0, maxUppercaseRatio: 1.0, piiPatterns: { staffId: '\\bEMP-\\d{5}\\b' } };
+    const redactedDoc = await new DataPipeline({ ...piiOptions, piiAction: 'redact' }).processDocument({ filteredText: contactText });
+    const droppedDoc = await new DataPipeline({ ...piiOptions, piiAction: 'drop' }).processDocument({ filteredText: contactText });
+    const piiCounts = redactedDoc.pipeline.metrics.pii;
+    if (!redactedDoc.pipeline.passed || piiCounts.total !== 5 || piiCounts.email !== 1 || piiCounts.phone !== 1 ||
+        piiCounts.ipAddress !== 1 || piiCounts.creditCard !== 1 || piiCounts.staffId !== 1) {
+      throw new Error(`Unexpected PII counts: ${JSON.stringify(piiCounts)}`);
+    }
+    if (/archive@|7946|192\.168|4111|EMP-/.test(redactedDoc.filteredText) || !redactedDoc.filteredText.includes('<STAFF_ID>') ||
+        !redactedDoc.filteredText.includes('2019')) {
+      throw new Error(`Unexpected redacted text: ${redactedDoc.filteredText}`);
+    }
+    if (droppedDoc.pipeline.passed || !droppedDoc.pipeline.filters.pii || droppedDoc.filteredText !== contactText) {
+      throw new Error('Document with PII was not dropped');
+    }
+    try {
+      new DataPipeline({ piiPatterns: { broken: '(' } });
+      throw new Error('Invalid PII pattern was accepted');
+    } catch (error) {
+      if (!error.errors || !error.errors[0].startsWith("pii: Invalid PII pattern for 'broken'")) {
+        throw error;
+      }
+    }
+    console.log('✓ PII redacted with placeholders, or the document dropped');
+    console.log(`   Counts: ${Object.entries(piiCounts).filter(([type]) => type !== 'action').map(([type, count]) => `${type}=${count}`).join(', ')}`);
+    console.log(`   Redacted: ${redactedDoc.filteredText.slice(0, 110)}...\n`);
+
+    console.log('17. Testing dry-run analysis...');
+    const summary = summarize([4, 1, 3, 2, 5], 2);
+    if (summary.percentiles.p50 !== 3 || summary.percentiles.p25 !== 2 || summary.mean !== 3 ||
+        summary.histogram.map(bin => bin.count).join(',') !== '2,3') {
+      throw new Error(`Unexpected summary: ${JSON.stringify(summary)}`);
+    }
+    const analysisPipeline = new DataPipeline({
+      minTextLength: 50,
+      minWordCount: 10,
+      maxSymbolToWordRatio: 1.0,
+      stages: ['lineCleaning', 'paragraphDedup', 'pii', 'language', 'quality', 'gopher', 'tokens', 'duplicate']
+    });
+    const analysisDocs = [
+      { url: 'http://test.com/a', filteredText: original },
+      { url: 'http://test.com/b', filteredText: original },
+      { url: 'http://test.com/c', filteredText: 'This page has been removed.' },
+      { url: 'http://test.com/d', filteredText: different }
+    ];
+    const analysis = await analysisPipeline.analyzeBatch(analysisDocs, {
+      scenarios: { lenient: { minTextLength: 5, minWordCount: 1, minStopwords: 0 } }
+    });
+    // The quality stage rejects the short document first, but the later Gopher stage is still evaluated
+    const stopwordReport = analysis.filters.tooFewStopwords;
+    if (analysis.passed !== 2 || analysis.filters.duplicate.only !== 1 || analysis.filters.tooFewWords.first !== 1 ||
+        !stopwordReport || stopwordReport.first !== 0 || stopwordReport.examples[0].id !== 'http://test.com/c' ||
+        !stopwordReport.examples[0].failedFilters.includes('tooShort')) {
+      throw new Error(`Unexpected analysis: ${JSON.stringify(analysis.filters)}`);
+    }
+    if (analysis.metrics.wordCount.count !== 4 || analysis.metrics['language.confidence'] === undefined) {
+      throw new Error('Metric distributions missing');
+    }
+    if (analysis.scenarios.lenient.passed !== 3 || analysis.scenarios.lenient.change !== 0.25) {
+      throw new Error(`Unexpected scenario: ${JSON.stringify(analysis.scenarios.lenient)}`);
+    }
+    if (analysisPipeline.getStats().uniqueNGrams !== 0 || analysisPipeline.processedDocuments !== 0) {
+      throw new Error('Dry run changed the dedup state');
+    }
+    console.log('✓ Every filter evaluated without changing the dedup state');
+    console.log(`   Would pass: ${analysis.passed}/${analysis.total}, lenient scenario: ${analysis.scenarios.lenient.passed}/${analysis.total}`);
+    console.log(`   Word count p50: ${analysis.metrics.wordCount.percentiles.p50}, filters: ${Object.keys(analysis.filters).join(', ')}\n`);
+
+    console.log('18. Testing token counts and chunking...');
+    // A tiny byte-level vocabulary: 'Ġ' stands for a leading space
+    const tokenizerFile = './output/test_tokenizer.json';
+    await fs.mkdir('./output', { recursive: true });
+    await fs.writeFile(tokenizerFile, JSON.stringify({
+      pre_tokenizer: { type: 'ByteLevel' },
+      model: {
+        type: 'BPE',
+        vocab: { t: 0, h: 1, e: 2, m: 3, th: 4, the: 5, 'Ġ': 6, 'Ġt': 7, 'Ġth': 8, 'Ġthe': 9 },
+        merges: ['Ġ t', 'Ġt h', 'Ġth e', 't h', 'th e']
+      }
+    }));
+    const tokenizer = BpeTokenizer.fromFile(tokenizerFile);
+    if (tokenizer.count('the the') !== 2 || tokenizer.encode('them the').join(',') !== '5,3,9') {
+      throw new Error(`Unexpected tokens: ${tokenizer.encode('them the')}`);
+    }
+    const tokenOptions = { minTextLength: 50, minWordCount: 10, maxSymbolToWordRatio: 1.0, tokenizerFile };
+    const tokenCount = tokenizer.count(original);
+    const counted = await new DataPipeline(tokenOptions).processDocument({ filteredText: original });
+    const tooLong = await new DataPipeline({ ...tokenOptions, maxTokens: tokenCount - 1 }).processDocument({ filteredText: original });
+    const tooShort = await new DataPipeline({ ...tokenOptions, minTokens: tokenCount + 1 }).processDocument({ filteredText: original });
+    if (!counted.pipeline.passed || counted.pipeline.metrics.tokenCount !== tokenCount ||
+        !tooLong.pipeline.filters.tooManyTokens || !tooShort.pipeline.filters.tooFewTokens) {
+      throw new Error(`Unexpected token filters: ${JSON.stringify(counted.pipeline.metrics)}`);
+    }
+    const chunkPipeline = new DataPipeline({ ...tokenOptions, chunkTokens: 40, chunkOverlap: 10 });
+    const chunks = chunkPipeline.exportFiltered([await chunkPipeline.processDocument({ url: 'http://test.com/long', filteredText: original })]);
+    if (chunks.length < 2 || chunks.some((chunk, index) => chunk.chunk.index !== index || chunk.chunk.count !== chunks.length ||
+        chunk.chunk.tokens > 40 || chunk.url !== 'http://test.com/long')) {
+      throw new Error(`Unexpected chunks: ${JSON.stringify(chunks.map(chunk => chunk.chunk))}`);
+    }
+    // Each chunk starts with the last words of the previous one
+    const lastWord = chunks[0].filteredText.split(' ').pop();
+    if (!chunks[1].filteredText.split(' ').slice(0, 10).includes(lastWord)) {
+      throw new Error('Chunks do not overlap');
+    }
+    try {
+      new DataPipeline({ tokenizerFile: './output/missing_tokenizer.json' });
+      throw new Error('Missing tokenizer file was accepted');
+    } catch (error) {
+      if (!error.errors || !error.errors[0].startsWith('tokenizerFile:')) {
+        throw error;
+      }
+    }
+    console.log('✓ Token counts, token filters and overlapping chunks');
+    console.log(`   Tokens: ${tokenCount} (${counted.pipeline.metrics.charsPerToken.toFixed(2)} chars/token)`);
+    console.log(`   Chunks: ${chunks.map(chunk => chunk.chunk.tokens).join(', ')} tokens\n`);
+
+    console.log('19. Testing language detection for every wiki language...');
+    const missingSamples = Object.keys(WIKI_LANGUAGES).filter(code => !LANGUAGE_SAMPLES[code]);
+    if (missingSamples.length > 0) {
+      throw new Error(`No sample text for: ${missingSamples.join(', ')}`);
+    }
+    for (const [code, text] of Object.entries(LANGUAGE_SAMPLES)) {
+      const languagePipeline = new DataPipeline({ targetLanguages: [code], stages: ['language'] });
+      const checked = await languagePipeline.processDocument({ url: `https://${code}.wikipedia.org/wiki/Sample`, filteredText: text });
+      if (!checked.pipeline.passed) {
+        const detected = checked.pipeline.metrics.language.detected;
+        throw new Error(`${code} page rejected: detected ${detected}, expected ${WIKI_LANGUAGES[code].iso6393}`);
+      }
+    }
+    if (DETECTABLE_LANGUAGES.has('xyz') || !DETECTABLE_LANGUAGES.has('ell')) {
+      throw new Error('Unexpected detectable languages');
+    }
+    console.log('✓ A sample page in each wiki language passes the language stage');
+    console.log(`   Languages: ${Object.values(WIKI_LANGUAGES).map(info => info.iso6393).join(', ')}\n`);
+
+    console.log('20. Testing Markdown articles with the default thresholds...');
+    const articleBlocks = htmlToBlocks(`<p>The <b>printing press</b> is a mechanical device for applying pressure to an inked surface resting upon a print medium, such as paper or cloth, thereby transferring the ink.</p>
+<h2>History</h2>
+<p>Johannes Gutenberg developed his printing press around 1440 in Mainz, combining movable metal type with an oil-based ink and a wooden screw press adapted from wine presses.</p>
+<h3>Spread</h3>
+<p>Within several decades the invention had spread to more than two hundred cities in a dozen European countries, and printers produced millions of volumes by 1500.</p>
+<ul><li>Movable metal type cast in a hand mould</li><li>Oil-based ink that stuck to metal</li><li>A screw press adapted from wine presses</li></ul>
+<h2>Output</h2>
+<table><caption>Estimated output in Europe</caption><tr><th>Century</th><th>Books</th></tr><tr><td>15th</td><td>20 million</td></tr><tr><td>16th</td><td>200 million</td></tr></table>
+<p>The rapid growth of printing changed how knowledge was recorded and shared, and it is often described as one of the most influential events of the second millennium.</p>
+<p>Printing also encouraged the standardisation of spelling and grammar, because the same text now reached readers in many towns at once.</p>`);
+    // jusText keeps every block of this article
+    const keptParagraphs = articleBlocks
+      .flatMap(block => block.type === 'table' ? [block.caption, ...block.rows.flat()] : [block.text])
+      .map(text => ({ text, classType: 'good' }));
+    const markdown = renderMarkdown(articleBlocks, keptParagraphs);
+    const markdownPipeline = new DataPipeline({
+      stages: ['lineCleaning', 'paragraphDedup', 'pii', 'language', 'quality', 'gopher', 'tokens', 'duplicate']
+    });
+    const article = await markdownPipeline.processDocument(
+      { url: 'http://test.com/printing-press', filteredText: markdown, format: 'markdown' },
+      { evaluateAll: true }
+    );
+    if (!article.pipeline.passed || article.filteredText !== markdown) {
+      throw new Error(`Markdown article rejected: ${JSON.stringify(article.pipeline.filters)}`);
+    }
+    // Measured on the raw Markdown, the headings, bullets and table rows failed the article
+    const rawMetrics = markdownPipeline.calculateMetrics(markdown);
+    if (!Object.values(markdownPipeline.applyQualityFilters(markdown, rawMetrics)).some(Boolean)) {
+      throw new Error('Raw Markdown expected to fail the quality filters');
+    }
+    console.log('✓ Quality and Gopher metrics computed without the Markdown markup, the Markdown output kept');
+    console.log(`   Symbols per word: ${article.pipeline.metrics.symbolToWordRatio.toFixed(3)} (raw Markdown: ${rawMetrics.symbolToWordRatio.toFixed(3)})\n`);
+
+    console.log('21. Testing line cleaning and paragraph dedup on Markdown...');
+    const structurePipeline = new DataPipeline({
+      minTextLength: 50,
+      minWordCount: 10,
+      cleanLines: true,
+      dedupParagraphs: true,
+      stages: ['lineCleaning', 'paragraphDedup']
+    });
+    const firstArticle = await structurePipeline.processDocument({ url: 'http://test.com/press', format: 'markdown', filteredText: markdown });
+    const cleanedLines = firstArticle.filteredText.split('\n');
+    const structureLines = markdown.split('\n').filter(line => /^\s*(#|\||- )/.test(line));
+    // Only the table caption, a line without terminal punctuation, is dropped
+    if (!firstArticle.pipeline.passed || structureLines.some(line => !cleanedLines.includes(line)) ||
+        cleanedLines.includes('Estimated output in Europe')) {
+      throw new Error(`Markdown structure not kept by line cleaning:\n${firstArticle.filteredText}`);
+    }
+    const secondArticle = await structurePipeline.processDocument({
+      url: 'http://test.com/presses',
+      format: 'markdown',
+      filteredText: [
+        '## History',
+        'Printing also encouraged the standardisation of spelling and grammar, because the same text now reached readers in many towns at once.',
+        '| Century | Books |\n| --- | --- |\n| 17th | 9900 |',
+        'Rotary presses later printed newspapers from curved plates at far higher speeds.'
+      ].join('\n\n')
+    });
+    const expectedSecond = [
+      '## History',
+      '| Century | Books |\n| --- | --- |\n| 17th | 9900 |',
+      'Rotary presses later printed newspapers from curved plates at far higher speeds.'
+    ].join('\n\n');
+    if (!secondArticle.pipeline.passed || secondArticle.filteredText !== expectedSecond ||
+        secondArticle.pipeline.metrics.paragraphDuplication.duplicateParagraphs !== 1) {
+      throw new Error(`Unexpected deduplicated Markdown:\n${secondArticle.filteredText}`);
+    }
+    console.log('✓ Headings, list items and table rows kept; repeated blocks removed whole, tables left intact');
+    console.log(`   Lines after cleaning: ${firstArticle.pipeline.metrics.lineCleaning.linesAfter}/${firstArticle.pipeline.metrics.lineCleaning.linesBefore}\n`);
+
     console.log('=== All Tests Passed! ===');
 
   } catch (error) {
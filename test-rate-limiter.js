@@ -0,0 +1,103 @@
+import RateLimiter from './src/rate-limiter.js';
+
+/**
+ * Test script to verify per-host token buckets and adaptive throttling
+ */
+async function test() {
+  console.log('=== Testing Rate Limiter ===\n');
+
+  const docs = 'https://docs.example.com/page';
+  const wiki = 'https://en.wikipedia.org/wiki/Page';
+
+  try {
+    console.log('1. Testing token bucket pacing...');
+    const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 3 });
+    const started = Date.now();
+    const times = [];
+    await Promise.all(Array.from({ length: 6 }, () => limiter.acquire(docs).then(() => times.push(Date.now() - started))));
+    times.sort((a, b) => a - b);
+    // The burst goes out at once, then one request every 50ms
+    if (times[2] > 30 || times[5] < 130 || times[5] > 400) {
+      throw new Error(`Unexpected request times: ${times.join(', ')}ms`);
+    }
+    const otherStart = Date.now();
+    await limiter.acquire(wiki);
+    if (Date.now() - otherStart > 30) {
+      throw new Error('Hosts should have separate buckets');
+    }
+    console.log('✓ Burst sent at once, later requests paced, hosts independent');
+    console.log(`   Request times: ${times.join(', ')}ms\n`);
+
+    console.log('2. Testing slowdown on 429/503...');
+    const adaptive = new RateLimiter({ requestsPerSecond: 4 });
+    adaptive.record(docs, { ok: false, status: 429, latency: 20 });
+    adaptive.record(docs, { ok: false, status: 503, latency: 20 });
+    let stats = adaptive.getStats()['docs.example.com'];
+    // Concurrent throttled responses only slow the host down once
+    if (stats.requestsPerSecond !== 2 || stats.throttled !== 2 || stats.slowdowns !== 1) {
+      throw new Error(`Unexpected stats after 429: ${JSON.stringify(stats)}`);
+    }
+    adaptive.record(docs, { ok: false, status: 404, latency: 20 });
+    adaptive.record(docs, { ok: false, status: null, latency: 20 });
+    if (adaptive.getStats()['docs.example.com'].requestsPerSecond !== 2) {
+      throw new Error('Failed requests should not speed the host up');
+    }
+    console.log('✓ Rate halved once per burst of throttled responses');
+    console.log(`   docs.example.com: ${stats.requestsPerSecond}/${stats.targetRequestsPerSecond} requests/s\n`);
+
+    console.log('3. Testing recovery on healthy responses...');
+    for (let i = 0; i < 5; i++) {
+      adaptive.record(docs, { ok: true, status: 200, latency: 20 });
+    }
+    stats = adaptive.getStats()['docs.example.com'];
+    if (stats.requestsPerSecond !== 4) {
+      throw new Error(`Expected the rate back at 4/s, got ${stats.requestsPerSecond}`);
+    }
+    for (let i = 0; i < 5; i++) {
+      adaptive.record(docs, { ok: true, status: 200, latency: 20 });
+    }
+    if (adaptive.getStats()['docs.example.com'].requestsPerSecond !== 4) {
+      throw new Error('Rate grew past requestsPerSecond');
+    }
+    console.log('✓ Rate grows back to requestsPerSecond and no further\n');
+
+    console.log('4. Testing slowdown on rising latency...');
+    const latency = new RateLimiter({ requestsPerSecond: 2 });
+    [100, 110, 90, 100].forEach(ms => latency.record(wiki, { status: 200, latency: ms }));
+    if (latency.getStats()['en.wikipedia.org'].slowdowns !== 0) {
+      throw new Error('Steady latency should not slow the host down');
+    }
+    [400, 600].forEach(ms => latency.record(wiki, { status: 200, latency: ms }));
+    stats = latency.getStats()['en.wikipedia.org'];
+    if (stats.slowdowns !== 1 || stats.requestsPerSecond !== 1) {
+      throw new Error(`Unexpected stats after slow responses: ${JSON.stringify(stats)}`);
+    }
+    const fixed = new RateLimiter({ requestsPerSecond: 2, adaptive: false });
+    fixed.record(wiki, { ok: false, status: 429, latency: 100 });
+    if (fixed.getStats()['en.wikipedia.org'].requestsPerSecond !== 2) {
+      throw new Error('Rate changed with adaptive: false');
+    }
+    console.log('✓ Rising latency slows the host down, adaptive: false keeps the rate');
+    console.log(`   Latency: ${stats.latency}ms, rate: ${stats.requestsPerSecond} requests/s\n`);
+
+    console.log('5. Testing host limits...');
+    const capped = new RateLimiter({ requestsPerSecond: 5, minRequestsPerSecond: 1 });
+    // robots.txt Crawl-delay: 2 allows 0.5 requests per second
+    capped.limitHost(docs, 0.5);
+    capped.record(docs, { ok: false, status: 429 });
+    stats = capped.getStats()['docs.example.com'];
+    if (stats.targetRequestsPerSecond !== 0.5 || stats.requestsPerSecond !== 0.5) {
+      throw new Error(`Unexpected capped stats: ${JSON.stringify(stats)}`);
+    }
+    console.log('✓ Host limits lower the target, minimum rate never exceeds it\n');
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+test();
@@ -0,0 +1,76 @@
+import { parseRobotsTxt, isPathAllowed } from './src/robots.js';
+
+/**
+ * Test script to verify robots.txt parsing and rule matching
+ */
+function test() {
+  console.log('=== Testing robots.txt Parser ===\n');
+
+  const robotsTxt = `
+# Example robots.txt
+User-agent: *
+Disallow: /w/
+Disallow: /wiki/Special:
+Allow: /w/load.php
+Crawl-delay: 2
+
+User-agent: WikipediaCrawler
+User-agent: OtherBot
+Disallow: /private
+Disallow: /*.pdf$
+Allow: /private/public
+Crawl-delay: 5
+`;
+
+  try {
+    console.log('1. Testing group selection...');
+    const generic = parseRobotsTxt(robotsTxt, 'SomeOtherCrawler');
+    const specific = parseRobotsTxt(robotsTxt, 'WikipediaCrawler');
+    if (generic.rules.length !== 3 || specific.rules.length !== 3) {
+      throw new Error('Wrong group selected');
+    }
+    console.log('✓ Agent-specific group preferred over *');
+    console.log(`   Generic rules: ${generic.rules.length}, specific rules: ${specific.rules.length}\n`);
+
+    console.log('2. Testing Crawl-delay...');
+    if (generic.crawlDelay !== 2 || specific.crawlDelay !== 5) {
+      throw new Error(`Unexpected crawl delays: ${generic.crawlDelay}, ${specific.crawlDelay}`);
+    }
+    console.log('✓ Crawl-delay parsed per group\n');
+
+    console.log('3. Testing path matching...');
+    const cases = [
+      [generic.rules, '/wiki/Web_scraping', true],
+      [generic.rules, '/w/index.php?title=X', false],
+      [generic.rules, '/w/load.php', true],
+      [generic.rules, '/wiki/Special:Random', false],
+      [specific.rules, '/private/data', false],
+      [specific.rules, '/private/public/page', true],
+      [specific.rules, '/files/report.pdf', false],
+      [specific.rules, '/files/report.pdf.html', true]
+    ];
+    for (const [rules, path, expected] of cases) {
+      if (isPathAllowed(rules, path) !== expected) {
+        throw new Error(`Expected ${path} to be ${expected ? 'allowed' : 'disallowed'}`);
+      }
+    }
+    console.log('✓ Longest match wins, Allow wins ties, wildcards and $ supported');
+    console.log(`   Checked ${cases.length} paths\n`);
+
+    console.log('4. Testing empty robots.txt...');
+    const empty = parseRobotsTxt('', 'WikipediaCrawler');
+    if (!isPathAllowed(empty.rules, '/anything') || empty.crawlDelay !== null) {
+      throw new Error('Empty robots.txt should allow everything');
+    }
+    console.log('✓ Empty robots.txt allows everything\n');
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+test();
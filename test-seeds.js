@@ -0,0 +1,166 @@
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import SeedGenerator, { parseSitemap, parseTitleList } from './src/seeds.js';
+
+/**
+ * Test script to verify seed discovery from sitemaps, categories and title
+ * lists against a local stub server
+ */
+
+// Category members by category title, as [namespace, title] pairs
+const CATEGORIES = {
+  'Category:Machine learning': [[0, 'Deep learning'], [14, 'Category:Neural networks'], [0, 'Supervised learning']],
+  // Links back to its parent: categories may form cycles
+  'Category:Neural networks': [[0, 'Perceptron'], [14, 'Category:Machine learning'], [14, 'Category:Recurrent networks']],
+  'Category:Recurrent networks': [[0, 'Long short-term memory']]
+};
+
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const origin = `http://${req.headers.host}`;
+
+    if (url.pathname === '/sitemap_index.xml') {
+      res.setHeader('Content-Type', 'application/xml');
+      res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>${origin}/sitemap-docs.xml.gz</loc></sitemap>
+  <sitemap><loc>/sitemap-missing.xml</loc></sitemap>
+  <sitemap><loc>${origin}/sitemap-blog.xml</loc></sitemap>
+</sitemapindex>`);
+      return;
+    }
+
+    // Served as a gzip file, not with Content-Encoding
+    if (url.pathname === '/sitemap-docs.xml.gz') {
+      res.setHeader('Content-Type', 'application/x-gzip');
+      res.end(zlib.gzipSync(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>${origin}/docs/intro</loc><lastmod>2024-01-01</lastmod></url>
+<url><loc>${origin}/docs/search?q=a&amp;page=2</loc></url>
+</urlset>`));
+      return;
+    }
+
+    if (url.pathname === '/sitemap-blog.xml') {
+      res.setHeader('Content-Type', 'application/xml');
+      res.end(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc><![CDATA[${origin}/blog/first-post]]></loc></url>
+<url><loc>${origin}/docs/intro</loc></url>
+</urlset>`);
+      return;
+    }
+
+    // Returns two members per request to exercise continuation
+    if (url.pathname === '/w/api.php') {
+      const members = (CATEGORIES[url.searchParams.get('cmtitle')] || []).map(([ns, title]) => ({ ns, title }));
+      const start = Number(url.searchParams.get('cmcontinue') || 0);
+      const data = { batchcomplete: true, query: { categorymembers: members.slice(start, start + 2) } };
+      if (start + 2 < members.length) {
+        data.continue = { cmcontinue: String(start + 2), continue: '-||' };
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(data));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function test() {
+  console.log('=== Testing Seed Discovery ===\n');
+
+  const server = await startStubServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const paths = urls => urls.map(url => url.replace(origin, '')).join(',');
+
+  try {
+    console.log('1. Testing sitemap parsing...');
+    const index = parseSitemap('<sitemapindex><sitemap><loc> https://example.com/a.xml </loc></sitemap></sitemapindex>');
+    const urlset = parseSitemap('<ns:urlset><ns:url><ns:loc>https://example.com/?a=1&amp;b=2</ns:loc></ns:url></ns:urlset>');
+    if (index.type !== 'index' || index.urls[0] !== 'https://example.com/a.xml' ||
+        urlset.type !== 'urlset' || urlset.urls[0] !== 'https://example.com/?a=1&b=2') {
+      throw new Error(`Unexpected sitemaps: ${JSON.stringify([index, urlset])}`);
+    }
+    try {
+      parseSitemap('<html><body>Not found</body></html>');
+      throw new Error('HTML page accepted as a sitemap');
+    } catch (error) {
+      if (!error.message.startsWith('Not a sitemap')) {
+        throw error;
+      }
+    }
+    console.log('✓ Sitemap indexes, URL sets and prefixed tags parsed\n');
+
+    console.log('2. Testing sitemap expansion...');
+    const generator = new SeedGenerator({ wiki: origin });
+    const sitemapSeeds = await generator.fromSitemap(`${origin}/sitemap_index.xml`);
+    if (paths(sitemapSeeds) !== '/docs/intro,/docs/search?q=a&page=2,/blog/first-post') {
+      throw new Error(`Unexpected sitemap seeds: ${paths(sitemapSeeds)}`);
+    }
+    const docsOnly = await new SeedGenerator({ include: ['/docs/'], maxUrls: 1 }).fromSitemap(`${origin}/sitemap_index.xml`);
+    if (paths(docsOnly) !== '/docs/intro') {
+      throw new Error(`include or maxUrls ignored: ${paths(docsOnly)}`);
+    }
+    let missing = null;
+    try {
+      await generator.fromSitemap(`${origin}/sitemap-missing.xml`);
+    } catch (error) {
+      missing = error;
+    }
+    if (!missing || !missing.message.includes('HTTP 404')) {
+      throw new Error('A missing top-level sitemap should fail');
+    }
+    console.log('✓ Gzipped sitemaps and indexes expanded, broken child sitemaps skipped');
+    console.log(`   Seeds: ${paths(sitemapSeeds)}\n`);
+
+    console.log('3. Testing category expansion...');
+    const direct = await generator.fromCategory('Machine learning', 0);
+    if (paths(direct) !== '/wiki/Deep_learning,/wiki/Supervised_learning') {
+      throw new Error(`Unexpected direct members: ${paths(direct)}`);
+    }
+    const deep = await generator.fromCategory(`${origin}/wiki/Category:Machine_learning`, 5);
+    if (paths(deep) !== '/wiki/Deep_learning,/wiki/Supervised_learning,/wiki/Perceptron,/wiki/Long_short-term_memory') {
+      throw new Error(`Unexpected recursive members: ${paths(deep)}`);
+    }
+    const oneLevel = await generator.fromCategory('Category:Machine learning');
+    if (oneLevel.length !== 3) {
+      throw new Error(`categoryDepth default not applied: ${paths(oneLevel)}`);
+    }
+    console.log('✓ Subcategories followed to the depth limit, continuation and cycles handled');
+    console.log(`   Depth 0: ${direct.length}, depth 1: ${oneLevel.length}, all: ${deep.length}\n`);
+
+    console.log('4. Testing title lists...');
+    const urls = parseTitleList('# AI topics\nMachine learning\n\nC++\nhttps://de.wikipedia.org/wiki/Lernen\n', 'https://en.wikipedia.org');
+    if (urls.join(',') !== 'https://en.wikipedia.org/wiki/Machine_learning,https://en.wikipedia.org/wiki/C%2B%2B,https://de.wikipedia.org/wiki/Lernen') {
+      throw new Error(`Unexpected title URLs: ${urls.join(', ')}`);
+    }
+    const titlesFile = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'seeds-')), 'titles.txt');
+    await fs.writeFile(titlesFile, 'Perceptron\nPerceptron\nDeep learning\n');
+    const fileSeeds = await generator.fromTitleFile(titlesFile);
+    if (paths(fileSeeds) !== '/wiki/Perceptron,/wiki/Deep_learning') {
+      throw new Error(`Unexpected title file seeds: ${paths(fileSeeds)}`);
+    }
+    await fs.rm(path.dirname(titlesFile), { recursive: true });
+    console.log('✓ Titles turned into URLs on the configured wiki, comments and duplicates skipped\n');
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+test();
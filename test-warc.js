@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import WarcWriter, { formatWarcRecord, readWarcRecords, readArchive, listWarcFiles } from './src/warc.js';
+
+/**
+ * Test script to verify the WARC archive written by the crawler and read back for replay
+ */
+
+const PAGE_HTML = '<html><head><title>Ignored</title></head><body><p>Café – naïve text</p></body></html>';
+
+// A fetcher response as returned by HttpFetcher after a redirect
+const RESPONSE = {
+  url: 'https://docs.example.com/guide/install.html',
+  status: 200,
+  headers: {
+    'content-type': 'text/html; charset=iso-8859-1',
+    'content-encoding': 'gzip',
+    'content-length': '123',
+    'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT'
+  },
+  title: 'Install\n& setup',
+  html: PAGE_HTML
+};
+
+async function test() {
+  console.log('=== Testing WARC Archive ===\n');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'warc-'));
+
+  try {
+    console.log('1. Testing record round trip...');
+    const block = Buffer.from('a\r\n\r\nb');
+    const record = formatWarcRecord({ 'WARC-Type': 'resource', 'WARC-Target-URI': 'https://example.com/' }, block);
+    const plainFile = path.join(dir, 'plain.warc');
+    const gzipFile = path.join(dir, 'whole.warc.gz');
+    await fs.writeFile(plainFile, Buffer.concat([record, record]));
+    // Compressed as a whole rather than one gzip member per record
+    await fs.writeFile(gzipFile, zlib.gzipSync(Buffer.concat([record, record])));
+    for (const file of [plainFile, gzipFile]) {
+      const records = [];
+      for await (const { fields, content } of readWarcRecords(file)) {
+        records.push({ fields, content });
+      }
+      if (records.length !== 2 || records[1].fields['warc-target-uri'] !== 'https://example.com/' ||
+          !records[1].content.equals(block)) {
+        throw new Error(`Unexpected records in ${path.basename(file)}: ${JSON.stringify(records)}`);
+      }
+    }
+    await fs.writeFile(plainFile, record.subarray(0, record.length - 8));
+    let truncated = null;
+    try {
+      for await (const _record of readWarcRecords(plainFile)) {
+        // Reading is enough
+      }
+    } catch (error) {
+      truncated = error;
+    }
+    if (!truncated || !truncated.message.startsWith('Truncated WARC record')) {
+      throw new Error('A truncated file should fail');
+    }
+    await fs.rm(plainFile);
+    await fs.rm(gzipFile);
+    console.log('✓ Records written and read back, plain and gzipped, truncation detected\n');
+
+    console.log('2. Testing archived responses...');
+    const archiveDir = path.join(dir, 'archive');
+    const writer = new WarcWriter(archiveDir);
+    await writer.writeResponse('https://docs.example.com/guide/', RESPONSE);
+    await writer.writeResponse('https://docs.example.com/faq', { ...RESPONSE, url: 'https://docs.example.com/faq', title: null, headers: undefined });
+    const files = await writer.close();
+    if (files.length !== 1 || path.basename(files[0]) !== 'crawl-00001.warc.gz') {
+      throw new Error(`Unexpected files: ${files.join(', ')}`);
+    }
+
+    const types = [];
+    for await (const { fields } of readWarcRecords(files[0])) {
+      types.push(fields['warc-type']);
+    }
+    if (types.join(',') !== 'warcinfo,response,metadata,response,metadata') {
+      throw new Error(`Unexpected record types: ${types.join(',')}`);
+    }
+
+    const responses = [];
+    for await (const response of readArchive([archiveDir])) {
+      responses.push(response);
+    }
+    const [page, faq] = responses;
+    if (responses.length !== 2 || page.url !== RESPONSE.url || page.requestedUrl !== 'https://docs.example.com/guide/' ||
+        page.title !== 'Install & setup' || page.status !== 200 || page.html !== PAGE_HTML || !page.date) {
+      throw new Error(`Unexpected archived page: ${JSON.stringify({ ...page, html: undefined })}`);
+    }
+    // The body is stored decoded as UTF-8, so the transfer headers are replaced
+    if (page.headers['content-type'] !== 'text/html; charset=utf-8' || page.headers['content-encoding'] ||
+        page.headers['content-length'] !== String(Buffer.byteLength(PAGE_HTML)) ||
+        page.headers['last-modified'] !== RESPONSE.headers['last-modified']) {
+      throw new Error(`Unexpected archived headers: ${JSON.stringify(page.headers)}`);
+    }
+    if (faq.title !== 'Ignored' || faq.requestedUrl !== 'https://docs.example.com/faq') {
+      throw new Error(`Title not read from the HTML: ${faq.title}`);
+    }
+    console.log('✓ Status, headers, HTML, title and requested URL archived');
+    console.log(`   Records: ${types.join(', ')}\n`);
+
+    console.log('3. Testing rotation and resumed numbering...');
+    const rotating = new WarcWriter(archiveDir, { maxBytes: 1500, gzip: false });
+    for (let i = 0; i < 3; i++) {
+      await rotating.writeResponse(`https://docs.example.com/page-${i}`, { ...RESPONSE, url: `https://docs.example.com/page-${i}` });
+    }
+    const rotated = await rotating.close();
+    const names = rotated.map(file => path.basename(file)).join(',');
+    if (names !== 'crawl-00002.warc,crawl-00003.warc,crawl-00004.warc') {
+      throw new Error(`Unexpected rotated files: ${names}`);
+    }
+    const listed = (await listWarcFiles([archiveDir])).map(file => path.basename(file));
+    if (listed.length !== 4 || listed[0] !== 'crawl-00001.warc.gz') {
+      throw new Error(`Unexpected listing: ${listed.join(', ')}`);
+    }
+    let replayed = 0;
+    for await (const _response of readArchive([archiveDir])) {
+      replayed++;
+    }
+    if (replayed !== 5) {
+      throw new Error(`Expected 5 archived pages, got ${replayed}`);
+    }
+    console.log('✓ Files rotated with each page in one file, numbering continued after earlier files');
+    console.log(`   Files: ${listed.join(', ')}\n`);
+
+    console.log('4. Testing archives from other tools...');
+    const foreignBody = zlib.gzipSync('<html><body><p>Compressed</p></body></html>');
+    const foreign = Buffer.concat([
+      formatWarcRecord({ 'WARC-Type': 'request', 'WARC-Target-URI': 'https://example.org/' }, Buffer.from('GET / HTTP/1.1\r\n\r\n')),
+      formatWarcRecord({ 'WARC-Type': 'response', 'WARC-Target-URI': 'https://example.org/logo.png' },
+        Buffer.from('HTTP/1.1 200 OK\r\nContent-Type: image/png\r\n\r\nPNG')),
+      formatWarcRecord({ 'WARC-Type': 'response', 'WARC-Target-URI': 'https://example.org/' },
+        Buffer.concat([Buffer.from('HTTP/1.1 200 OK\r\nContent-Type: text/html\r\nContent-Encoding: gzip\r\n\r\n'), foreignBody]))
+    ]);
+    const foreignFile = path.join(dir, 'foreign.warc');
+    await fs.writeFile(foreignFile, foreign);
+    const foreignPages = [];
+    for await (const response of readArchive([foreignFile])) {
+      foreignPages.push(response);
+    }
+    if (foreignPages.length !== 1 || foreignPages[0].html !== '<html><body><p>Compressed</p></body></html>' ||
+        foreignPages[0].title !== 'https://example.org/') {
+      throw new Error(`Unexpected foreign pages: ${JSON.stringify(foreignPages)}`);
+    }
+    console.log('✓ Non-HTML responses skipped, compressed bodies decoded\n');
+
+    console.log('5. Testing archives that cannot be written...');
+    // The prefix names a directory that does not exist
+    const broken = new WarcWriter(archiveDir, { prefix: 'missing/crawl' });
+    let writeError = null;
+    try {
+      for (let i = 0; i < 3; i++) {
+        await broken.writeResponse(RESPONSE.url, RESPONSE);
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    } catch (error) {
+      writeError = error;
+    }
+    const closeError = await broken.close().then(() => null, error => error);
+    if (!writeError || writeError.code !== 'ENOENT' || !closeError || closeError.code !== 'ENOENT') {
+      throw new Error(`Expected ENOENT from writeResponse and close: ${writeError}, ${closeError}`);
+    }
+    console.log('✓ Open errors rejected by writeResponse() and close() instead of crashing the process\n');
+
+    console.log('=== All Tests Passed! ===');
+
+  } catch (error) {
+    console.error('✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test();